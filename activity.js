@@ -0,0 +1,174 @@
+/*
+ * Activity log for AL&MO TASKS.
+ *
+ * Every change made through the API is recorded as an activity entry in the
+ * `activity` collection:
+ *
+ *   { id, boardId, taskId, entity, entityId, action, actorId, at, changes }
+ *
+ * `entity` is what changed ('board', 'task', 'member', 'invite' or
+ * 'comment') and `action` what happened to it ('created', 'updated',
+ * 'deleted', ...). `changes` is a field-level diff, a list of
+ * { field, before, after }; task items are diffed one by one as
+ * { field: 'item', itemId, before, after } where before/after is the item
+ * (null when it was added or removed). A new item order is one
+ * { field: 'itemOrder', before, after } change listing the item ids.
+ */
+
+const { createId } = require('./ids');
+const { orderedItems } = require('./items');
+
+// Fields diffed for each kind of entity
+const TRACKED_FIELDS = {
+  task: ['title', 'description', 'dueDate', 'boardId', 'userId', 'status', 'labelIds', 'priority', 'estimate', 'recurrence', 'blockedBy', 'position'],
+  board: ['name', 'color', 'archived', 'statuses', 'labels', 'ownerId'],
+  member: ['role'],
+  invite: ['email', 'role', 'status'],
+  comment: ['body']
+};
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function orNull(value) {
+  return value === undefined ? null : value;
+}
+
+/**
+ * The fields that differ between two versions of a record. Pass {} as
+ * `before` for a new record and as `after` for a deleted one.
+ *
+ * @param {Object} before
+ * @param {Object} after
+ * @param {string[]} fields
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+function diffFields(before, after, fields) {
+  return fields
+    .filter(field => !sameValue(orNull(before[field]), orNull(after[field])))
+    .map(field => ({ field, before: orNull(before[field]), after: orNull(after[field]) }));
+}
+
+// An item without its position, which is diffed for the list as a whole
+function itemContent(item) {
+  const copy = Object.assign({}, item);
+  delete copy.position;
+  return copy;
+}
+
+/**
+ * Per-item differences between two versions of a task's items: added,
+ * removed and edited items, matched by id, then the new order of the items
+ * both versions have if that changed.
+ *
+ * @param {Object[]} before
+ * @param {Object[]} after
+ * @returns {Array<{field: string, itemId: string, before: ?Object, after: ?Object}>}
+ */
+function diffItems(before, after) {
+  const changes = [];
+  const old = new Map((before || []).map(item => [item.id, item]));
+  (after || []).forEach(item => {
+    const previous = old.get(item.id) || null;
+    old.delete(item.id);
+    if (!previous || !sameValue(itemContent(previous), itemContent(item))) {
+      changes.push({ field: 'item', itemId: item.id, before: previous, after: item });
+    }
+  });
+  old.forEach((item, id) => {
+    changes.push({ field: 'item', itemId: id, before: item, after: null });
+  });
+  const afterIds = new Set((after || []).map(item => item.id));
+  const beforeIds = new Set((before || []).map(item => item.id));
+  const beforeOrder = orderedItems(before).map(item => item.id).filter(id => afterIds.has(id));
+  const afterOrder = orderedItems(after).map(item => item.id).filter(id => beforeIds.has(id));
+  if (!sameValue(beforeOrder, afterOrder)) {
+    changes.push({ field: 'itemOrder', before: beforeOrder, after: afterOrder });
+  }
+  return changes;
+}
+
+/**
+ * The diff for an entity: its tracked fields and, for tasks, its items.
+ *
+ * @param {string} entity
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Object[]}
+ */
+function diffEntity(entity, before, after) {
+  const changes = diffFields(before || {}, after || {}, TRACKED_FIELDS[entity] || []);
+  if (entity === 'task') {
+    changes.push(...diffItems((before || {}).items, (after || {}).items));
+  }
+  return changes;
+}
+
+/**
+ * Create the activity log on top of a store (see storage.js).
+ *
+ * @param {Object} store
+ */
+function createActivityLog(store) {
+  return {
+    /**
+     * Record an entry. `before` and `after` are the entity before and
+     * after the change; updates that change nothing are not recorded.
+     *
+     * @param {Object} entry
+     * @param {string} entry.boardId
+     * @param {string} [entry.taskId]
+     * @param {string} entry.entity
+     * @param {string} entry.entityId
+     * @param {string} entry.action
+     * @param {string} entry.actorId
+     * @param {Object} [entry.before]
+     * @param {Object} [entry.after]
+     * @returns {Promise<?Object>} The stored entry, or null if skipped.
+     */
+    async record({ boardId, taskId = '', entity, entityId, action, actorId, before, after }) {
+      const changes = diffEntity(entity, before, after);
+      if (action === 'updated' && changes.length === 0) return null;
+      return store.insert('activity', {
+        id: createId('activity'),
+        boardId,
+        taskId,
+        entity,
+        entityId,
+        action,
+        actorId,
+        at: new Date().toISOString(),
+        changes
+      });
+    },
+
+    /**
+     * A board's entries (including those of its tasks), newest first.
+     *
+     * @param {string} boardId
+     * @param {number} [limit]
+     */
+    async forBoard(boardId, limit) {
+      return newestFirst(await store.find('activity', { boardId }), limit);
+    },
+
+    /**
+     * A task's entries, newest first. They follow the task across boards.
+     *
+     * @param {string} taskId
+     * @param {number} [limit]
+     */
+    async forTask(taskId, limit) {
+      return newestFirst(await store.find('activity', { taskId }), limit);
+    }
+  };
+}
+
+function newestFirst(entries, limit) {
+  // Reversed first so entries from the same millisecond stay newest first
+  const sorted = entries.reverse().sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+  return limit ? sorted.slice(0, limit) : sorted;
+}
+
+module.exports = { createActivityLog, diffFields, diffItems, TRACKED_FIELDS };
@@ -0,0 +1,138 @@
+/*
+ * Calendar view of tasks for AL&MO TASKS.
+ *
+ * Instead of the board columns, tasks can be shown on a month or week
+ * calendar by their due date. A month is shown as whole weeks and weeks
+ * start on Sunday, like WEEKDAY_NAMES in recurrence.js. Dates are
+ * YYYY-MM-DD strings; the calendar shows the month or week around an
+ * "anchor" date, which the previous and next buttons move. Tasks due at a
+ * time of day are shown on their day.
+ *
+ * Shared by both front‑ends (window.AlmoCalendar, after dates.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./dates'));
+    } else {
+        root.AlmoCalendar = factory(root.AlmoDates);
+    }
+})(typeof self !== 'undefined' ? self : this, function (dates) {
+    /**
+     * The calendar layouts, as alternatives to the board columns.
+     */
+    const CALENDAR_VIEWS = [
+        { id: 'month', name: 'Month' },
+        { id: 'week', name: 'Week' }
+    ];
+
+    const MONTH_NAMES = [
+        'January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'
+    ];
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const { parseDate, formatDate, addDays, dueDay } = dates;
+
+    // The Sunday on or before a date
+    function weekStart(date) {
+        return addDays(date, -parseDate(date).getUTCDay());
+    }
+
+    /**
+     * The days a view shows around the anchor date, in whole weeks: the
+     * weeks that hold any day of the anchor's month, or the anchor's week.
+     *
+     * @param {string} view One of CALENDAR_VIEWS.
+     * @param {string} anchor YYYY-MM-DD
+     * @returns {string[]}
+     */
+    function calendarDays(view, anchor) {
+        let first = weekStart(anchor);
+        let count = 7;
+        if (view === 'month') {
+            const start = parseDate(anchor);
+            const monthStart = formatDate(new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1)));
+            const monthEnd = formatDate(new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)));
+            first = weekStart(monthStart);
+            count = Math.round((parseDate(weekStart(monthEnd)).getTime() - parseDate(first).getTime()) / DAY_MS) + 7;
+        }
+        return Array.from({ length: count }, (_, idx) => addDays(first, idx));
+    }
+
+    /**
+     * The anchor date a step (-1 back, 1 forward) of months or weeks away.
+     * Moving by months keeps the day of the month where it can.
+     *
+     * @param {string} view
+     * @param {string} anchor
+     * @param {number} step
+     * @returns {string}
+     */
+    function shiftAnchor(view, anchor, step) {
+        if (view !== 'month') return addDays(anchor, 7 * step);
+        const date = parseDate(anchor);
+        const month = date.getUTCMonth() + step;
+        const last = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+        return formatDate(new Date(Date.UTC(date.getUTCFullYear(), month, Math.min(date.getUTCDate(), last))));
+    }
+
+    /**
+     * Whether a date falls in the anchor's month.
+     *
+     * @param {string} date
+     * @param {string} anchor
+     * @returns {boolean}
+     */
+    function inMonth(date, anchor) {
+        return date.slice(0, 7) === anchor.slice(0, 7);
+    }
+
+    /**
+     * The heading of a view: "October 2026", or the week's first and last
+     * days.
+     *
+     * @param {string} view
+     * @param {string} anchor
+     * @returns {string}
+     */
+    function calendarTitle(view, anchor) {
+        const describe = date => {
+            const d = parseDate(date);
+            return `${MONTH_NAMES[d.getUTCMonth()]} ${d.getUTCDate()}, ${d.getUTCFullYear()}`;
+        };
+        if (view === 'month') {
+            const d = parseDate(anchor);
+            return `${MONTH_NAMES[d.getUTCMonth()]} ${d.getUTCFullYear()}`;
+        }
+        const first = weekStart(anchor);
+        return `${describe(first)} – ${describe(addDays(first, 6))}`;
+    }
+
+    /**
+     * Tasks grouped by due date, keeping their order; tasks without one
+     * are left out.
+     *
+     * @param {Object[]} tasks
+     * @returns {Map<string, Object[]>}
+     */
+    function tasksByDate(tasks) {
+        const byDate = new Map();
+        tasks.forEach(task => {
+            const day = dueDay(task.dueDate);
+            if (!day) return;
+            if (!byDate.has(day)) byDate.set(day, []);
+            byDate.get(day).push(task);
+        });
+        return byDate;
+    }
+
+    return {
+        CALENDAR_VIEWS,
+        calendarDays,
+        shiftAnchor,
+        inMonth,
+        calendarTitle,
+        tasksByDate
+    };
+});
@@ -0,0 +1,57 @@
+/*
+ * Board colours for AL&MO TASKS.
+ *
+ * New boards take the palette colour used by the fewest existing boards,
+ * so deleting a board does not shift the colour the next one gets. Boards
+ * can also be given any other hex colour.
+ *
+ * Shared by the server (require('./colors')) and both front‑ends
+ * (window.AlmoColors).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AlmoColors = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Colour palette for boards. These shades were chosen to evoke the
+     * playful yet professional look of modern task apps.
+     */
+    const BOARD_COLORS = [
+        '#4A90E2', // blue
+        '#50E3C2', // teal
+        '#F5A623', // orange
+        '#BD10E0', // purple
+        '#B8E986', // green
+        '#F8E71C', // yellow
+        '#D0021B'  // red
+    ];
+
+    /**
+     * The colour for a new board: the first palette colour used by the
+     * fewest of the given boards.
+     *
+     * @param {Object[]} boards Existing boards.
+     * @returns {string}
+     */
+    function nextBoardColor(boards) {
+        const counts = BOARD_COLORS.map(color =>
+            boards.filter(b => typeof b.color === 'string' && b.color.toUpperCase() === color).length);
+        return BOARD_COLORS[counts.indexOf(Math.min(...counts))];
+    }
+
+    /**
+     * Whether a value is a six-digit hex colour such as "#4A90E2".
+     *
+     * @param {*} color
+     * @returns {boolean}
+     */
+    function isValidColor(color) {
+        return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+    }
+
+    return { BOARD_COLORS, nextBoardColor, isValidColor };
+});
@@ -5,16 +5,20 @@
  * tasks for the logged‑in user. It reuses much of the single‑user UI
  * behaviour, including editing tasks and managing sub‑items, but
  * persists changes via HTTP calls. Boards can be shared via the
- * invitation feature. A logout button clears credentials.
+ * invitation feature. Authentication is carried by an HTTP‑only session
+ * cookie; the logout button revokes the session on the server.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
-    // Check authentication
-    const currentUserId = localStorage.getItem('userId');
-    const currentUserName = localStorage.getItem('userName');
-    if (!currentUserId) {
-        window.location.href = 'login.html';
-        return;
+    // Resolved from the session by init()
+    let currentUserId = null;
+
+    // An invite link (dashboard.html?invite=TOKEN) is remembered for the
+    // rest of the browser session so it survives a detour via login/register
+    const inviteParam = new URLSearchParams(window.location.search).get('invite');
+    if (inviteParam) {
+        sessionStorage.setItem('pendingInviteToken', inviteParam);
+        window.history.replaceState(null, '', window.location.pathname);
     }
 
     // Element references
@@ -24,58 +28,293 @@ document.addEventListener('DOMContentLoaded', () => {
     const taskForm = document.getElementById('create-task-form');
     const taskUserSelect = document.getElementById('task-user');
     const taskBoardSelect = document.getElementById('task-board');
+    const taskLabelsBox = document.getElementById('task-labels');
+    const taskPrioritySelect = document.getElementById('task-priority');
+    const taskRecurrenceBox = document.getElementById('task-recurrence');
+    const taskBlockersSelect = document.getElementById('task-blockers');
     const boardsContainer = document.getElementById('boards-container');
+    const viewSwitcher = document.getElementById('view-switcher');
+    const calendarSection = document.getElementById('calendar');
+    const myWorkSection = document.getElementById('my-work');
+    const invitesInbox = document.getElementById('invites-inbox');
+    const invitesList = document.getElementById('invites-list');
+    const archivedSection = document.getElementById('archived-boards');
+    const archivedList = document.getElementById('archived-list');
+    const trashSection = document.getElementById('trash');
+    const trashList = document.getElementById('trash-list');
+    const dependenciesSection = document.getElementById('dependencies');
+    const dependenciesList = document.getElementById('dependencies-list');
+    const mentionsInbox = document.getElementById('mentions-inbox');
+    const mentionsTitle = document.getElementById('mentions-title');
+    const mentionsList = document.getElementById('mentions-list');
+    const notificationsBell = document.getElementById('notifications-bell');
+    const notificationsCount = document.getElementById('notifications-count');
+    const notificationsPanel = document.getElementById('notifications-panel');
+    const notificationsList = document.getElementById('notifications-list');
+    const notificationsReadAll = document.getElementById('notifications-read-all');
+    const notificationsSettings = document.getElementById('notifications-settings');
+    const notificationPrefsBox = document.getElementById('notification-prefs');
+
+    // Shared id generator (ids.js), board role checks (roles.js), status
+    // workflow (statuses.js), manual ordering (ordering.js), sub-items
+    // (items.js), priority and estimate (triage.js), recurring tasks
+    // (recurrence.js), board colours (colors.js), labels (labels.js) and
+    // comment mentions (mentions.js) and due dates (dates.js)
+    const { createId } = window.AlmoIds;
+    const { ASSIGNABLE_ROLES, DEFAULT_ROLE, can, canEditTask } = window.AlmoRoles;
+    const { boardStatuses, taskStatus, isTaskDone, doneStatus, statusesFromNames } = window.AlmoStatuses;
+    const { sortByPosition } = window.AlmoOrder;
+    const { orderedItems, itemProgress } = window.AlmoItems;
+    const { PRIORITIES, SORT_MODES, priorityName, parseEstimate, totalEstimate, sortTasks } = window.AlmoTriage;
+    const { FREQUENCIES, WEEKDAY_NAMES, MAX_INTERVAL, describeRecurrence } = window.AlmoRecurrence;
+    const { taskBlockers, dependentsOf, openBlockers } = window.AlmoDependencies;
+    const { CALENDAR_VIEWS, calendarDays, shiftAnchor, inMonth, calendarTitle, tasksByDate } = window.AlmoCalendar;
+    const {
+        localDate, localTimeZone, dueDay, dueTime, joinDueDate, formatDueDate, dueState, dueStateName
+    } = window.AlmoDates;
+    const { nextBoardColor } = window.AlmoColors;
+    const { boardLabels, taskLabels, labelTextColor } = window.AlmoLabels;
+    const { splitMentions, mentionQuery } = window.AlmoMentions;
+
+    // Drag data types for boards and sub-items, so their drags are not
+    // mistaken for cards
+    const BOARD_DRAG_TYPE = 'application/x-almo-board';
+    const ITEM_DRAG_TYPE = 'application/x-almo-item';
+
+    // How often the notification bell checks for new notifications
+    const NOTIFICATION_POLL_MS = 60 * 1000;
+
+    // What each notification type covers, for the preferences form
+    const NOTIFICATION_LABELS = {
+        assignment: 'Tasks assigned to me or taken away',
+        invite: 'Board invitations',
+        mention: 'Mentions in comments',
+        dueSoon: 'My tasks coming due',
+        overdue: 'My overdue tasks'
+    };
 
     // In‑memory state
     let users = [];
     let boards = [];
     let tasks = [];
+    // The sub-item being edited inline, if any
+    let editingItemId = null;
+    // Members of each board, loaded when its members panel is opened
+    let boardMembers = {};
+    let openMembersBoardId = null;
+    // The board whose labels panel is open
+    let openLabelsBoardId = null;
+    // How each board's cards are sorted (see SORT_MODES), keyed by board
+    // id. This is a personal view setting, so it stays in this browser.
+    const boardSorts = JSON.parse(localStorage.getItem('almo_board_sorts')) || {};
+    // Whether the boards, My Work or a month or week calendar is shown,
+    // kept in the browser, and the date the calendar is showing
+    let view = localStorage.getItem('almo_view') || 'boards';
+    let calendarAnchor = localDate();
+    // The open tasks assigned to the current user, grouped by due date, as
+    // loaded for the My Work view
+    let myWork = null;
+    // Invitations addressed to the current user, and those they have sent
+    let receivedInvites = [];
+    let sentInvites = [];
+    // Deleted tasks and boards the current user can see
+    let trash = [];
+    // Tasks on boards the user is not a member of that block, or wait on,
+    // tasks on their boards: { id, done, blockedBy } without titles
+    let linkedTasks = [];
+    // Activity of the board whose activity panel is open, and the history
+    // of each task whose history section is open, keyed by id
+    let boardActivity = {};
+    let openActivityBoardId = null;
+    let taskHistory = {};
+    const openHistoryTaskIds = new Set();
+    // Comments of each task whose comment thread is open, keyed by task id,
+    // and the comments that mention the current user
+    let taskComments = {};
+    const openCommentTaskIds = new Set();
+    let mentions = [];
+    // The current user's latest notifications, how many of theirs are
+    // unread, and which notifications and emails they receive (loaded when
+    // the preferences are opened)
+    let notifications = [];
+    let unreadNotifications = 0;
+    let notificationPrefs = null;
+    let emailPrefs = null;
+    // This tab's id on the stream of changes pushed by the server (sent
+    // with every request so the server does not echo our own changes back),
+    // and the members who have each board open, keyed by board id
+    let clientId = null;
+    let presence = {};
+
+    // Wrapper around fetch that sends the user back to the login page
+    // whenever the session is missing or has expired. The returned promise
+    // never settles in that case so callers don't show error alerts while
+    // the browser navigates away.
+    async function apiFetch(url, options) {
+        const headers = Object.assign({}, options && options.headers);
+        if (clientId) headers['X-Client-Id'] = clientId;
+        const res = await fetch(url, Object.assign({}, options, { headers }));
+        if (res.status === 401) {
+            window.location.href = 'login.html';
+            return new Promise(() => {});
+        }
+        return res;
+    }
 
     // Logout handler
-    logoutBtn.addEventListener('click', () => {
-        localStorage.removeItem('userId');
-        localStorage.removeItem('userName');
-        window.location.href = 'login.html';
+    logoutBtn.addEventListener('click', async () => {
+        try {
+            await fetch('/api/logout', { method: 'POST' });
+        } finally {
+            window.location.href = 'login.html';
+        }
     });
 
+    // Fetch the user behind the current session, and tell the server the
+    // browser's time zone when it has changed, for due-date notifications
+    // and emails
+    async function fetchCurrentUser() {
+        const res = await apiFetch('/api/me');
+        const me = await res.json();
+        currentUserId = me.userId;
+        const timeZone = localTimeZone();
+        if (timeZone && timeZone !== me.timeZone) {
+            await apiFetch('/api/me/time-zone', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ timeZone })
+            });
+        }
+    }
+
     // Fetch users from API
     async function fetchUsers() {
-        const res = await fetch('/api/users');
+        const res = await apiFetch('/api/users');
         users = await res.json();
     }
 
     // Fetch boards accessible to the current user
     async function fetchBoards() {
-        const res = await fetch('/api/boards?userId=' + encodeURIComponent(currentUserId));
+        const res = await apiFetch('/api/boards');
         boards = await res.json();
     }
 
     // Fetch tasks for the current user
     async function fetchTasks() {
-        const res = await fetch('/api/tasks?userId=' + encodeURIComponent(currentUserId));
-        tasks = await res.json();
+        const res = await apiFetch('/api/tasks');
+        tasks = mergeTasks(await res.json());
+    }
+
+    // Fresh copies of tasks from the server, merged into the tasks already
+    // loaded so cards being edited keep their edit mode and unsaved changes
+    function mergeTasks(incoming) {
+        const loaded = new Map(tasks.map(t => [t.id, t]));
+        return incoming.map(t => (loaded.has(t.id) ? Object.assign(loaded.get(t.id), t) : t));
+    }
+
+    // Fetch the trash
+    async function fetchTrash() {
+        const res = await apiFetch('/api/trash');
+        trash = await res.json();
+    }
+
+    // Fetch the tasks on other boards linked to the user's by dependencies
+    async function fetchDependencies() {
+        const res = await apiFetch('/api/dependencies');
+        linkedTasks = await res.json();
+    }
+
+    // Fetch the current user's open tasks across their boards, grouped by
+    // due date as seen in the browser's time zone
+    async function fetchMyWork() {
+        const res = await apiFetch('/api/my-work?timeZone=' + encodeURIComponent(localTimeZone()));
+        myWork = await res.json();
+    }
+
+    // Fetch pending invitations addressed to the current user
+    async function fetchInvites() {
+        const res = await apiFetch('/api/invites');
+        receivedInvites = await res.json();
+    }
+
+    // Fetch the comments that mention the current user
+    async function fetchMentions() {
+        const res = await apiFetch('/api/mentions');
+        mentions = await res.json();
+    }
+
+    // Fetch the latest notifications and the unread count
+    async function fetchNotifications() {
+        const res = await apiFetch('/api/notifications');
+        const data = await res.json();
+        notifications = data.notifications;
+        unreadNotifications = data.unread;
+    }
+
+    // Fetch invitations sent by the current user
+    async function fetchSentInvites() {
+        const res = await apiFetch('/api/invites/sent');
+        sentInvites = await res.json();
+    }
+
+    // Accept the invite link the user arrived with, if any
+    async function acceptInviteLink() {
+        const token = sessionStorage.getItem('pendingInviteToken');
+        if (!token) return;
+        sessionStorage.removeItem('pendingInviteToken');
+        const res = await apiFetch('/api/invites/accept-token', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token })
+        });
+        const data = await res.json();
+        if (res.ok) {
+            alert(`You joined the board "${data.name}".`);
+        } else {
+            alert(data.message || 'Failed to accept invitation');
+        }
     }
 
     // Populate select options for users and boards
     function updateUserOptions() {
-        const current = taskUserSelect.value;
-        taskUserSelect.innerHTML = '';
+        fillAssigneeSelect(taskUserSelect, taskBoardSelect.value, taskUserSelect.value);
+    }
+
+    // Fill a select with "Unassigned" and the members of a board, the people
+    // a task on it can be assigned to. A selected user who is no longer a
+    // member is still listed, so the select shows the task as it is.
+    function fillAssigneeSelect(select, boardId, selected) {
+        select.innerHTML = '';
         const blankOpt = document.createElement('option');
         blankOpt.value = '';
         blankOpt.textContent = 'Unassigned';
-        taskUserSelect.appendChild(blankOpt);
-        users.forEach(user => {
+        select.appendChild(blankOpt);
+        const people = boardPeople(boardId);
+        const current = users.find(u => u.id === selected);
+        if (current && !people.includes(current)) people.push(current);
+        people.forEach(user => {
             const opt = document.createElement('option');
             opt.value = user.id;
             opt.textContent = user.name;
-            if (current && current === user.id) opt.selected = true;
-            taskUserSelect.appendChild(opt);
+            if (selected === user.id) opt.selected = true;
+            select.appendChild(opt);
         });
     }
+    // Boards that are not archived, in the user's board order
+    function activeBoards() {
+        return boards.filter(b => !b.archived);
+    }
+
+    // Active boards where the current user's role allows creating and
+    // moving tasks
+    function editableBoards() {
+        return activeBoards().filter(b => can(b, currentUserId, 'editTasks'));
+    }
+
     function updateBoardOptions() {
         const current = taskBoardSelect.value;
         taskBoardSelect.innerHTML = '';
-        boards.forEach(board => {
+        editableBoards().forEach(board => {
             const opt = document.createElement('option');
             opt.value = board.id;
             opt.textContent = board.name;
@@ -84,55 +323,349 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Fill a select with "No priority" and the priorities, most urgent first
+    function fillPrioritySelect(select, selected) {
+        const blankOpt = document.createElement('option');
+        blankOpt.value = '';
+        blankOpt.textContent = 'No priority';
+        select.appendChild(blankOpt);
+        PRIORITIES.forEach(priority => {
+            const opt = document.createElement('option');
+            opt.value = priority.id;
+            opt.textContent = priority.name;
+            if (selected === priority.id) opt.selected = true;
+            select.appendChild(opt);
+        });
+    }
+
+    // An estimate input for the task forms
+    function createEstimateInput(value) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = 'any';
+        input.placeholder = 'Estimate';
+        input.value = value === null || value === undefined ? '' : value;
+        return input;
+    }
+
+    // Inputs for a recurrence rule: how often, and the weekdays, day of the
+    // month or number of days that frequency needs, and an end date
+    function createRecurrenceFields(rule) {
+        const box = document.createElement('div');
+        box.className = 'recurrence-fields';
+        const frequency = document.createElement('select');
+        frequency.dataset.field = 'frequency';
+        const onceOpt = document.createElement('option');
+        onceOpt.value = '';
+        onceOpt.textContent = 'Does not repeat';
+        frequency.appendChild(onceOpt);
+        FREQUENCIES.forEach(f => {
+            const opt = document.createElement('option');
+            opt.value = f.id;
+            opt.textContent = f.name;
+            if (rule && rule.frequency === f.id) opt.selected = true;
+            frequency.appendChild(opt);
+        });
+        box.appendChild(frequency);
+        const weekdays = document.createElement('span');
+        weekdays.dataset.field = 'weekdays';
+        WEEKDAY_NAMES.forEach((name, day) => {
+            const option = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = day;
+            checkbox.checked = !!rule && rule.frequency === 'weekly' && rule.weekdays.includes(day);
+            option.appendChild(checkbox);
+            option.appendChild(document.createTextNode(name));
+            weekdays.appendChild(option);
+        });
+        box.appendChild(weekdays);
+        const monthDay = document.createElement('input');
+        monthDay.type = 'number';
+        monthDay.min = '1';
+        monthDay.max = '31';
+        monthDay.title = 'Day of the month';
+        monthDay.dataset.field = 'monthDay';
+        monthDay.value = (rule && rule.monthDay) || 1;
+        box.appendChild(monthDay);
+        const interval = document.createElement('input');
+        interval.type = 'number';
+        interval.min = '1';
+        interval.max = String(MAX_INTERVAL);
+        interval.title = 'Number of days';
+        interval.dataset.field = 'interval';
+        interval.value = (rule && rule.interval) || 2;
+        box.appendChild(interval);
+        const until = document.createElement('input');
+        until.type = 'date';
+        until.title = 'Repeat until';
+        until.dataset.field = 'until';
+        until.value = (rule && rule.until) || '';
+        box.appendChild(until);
+        const showFields = () => {
+            weekdays.hidden = frequency.value !== 'weekly';
+            monthDay.hidden = frequency.value !== 'monthly';
+            interval.hidden = frequency.value !== 'interval';
+            until.hidden = !frequency.value;
+        };
+        frequency.addEventListener('change', showFields);
+        showFields();
+        return box;
+    }
+
+    // The rule entered in recurrence fields, or null for none
+    function recurrenceValue(box) {
+        const field = name => box.querySelector(`[data-field="${name}"]`);
+        const frequency = field('frequency').value;
+        if (!frequency) return null;
+        const rule = { frequency };
+        if (frequency === 'weekly') {
+            rule.weekdays = Array.from(field('weekdays').querySelectorAll('input'))
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => Number(checkbox.value));
+        }
+        if (frequency === 'monthly') rule.monthDay = parseInt(field('monthDay').value, 10);
+        if (frequency === 'interval') rule.interval = parseInt(field('interval').value, 10);
+        rule.until = field('until').value;
+        return rule;
+    }
+
+    // Fill a multiple select with the tasks of every board, grouped by
+    // board, as blockers for the task taskId (null for a new task)
+    function fillBlockerSelect(select, selectedIds, taskId) {
+        boards.forEach(board => {
+            const boardTasks = sortByPosition(tasks.filter(t => t.boardId === board.id && t.id !== taskId));
+            if (!boardTasks.length) return;
+            const group = document.createElement('optgroup');
+            group.label = board.name;
+            boardTasks.forEach(t => {
+                const opt = document.createElement('option');
+                opt.value = t.id;
+                opt.textContent = t.title;
+                if (selectedIds.includes(t.id)) opt.selected = true;
+                group.appendChild(opt);
+            });
+            select.appendChild(group);
+        });
+    }
+
+    // The task ids chosen in a blocker select
+    function selectedBlockers(select) {
+        return Array.from(select.selectedOptions).map(opt => opt.value);
+    }
+
+    // Blocker choices for the create form, keeping the ones already chosen
+    function updateBlockerOptions() {
+        const selected = selectedBlockers(taskBlockersSelect);
+        taskBlockersSelect.innerHTML = '';
+        fillBlockerSelect(taskBlockersSelect, selected, null);
+    }
+
+    // Whether a task in a dependency is done: tasks on the user's boards
+    // are looked up directly, others in linkedTasks. null when the task no
+    // longer exists.
+    function dependencyDone(taskId) {
+        const task = tasks.find(t => t.id === taskId);
+        if (task) return isTaskDone(boards.find(b => b.id === task.boardId), task);
+        const linked = linkedTasks.find(t => t.id === taskId);
+        return linked ? linked.done : null;
+    }
+
+    // The title of a task in a dependency; tasks on boards the user is not
+    // a member of are not named
+    function dependencyTitle(taskId) {
+        const task = tasks.find(t => t.id === taskId);
+        return task ? task.title : 'a task on another board';
+    }
+
+    // The ids of the tasks waiting on a task, on any board
+    function taskDependents(task) {
+        return dependentsOf(task.id, tasks.concat(linkedTasks)).map(t => t.id);
+    }
+
+    function boardSort(boardId) {
+        return boardSorts[boardId] || 'manual';
+    }
+
+    function setBoardSort(boardId, mode) {
+        boardSorts[boardId] = mode;
+        localStorage.setItem('almo_board_sorts', JSON.stringify(boardSorts));
+        render();
+    }
+
+    // Label checkboxes for the board chosen in the create form, keeping
+    // the ones already ticked
+    function updateLabelOptions() {
+        const checked = labelPickerValue(taskLabelsBox);
+        const board = boards.find(b => b.id === taskBoardSelect.value);
+        taskLabelsBox.replaceChildren(...createLabelPicker(board, checked).childNodes);
+    }
+
+    // A checkbox for each label of a board, ticked for selectedIds
+    function createLabelPicker(board, selectedIds) {
+        const picker = document.createElement('div');
+        picker.className = 'label-picker';
+        boardLabels(board).forEach(label => {
+            const option = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = label.id;
+            checkbox.checked = selectedIds.includes(label.id);
+            option.appendChild(checkbox);
+            option.appendChild(createLabelChip(label));
+            picker.appendChild(option);
+        });
+        return picker;
+    }
+
+    // The label ids ticked in a label picker
+    function labelPickerValue(picker) {
+        return Array.from(picker.querySelectorAll('input[type="checkbox"]'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value);
+    }
+
+    function createLabelChip(label) {
+        const chip = document.createElement('span');
+        chip.className = 'label-chip';
+        chip.textContent = label.name;
+        chip.style.backgroundColor = label.color;
+        chip.style.color = labelTextColor(label.color);
+        return chip;
+    }
+
     // Load initial data and render
     async function init() {
+        await fetchCurrentUser();
+        await acceptInviteLink();
+        await fetchInvites();
         await fetchUsers();
         await fetchBoards();
         await fetchTasks();
+        await fetchDependencies();
+        if (view === 'mywork') await fetchMyWork();
+        await fetchTrash();
+        await fetchMentions();
+        await fetchNotifications();
         render();
+        setInterval(refreshNotifications, NOTIFICATION_POLL_MS);
+        connectEvents();
+    }
+
+    // How urgent a task's due date is now, in the browser's time zone; ''
+    // for tasks that are done
+    function taskDueState(task) {
+        const board = boards.find(b => b.id === task.boardId);
+        return isTaskDone(board, task) ? '' : dueState(task.dueDate);
     }
 
     // Create a task card DOM element
     function createTaskCard(task) {
         const card = document.createElement('div');
         card.className = 'task-card';
+        // What the current user's role on this board allows
+        const taskBoard = boards.find(b => b.id === task.boardId);
+        const canEdit = canEditTask(taskBoard, currentUserId, task);
+        const canManage = can(taskBoard, currentUserId, 'editTasks');
 
-        // If editing, show form
+        // If editing, show form. The fields the user has changed are kept in
+        // task.draft, so re-rendering for a change pushed by someone else
+        // does not lose them while the other fields show the latest values.
         if (task.editing) {
+            const draft = Object.assign({}, task, task.draft);
             const editForm = document.createElement('div');
             editForm.className = 'edit-task-form';
             const titleInput = document.createElement('input');
-            titleInput.value = task.title;
+            titleInput.value = draft.title;
+            titleInput.dataset.focusKey = 'title:' + task.id;
             editForm.appendChild(titleInput);
             const userSelect = document.createElement('select');
-            const blankOpt = document.createElement('option');
-            blankOpt.value = '';
-            blankOpt.textContent = 'Unassigned';
-            userSelect.appendChild(blankOpt);
-            users.forEach(u => {
-                const opt = document.createElement('option');
-                opt.value = u.id;
-                opt.textContent = u.name;
-                if (task.userId === u.id) opt.selected = true;
-                userSelect.appendChild(opt);
-            });
+            fillAssigneeSelect(userSelect, draft.boardId, draft.userId);
+            userSelect.disabled = !canManage;
             editForm.appendChild(userSelect);
             const dueInput = document.createElement('input');
             dueInput.type = 'date';
-            dueInput.value = task.dueDate || '';
+            dueInput.value = dueDay(draft.dueDate);
             editForm.appendChild(dueInput);
+            const dueTimeInput = document.createElement('input');
+            dueTimeInput.type = 'time';
+            dueTimeInput.setAttribute('aria-label', 'Due time (optional)');
+            dueTimeInput.value = dueTime(draft.dueDate);
+            editForm.appendChild(dueTimeInput);
             const boardSelect = document.createElement('select');
-            boards.forEach(b => {
+            boards.filter(b => b.id === task.boardId || editableBoards().includes(b)).forEach(b => {
                 const opt = document.createElement('option');
                 opt.value = b.id;
                 opt.textContent = b.name;
-                if (task.boardId === b.id) opt.selected = true;
+                if (draft.boardId === b.id) opt.selected = true;
                 boardSelect.appendChild(opt);
             });
+            boardSelect.disabled = !canManage;
+            // The assignee choices follow the board the task is moved to
+            boardSelect.addEventListener('change', () => {
+                fillAssigneeSelect(userSelect, boardSelect.value, userSelect.value);
+            });
             editForm.appendChild(boardSelect);
+            const statusSelect = document.createElement('select');
+            boardStatuses(taskBoard).forEach(status => {
+                const opt = document.createElement('option');
+                opt.value = status.id;
+                opt.textContent = status.name;
+                if (taskStatus(taskBoard, draft) === status.id) opt.selected = true;
+                statusSelect.appendChild(opt);
+            });
+            editForm.appendChild(statusSelect);
+            const labelPicker = createLabelPicker(taskBoard, draft.labelIds || []);
+            editForm.appendChild(labelPicker);
+            const prioritySelect = document.createElement('select');
+            fillPrioritySelect(prioritySelect, draft.priority);
+            editForm.appendChild(prioritySelect);
+            const estimateInput = createEstimateInput(draft.estimate);
+            editForm.appendChild(estimateInput);
+            const recurrenceFields = createRecurrenceFields(draft.recurrence);
+            editForm.appendChild(recurrenceFields);
+            const blockerSelect = document.createElement('select');
+            blockerSelect.multiple = true;
+            blockerSelect.className = 'blocker-select';
+            blockerSelect.title = 'Blocked by';
+            fillBlockerSelect(blockerSelect, taskBlockers(draft), task.id);
+            editForm.appendChild(blockerSelect);
+            // Blockers on boards the user cannot see are not in the select,
+            // and are kept as they are
+            const blockersValue = () => selectedBlockers(blockerSelect)
+                .concat(taskBlockers(task).filter(id => !tasks.some(t => t.id === id)));
             const descArea = document.createElement('textarea');
-            descArea.value = task.description || '';
+            descArea.value = draft.description || '';
+            descArea.dataset.focusKey = 'description:' + task.id;
             editForm.appendChild(descArea);
+            const saveDraft = () => {
+                const values = {
+                    title: titleInput.value,
+                    userId: userSelect.value,
+                    dueDate: joinDueDate(dueInput.value, dueTimeInput.value),
+                    boardId: boardSelect.value,
+                    status: statusSelect.value,
+                    labelIds: labelPickerValue(labelPicker),
+                    priority: prioritySelect.value,
+                    estimate: estimateInput.value,
+                    recurrence: recurrenceValue(recurrenceFields),
+                    blockedBy: blockersValue(),
+                    description: descArea.value
+                };
+                // Compared as the text in the form: label lists as their
+                // comma-joined ids, rules as JSON, nothing as blank
+                const text = value => {
+                    if (value === undefined || value === null) return '';
+                    return typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : String(value);
+                };
+                task.draft = {};
+                Object.keys(values).forEach(key => {
+                    if (text(values[key]) !== text(task[key])) task.draft[key] = values[key];
+                });
+            };
+            editForm.addEventListener('input', saveDraft);
+            editForm.addEventListener('change', saveDraft);
             const buttonsDiv = document.createElement('div');
             buttonsDiv.className = 'edit-buttons';
             const saveBtn = document.createElement('button');
@@ -142,19 +675,41 @@ document.addEventListener('DOMContentLoaded', () => {
                 const updates = {
                     title: titleInput.value.trim() || task.title,
                     userId: userSelect.value || '',
-                    dueDate: dueInput.value,
+                    dueDate: joinDueDate(dueInput.value, dueTimeInput.value),
                     boardId: boardSelect.value,
-                    description: descArea.value.trim()
+                    priority: prioritySelect.value,
+                    estimate: parseEstimate(estimateInput.value),
+                    recurrence: recurrenceValue(recurrenceFields),
+                    description: descArea.value.trim(),
+                    blockedBy: blockersValue(),
+                    version: task.version || 0
                 };
+                // A task moved to another board takes that board's default
+                // column and keeps only the labels that board has
+                if (updates.boardId === task.boardId) {
+                    updates.status = statusSelect.value;
+                    updates.labelIds = labelPickerValue(labelPicker);
+                }
                 try {
-                    const res = await fetch('/api/tasks/' + encodeURIComponent(task.id), {
+                    const res = await apiFetch('/api/tasks/' + encodeURIComponent(task.id), {
                         method: 'PATCH',
                         headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify(updates)
                     });
                     if (res.ok) {
-                        Object.assign(task, updates);
+                        Object.assign(task, await res.json());
                         task.editing = false;
+                        delete task.draft;
+                        await fetchNextInstance(task);
+                        await fetchDependencies();
+                        render();
+                    } else if (res.status === 409) {
+                        // Someone else saved first. Take their version but
+                        // keep the form, so the user can save over it or
+                        // cancel to see it.
+                        const data = await res.json();
+                        Object.assign(task, data.task);
+                        alert(data.message + ' Save again to keep your changes, or cancel to see theirs.');
                         render();
                     } else {
                         const data = await res.json();
@@ -170,6 +725,7 @@ document.addEventListener('DOMContentLoaded', () => {
             cancelBtn.textContent = 'Cancel';
             cancelBtn.addEventListener('click', () => {
                 task.editing = false;
+                delete task.draft;
                 render();
             });
             buttonsDiv.appendChild(cancelBtn);
@@ -178,72 +734,408 @@ document.addEventListener('DOMContentLoaded', () => {
             return card;
         }
 
-        // Display mode
+        // Display mode. Cards the user may edit can be dragged between
+        // status columns.
+        card.dataset.taskId = task.id;
+        if (canEdit) {
+            card.draggable = true;
+            card.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', task.id);
+                e.dataTransfer.effectAllowed = 'move';
+                card.classList.add('dragging');
+            });
+            card.addEventListener('dragend', () => card.classList.remove('dragging'));
+        }
         const titleEl = document.createElement('h4');
         titleEl.textContent = task.title;
         card.appendChild(titleEl);
+        const labels = taskLabels(taskBoard, task);
+        if (labels.length) {
+            const chips = document.createElement('div');
+            chips.className = 'label-chips';
+            labels.forEach(label => chips.appendChild(createLabelChip(label)));
+            card.appendChild(chips);
+        }
+        if (task.priority) {
+            const priorityEl = document.createElement('span');
+            priorityEl.className = `priority priority-${task.priority}`;
+            priorityEl.textContent = priorityName(task.priority);
+            card.appendChild(priorityEl);
+        }
+        const waitingOn = openBlockers(task, dependencyDone);
+        if (waitingOn.length) {
+            const blockedEl = document.createElement('span');
+            blockedEl.className = 'blocked-badge';
+            blockedEl.textContent = 'Blocked';
+            blockedEl.title = 'Waiting on: ' + waitingOn.map(dependencyTitle).join(', ');
+            card.appendChild(blockedEl);
+        }
         // Assigned user display
         const user = users.find(u => u.id === task.userId);
         const assignText = document.createElement('p');
         assignText.textContent = user ? `Assigned: ${user.name}` : 'Assigned: —';
         card.appendChild(assignText);
-        // Due date display
+        // Due date display, flagged when it is near or past
         if (task.dueDate) {
             const dueEl = document.createElement('p');
-            dueEl.textContent = `Due: ${task.dueDate}`;
+            dueEl.className = 'due';
+            dueEl.textContent = `Due: ${formatDueDate(task.dueDate)}`;
+            const state = taskDueState(task);
+            if (state) {
+                card.classList.add(`due-${state}`);
+                const badge = document.createElement('span');
+                badge.className = 'due-badge';
+                badge.textContent = dueStateName(state);
+                dueEl.appendChild(badge);
+            }
             card.appendChild(dueEl);
         }
+        if (typeof task.estimate === 'number') {
+            const estimateEl = document.createElement('p');
+            estimateEl.textContent = `Estimate: ${task.estimate}`;
+            card.appendChild(estimateEl);
+        }
+        if (task.recurrence) {
+            const recurrenceEl = document.createElement('p');
+            recurrenceEl.className = 'recurrence';
+            recurrenceEl.textContent = `Repeats: ${describeRecurrence(task.recurrence)}`;
+            card.appendChild(recurrenceEl);
+        }
         // Description
         if (task.description) {
             const descEl = document.createElement('p');
             descEl.textContent = task.description;
             card.appendChild(descEl);
         }
-        // Sub-items section
+        card.appendChild(createItemsSection(task, canEdit, canManage));
+        card.appendChild(createHistorySection(task));
+        card.appendChild(createCommentsSection(task, can(taskBoard, currentUserId, 'comment')));
+        if (canEdit || canManage) card.appendChild(createTaskActions(task, canEdit, canManage));
+        return card;
+    }
+
+    // Collapsible history of a task, loaded when first opened
+    function createHistorySection(task) {
+        const section = document.createElement('div');
+        section.className = 'task-history';
+        const isOpen = openHistoryTaskIds.has(task.id);
+        const toggle = document.createElement('button');
+        toggle.className = 'history-toggle';
+        toggle.textContent = isOpen ? 'Hide history' : 'History';
+        toggle.addEventListener('click', () => toggleHistory(task.id));
+        section.appendChild(toggle);
+        if (isOpen) section.appendChild(createActivityList(taskHistory[task.id] || [], false));
+        return section;
+    }
+
+    // Collapsible comment thread of a task, loaded when first opened. Members
+    // who may comment get a form for adding to it.
+    function createCommentsSection(task, canComment) {
+        const section = document.createElement('div');
+        section.className = 'task-comments';
+        const isOpen = openCommentTaskIds.has(task.id);
+        const toggle = document.createElement('button');
+        toggle.className = 'comments-toggle';
+        toggle.textContent = isOpen ? 'Hide comments' : 'Comments';
+        toggle.addEventListener('click', () => toggleComments(task.id));
+        section.appendChild(toggle);
+        if (!isOpen) return section;
+        const people = boardPeople(task.boardId);
+        const ul = document.createElement('ul');
+        ul.className = 'comment-list';
+        const comments = taskComments[task.id] || [];
+        if (!comments.length) {
+            const li = document.createElement('li');
+            li.textContent = 'No comments yet.';
+            ul.appendChild(li);
+        }
+        comments.forEach(comment => {
+            const li = document.createElement('li');
+            const meta = document.createElement('div');
+            meta.className = 'comment-meta';
+            meta.textContent = `${comment.authorName || 'Someone'} · ${new Date(comment.created).toLocaleString()}`
+                + (comment.edited ? ' (edited)' : '');
+            li.appendChild(meta);
+            // Mentions of board members are highlighted
+            const body = document.createElement('div');
+            body.className = 'comment-body';
+            splitMentions(comment.body, people).forEach(segment => {
+                if (segment.userId) {
+                    const mention = document.createElement('span');
+                    mention.className = 'mention';
+                    mention.textContent = segment.text;
+                    body.appendChild(mention);
+                } else {
+                    body.appendChild(document.createTextNode(segment.text));
+                }
+            });
+            li.appendChild(body);
+            if (comment.authorId === currentUserId) {
+                if (canComment) {
+                    const editBtn = document.createElement('button');
+                    editBtn.textContent = 'Edit';
+                    editBtn.addEventListener('click', () => editComment(comment));
+                    li.appendChild(editBtn);
+                }
+                const delBtn = document.createElement('button');
+                delBtn.textContent = 'Delete';
+                delBtn.addEventListener('click', () => deleteComment(comment));
+                li.appendChild(delBtn);
+            }
+            ul.appendChild(li);
+        });
+        section.appendChild(ul);
+        if (canComment) section.appendChild(createCommentForm(task, people));
+        return section;
+    }
+
+    // Form for adding a comment. While the user types "@" and the start of
+    // a name, matching board members are offered; picking one completes the
+    // name.
+    function createCommentForm(task, people) {
+        const form = document.createElement('form');
+        form.className = 'comment-form';
+        const input = document.createElement('textarea');
+        input.placeholder = 'Write a comment (@name to mention someone)';
+        input.dataset.focusKey = 'comment:' + task.id;
+        form.appendChild(input);
+        const suggestions = document.createElement('ul');
+        suggestions.className = 'mention-suggestions';
+        suggestions.hidden = true;
+        form.appendChild(suggestions);
+        const postBtn = document.createElement('button');
+        postBtn.type = 'submit';
+        postBtn.textContent = 'Post';
+        form.appendChild(postBtn);
+        input.addEventListener('input', () => {
+            const query = mentionQuery(input.value, input.selectionStart);
+            const typed = (query || '').toLowerCase();
+            const matches = query === null ? [] : people
+                .filter(p => p.id !== currentUserId)
+                .filter(p => p.name.toLowerCase().split(/\s+/).some(word => word.startsWith(typed))
+                    || p.name.toLowerCase().startsWith(typed))
+                .slice(0, 5);
+            suggestions.innerHTML = '';
+            suggestions.hidden = matches.length === 0;
+            matches.forEach(person => {
+                const li = document.createElement('li');
+                li.textContent = person.name;
+                // mousedown rather than click keeps the caret in the textarea
+                li.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    const caret = input.selectionStart;
+                    const start = caret - query.length - 1;
+                    input.value = input.value.slice(0, start) + '@' + person.name + ' ' + input.value.slice(caret);
+                    input.selectionStart = input.selectionEnd = start + person.name.length + 2;
+                    suggestions.hidden = true;
+                    input.focus();
+                });
+                suggestions.appendChild(li);
+            });
+        });
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const body = input.value.trim();
+            if (body) await postComment(task.id, body);
+        });
+        return form;
+    }
+
+    // Sub-items of a task with a progress bar. Members who may edit the
+    // task can tick, edit, reorder (by dragging), delete and add items;
+    // those who may create tasks can turn an item into a task.
+    function createItemsSection(task, canEdit, canManage) {
         const sub = document.createElement('div');
         sub.className = 'sub-items';
         const subTitle = document.createElement('h5');
-        subTitle.textContent = 'Items';
+        const { done, total } = itemProgress(task.items);
+        subTitle.textContent = total ? `Items ${done}/${total}` : 'Items';
         sub.appendChild(subTitle);
+        if (total) {
+            const progress = document.createElement('div');
+            progress.className = 'item-progress';
+            progress.title = `${done} of ${total} items done`;
+            const bar = document.createElement('div');
+            bar.className = 'item-progress-bar';
+            bar.style.width = `${Math.round((done / total) * 100)}%`;
+            progress.appendChild(bar);
+            sub.appendChild(progress);
+        }
         const ul = document.createElement('ul');
-        (task.items || []).forEach(item => {
-            const li = document.createElement('li');
-            const chk = document.createElement('input');
-            chk.type = 'checkbox';
-            chk.checked = !!item.completed;
-            chk.addEventListener('change', async () => {
-                item.completed = chk.checked;
-                await updateTaskItems(task);
-            });
-            li.appendChild(chk);
-            const span = document.createElement('span');
-            span.textContent = item.content;
-            if (item.completed) span.style.textDecoration = 'line-through';
-            li.appendChild(span);
-            const editItemBtn = document.createElement('button');
-            editItemBtn.textContent = 'Edit';
-            editItemBtn.addEventListener('click', async () => {
-                const newContent = prompt('Edit item', item.content);
-                if (newContent !== null) {
-                    item.content = newContent.trim();
-                    await updateTaskItems(task);
-                }
+        orderedItems(task.items).forEach(item => {
+            ul.appendChild(item.id === editingItemId
+                ? createItemEditForm(task, item)
+                : createItemRow(task, item, canEdit, canManage));
+        });
+        if (canEdit) {
+            // Dropping a dragged item puts it in front of the item it lands
+            // on, or last; items only move within their own task
+            ul.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer.types.includes(ITEM_DRAG_TYPE)) return;
+                e.preventDefault();
+                e.stopPropagation();
             });
-            li.appendChild(editItemBtn);
-            const delItemBtn = document.createElement('button');
-            delItemBtn.textContent = '×';
-            delItemBtn.addEventListener('click', async () => {
-                task.items = task.items.filter(it => it.id !== item.id);
-                await updateTaskItems(task);
+            ul.addEventListener('drop', (e) => {
+                const itemId = e.dataTransfer.getData(ITEM_DRAG_TYPE);
+                if (!itemId) return;
+                e.preventDefault();
+                e.stopPropagation();
+                if (!(task.items || []).some(i => i.id === itemId)) return;
+                const target = e.target.closest('li[data-item-id]');
+                const beforeId = target ? target.dataset.itemId : null;
+                if (beforeId !== itemId) updateItem(task, 'PATCH', itemId, { beforeId });
             });
-            li.appendChild(delItemBtn);
-            ul.appendChild(li);
-        });
+        }
         sub.appendChild(ul);
+        if (canEdit) sub.appendChild(createAddItemForm(task));
+        return sub;
+    }
+
+    // One sub-item: its checkbox, content, assignee and due date, and the
+    // buttons for what the user may do with it
+    function createItemRow(task, item, canEdit, canManage) {
+        const li = document.createElement('li');
+        li.dataset.itemId = item.id;
+        const chk = document.createElement('input');
+        chk.type = 'checkbox';
+        chk.checked = !!item.completed;
+        chk.disabled = !canEdit;
+        chk.addEventListener('change', async () => {
+            await updateItem(task, 'PATCH', item.id, { completed: chk.checked });
+        });
+        li.appendChild(chk);
+        const span = document.createElement('span');
+        span.textContent = item.content;
+        if (item.completed) span.style.textDecoration = 'line-through';
+        li.appendChild(span);
+        const assignee = users.find(u => u.id === item.userId);
+        const meta = [assignee ? assignee.name : '', item.dueDate ? `due ${item.dueDate}` : ''].filter(Boolean);
+        if (meta.length) {
+            const small = document.createElement('small');
+            small.className = 'item-meta';
+            small.textContent = meta.join(' · ');
+            li.appendChild(small);
+        }
+        if (!canEdit) return li;
+        li.draggable = true;
+        li.addEventListener('dragstart', (e) => {
+            // Keep the card itself from being dragged along
+            e.stopPropagation();
+            e.dataTransfer.setData(ITEM_DRAG_TYPE, item.id);
+            e.dataTransfer.effectAllowed = 'move';
+            li.classList.add('dragging');
+        });
+        li.addEventListener('dragend', () => li.classList.remove('dragging'));
+        const startEditing = () => {
+            editingItemId = item.id;
+            render();
+            const input = document.querySelector(`[data-focus-key="item-edit:${item.id}"]`);
+            if (input) input.focus();
+        };
+        span.addEventListener('click', startEditing);
+        const editItemBtn = document.createElement('button');
+        editItemBtn.textContent = 'Edit';
+        editItemBtn.addEventListener('click', startEditing);
+        li.appendChild(editItemBtn);
+        if (canManage) {
+            const convertBtn = document.createElement('button');
+            convertBtn.textContent = '→ Task';
+            convertBtn.title = 'Turn this item into a task';
+            convertBtn.addEventListener('click', () => convertItem(task, item));
+            li.appendChild(convertBtn);
+        }
+        const delItemBtn = document.createElement('button');
+        delItemBtn.textContent = '×';
+        delItemBtn.addEventListener('click', async () => {
+            await updateItem(task, 'DELETE', item.id);
+        });
+        li.appendChild(delItemBtn);
+        return li;
+    }
+
+    // Inline form for a sub-item's content, assignee (a board member) and
+    // due date. Enter saves, Escape cancels.
+    function createItemEditForm(task, item) {
+        const li = document.createElement('li');
+        li.dataset.itemId = item.id;
+        const form = document.createElement('form');
+        form.className = 'item-edit-form';
+        const contentInput = document.createElement('input');
+        contentInput.value = item.content;
+        contentInput.dataset.focusKey = 'item-edit:' + item.id;
+        form.appendChild(contentInput);
+        const userSelect = document.createElement('select');
+        const blankOpt = document.createElement('option');
+        blankOpt.value = '';
+        blankOpt.textContent = 'Unassigned';
+        userSelect.appendChild(blankOpt);
+        boardPeople(task.boardId).forEach(u => {
+            const opt = document.createElement('option');
+            opt.value = u.id;
+            opt.textContent = u.name;
+            if (item.userId === u.id) opt.selected = true;
+            userSelect.appendChild(opt);
+        });
+        form.appendChild(userSelect);
+        const dueInput = document.createElement('input');
+        dueInput.type = 'date';
+        dueInput.value = item.dueDate || '';
+        form.appendChild(dueInput);
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'submit';
+        saveBtn.textContent = 'Save';
+        form.appendChild(saveBtn);
+        const cancel = () => {
+            editingItemId = null;
+            render();
+        };
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', cancel);
+        form.appendChild(cancelBtn);
+        form.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') cancel();
+        });
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const content = contentInput.value.trim();
+            if (!content) return;
+            editingItemId = null;
+            await updateItem(task, 'PATCH', item.id, { content, userId: userSelect.value, dueDate: dueInput.value });
+        });
+        li.appendChild(form);
+        return li;
+    }
+
+    // Turn a sub-item into a task of its own on the same board
+    async function convertItem(task, item) {
+        if (!confirm(`Turn "${item.content}" into a task?`)) return;
+        try {
+            const res = await apiFetch('/api/tasks/' + encodeURIComponent(task.id) + '/items/' + encodeURIComponent(item.id) + '/convert', {
+                method: 'POST'
+            });
+            const data = await res.json();
+            if (res.ok) {
+                Object.assign(task, data.source);
+                tasks.push(data.task);
+            } else {
+                alert(data.message || 'Failed to convert item');
+            }
+            await refreshActivity();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Form for adding a sub-item to a task
+    function createAddItemForm(task) {
         const addItemForm = document.createElement('form');
         addItemForm.className = 'add-item-form';
         const addInput = document.createElement('input');
         addInput.placeholder = 'Add item';
+        addInput.dataset.focusKey = 'item:' + task.id;
         addItemForm.appendChild(addInput);
         const addBtn = document.createElement('button');
         addBtn.type = 'submit';
@@ -253,21 +1145,38 @@ document.addEventListener('DOMContentLoaded', () => {
             e.preventDefault();
             const content = addInput.value.trim();
             if (content) {
-                const itemId = 'item-' + Date.now();
-                if (!task.items) task.items = [];
-                task.items.push({ id: itemId, content, completed: false });
                 addInput.value = '';
-                await updateTaskItems(task);
+                await updateItem(task, 'POST', null, { content });
             }
         });
-        sub.appendChild(addItemForm);
-        card.appendChild(sub);
-        // Task actions: board select, user select, edit, delete
+        return addItemForm;
+    }
+
+    // Task actions: board select, user select, edit, delete. Moving,
+    // reassigning and deleting need edit rights on the whole board; members
+    // who may only edit their own tasks just get the Edit button.
+    function createTaskActions(task, canEdit, canManage) {
         const actionsDiv = document.createElement('div');
         actionsDiv.className = 'task-actions';
-        // Board select for moving
+        if (canManage) actionsDiv.appendChild(createMoveSelect(task));
+        if (canManage) actionsDiv.appendChild(createAssignSelect(task));
+        if (canEdit) {
+            const editBtn = document.createElement('button');
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => {
+                task.editing = true;
+                render();
+            });
+            actionsDiv.appendChild(editBtn);
+        }
+        if (canManage) actionsDiv.appendChild(createDeleteButton(task));
+        return actionsDiv;
+    }
+
+    // Board select for moving a task to another board
+    function createMoveSelect(task) {
         const boardSelect = document.createElement('select');
-        boards.forEach(b => {
+        boards.filter(b => b.id === task.boardId || editableBoards().includes(b)).forEach(b => {
             const opt = document.createElement('option');
             opt.value = b.id;
             opt.textContent = b.name;
@@ -275,47 +1184,42 @@ document.addEventListener('DOMContentLoaded', () => {
             boardSelect.appendChild(opt);
         });
         boardSelect.addEventListener('change', async (e) => {
+            // Keep the task's column if the destination board has it,
+            // otherwise start in the destination's first column. The task
+            // goes to the top of the destination board.
             task.boardId = e.target.value;
-            await updateTask(task);
+            task.status = taskStatus(boards.find(b => b.id === task.boardId), task);
+            const first = sortByPosition(tasks.filter(t => t.boardId === task.boardId && t.id !== task.id))[0];
+            await updateTask(task, { beforeId: first ? first.id : null });
         });
-        actionsDiv.appendChild(boardSelect);
-        // User select for reassigning
+        return boardSelect;
+    }
+
+    // User select for reassigning a task
+    function createAssignSelect(task) {
         const userSelect = document.createElement('select');
-        const blankOption = document.createElement('option');
-        blankOption.value = '';
-        blankOption.textContent = 'Unassigned';
-        userSelect.appendChild(blankOption);
-        users.forEach(u => {
-            const opt = document.createElement('option');
-            opt.value = u.id;
-            opt.textContent = u.name;
-            if (task.userId === u.id) opt.selected = true;
-            userSelect.appendChild(opt);
-        });
+        fillAssigneeSelect(userSelect, task.boardId, task.userId);
         userSelect.addEventListener('change', async (e) => {
             task.userId = e.target.value;
             await updateTask(task);
         });
-        actionsDiv.appendChild(userSelect);
-        // Edit button
-        const editBtn = document.createElement('button');
-        editBtn.textContent = 'Edit';
-        editBtn.addEventListener('click', () => {
-            task.editing = true;
-            render();
-        });
-        actionsDiv.appendChild(editBtn);
-        // Delete button
+        return userSelect;
+    }
+
+    // Delete button for a task
+    function createDeleteButton(task) {
         const delBtn = document.createElement('button');
         delBtn.textContent = 'Delete';
         delBtn.addEventListener('click', async () => {
-            if (confirm('Delete this task?')) {
+            if (confirm('Move this task to the trash?')) {
                 try {
-                    const res = await fetch('/api/tasks/' + encodeURIComponent(task.id), {
+                    const res = await apiFetch('/api/tasks/' + encodeURIComponent(task.id), {
                         method: 'DELETE'
                     });
                     if (res.ok) {
                         tasks = tasks.filter(t => t.id !== task.id);
+                        await fetchTrash();
+                        await refreshActivity();
                         render();
                     } else {
                         const data = await res.json();
@@ -326,48 +1230,73 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             }
         });
-        actionsDiv.appendChild(delBtn);
-        card.appendChild(actionsDiv);
-        return card;
+        return delBtn;
     }
 
     // Update task properties (except items) via API
-    async function updateTask(task) {
+    // Pass placement ({ beforeId }) to also move the task in its board's
+    // order; that renumbers the board, so tasks are reloaded afterwards.
+    // The task's version goes along, so a change made by someone else in
+    // the meantime is refused rather than overwritten.
+    async function updateTask(task, placement) {
         try {
-            const res = await fetch('/api/tasks/' + encodeURIComponent(task.id), {
+            const res = await apiFetch('/api/tasks/' + encodeURIComponent(task.id), {
                 method: 'PATCH',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
+                body: JSON.stringify(Object.assign({
                     title: task.title,
                     description: task.description,
                     dueDate: task.dueDate,
                     boardId: task.boardId,
-                    userId: task.userId
-                })
+                    userId: task.userId,
+                    status: task.status,
+                    version: task.version || 0
+                }, placement))
             });
+            const data = await res.json();
             if (!res.ok) {
-                const data = await res.json();
                 alert(data.message || 'Failed to update task');
+                // Reload so the card goes back to its saved state
+                await fetchTasks();
+            } else if (placement) {
+                await fetchTasks();
             } else {
-                render();
+                Object.assign(task, data);
+                await fetchNextInstance(task);
             }
+            await refreshActivity();
+            render();
         } catch (err) {
             alert('Network error');
         }
     }
 
-    // Update items on a task via API
-    async function updateTaskItems(task) {
+    // Load the next instance of a recurring task that was just completed,
+    // in case the event stream has not delivered it yet
+    async function fetchNextInstance(task) {
+        if (task.nextTaskId && !tasks.some(t => t.id === task.nextTaskId)) await fetchTasks();
+    }
+
+    // Add (itemId null), change or delete one sub-item via the item
+    // endpoints, which leave the task's other items alone, so members
+    // working on different items at once do not overwrite each other
+    async function updateItem(task, method, itemId, changes) {
+        const url = '/api/tasks/' + encodeURIComponent(task.id) + '/items' + (itemId ? '/' + encodeURIComponent(itemId) : '');
         try {
-            const res = await fetch('/api/tasks/' + encodeURIComponent(task.id), {
-                method: 'PATCH',
+            const res = await apiFetch(url, {
+                method,
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ items: task.items })
+                body: changes ? JSON.stringify(changes) : undefined
             });
-            if (!res.ok) {
-                const data = await res.json();
-                alert(data.message || 'Failed to update items');
+            const data = await res.json();
+            if (res.ok) {
+                Object.assign(task, data);
+            } else {
+                alert(data.message || 'Failed to update item');
+                // Reload so the card shows the items as saved
+                await fetchTasks();
             }
+            await refreshActivity();
             render();
         } catch (err) {
             alert('Network error');
@@ -377,83 +1306,1612 @@ document.addEventListener('DOMContentLoaded', () => {
     // Render boards and tasks
     function render() {
         // Update selects
-        updateUserOptions();
         updateBoardOptions();
+        updateUserOptions();
+        updateLabelOptions();
+        updateBlockerOptions();
+        renderInvites();
+        renderMentions();
+        renderNotifications();
+        renderDependencies();
+        renderArchived();
+        renderTrash();
+        renderViewSwitcher();
+        renderCalendar();
+        renderMyWork();
+        boardsContainer.hidden = view !== 'boards';
         // Clear container
         boardsContainer.innerHTML = '';
-        boards.forEach(board => {
+        activeBoards().forEach(board => {
             const boardDiv = document.createElement('div');
             boardDiv.className = 'board';
+            boardDiv.dataset.boardId = board.id;
             if (board.color) {
                 boardDiv.style.setProperty('--board-color', board.color);
             }
-            // Board header with invite button
+            // Board header with invite, members, labels, columns and (for
+            // the owner) board settings
             const headerDiv = document.createElement('div');
-            headerDiv.style.display = 'flex';
-            headerDiv.style.justifyContent = 'space-between';
-            headerDiv.style.alignItems = 'center';
+            headerDiv.className = 'board-header';
+            // The header is the handle for dragging the board into place
+            headerDiv.draggable = true;
+            headerDiv.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData(BOARD_DRAG_TYPE, board.id);
+                e.dataTransfer.effectAllowed = 'move';
+                boardDiv.classList.add('dragging');
+            });
+            headerDiv.addEventListener('dragend', () => boardDiv.classList.remove('dragging'));
             const title = document.createElement('h3');
             title.textContent = board.name;
-            title.style.flexGrow = '1';
             headerDiv.appendChild(title);
+            const viewers = (presence[board.id] || []).filter(u => u.id !== currentUserId);
+            if (viewers.length) headerDiv.appendChild(createPresence(viewers));
+            const openTasks = tasks.filter(t => t.boardId === board.id && !isTaskDone(board, t));
+            if (openTasks.some(t => typeof t.estimate === 'number')) {
+                const estimateEl = document.createElement('span');
+                estimateEl.className = 'board-estimate';
+                estimateEl.title = 'Total estimate of the open tasks';
+                estimateEl.textContent = `Open: ${totalEstimate(openTasks)}`;
+                headerDiv.appendChild(estimateEl);
+            }
+            headerDiv.appendChild(createSortSelect(board));
             const inviteBtn = document.createElement('button');
             inviteBtn.textContent = 'Invite';
-            inviteBtn.style.padding = '4px 8px';
-            inviteBtn.style.fontSize = '0.8rem';
             inviteBtn.addEventListener('click', () => {
                 const email = prompt('Enter email to invite');
-                if (email) {
-                    invite(board.id, email);
+                if (!email) return;
+                const role = prompt(`Role for ${email} (${ASSIGNABLE_ROLES.join(', ')})`, DEFAULT_ROLE);
+                if (role) {
+                    invite(board.id, email, role.trim().toLowerCase());
                 }
             });
-            headerDiv.appendChild(inviteBtn);
+            if (can(board, currentUserId, 'invite')) headerDiv.appendChild(inviteBtn);
+            const membersBtn = document.createElement('button');
+            membersBtn.textContent = 'Members';
+            membersBtn.addEventListener('click', () => toggleMembers(board.id));
+            headerDiv.appendChild(membersBtn);
+            const activityBtn = document.createElement('button');
+            activityBtn.textContent = 'Activity';
+            activityBtn.addEventListener('click', () => toggleActivity(board.id));
+            headerDiv.appendChild(activityBtn);
+            if (can(board, currentUserId, 'editTasks')) {
+                const labelsBtn = document.createElement('button');
+                labelsBtn.textContent = 'Labels';
+                labelsBtn.addEventListener('click', () => {
+                    openLabelsBoardId = openLabelsBoardId === board.id ? null : board.id;
+                    render();
+                });
+                headerDiv.appendChild(labelsBtn);
+            }
+            if (can(board, currentUserId, 'manageBoard')) {
+                const columnsBtn = document.createElement('button');
+                columnsBtn.textContent = 'Columns';
+                columnsBtn.addEventListener('click', () => editColumns(board));
+                headerDiv.appendChild(columnsBtn);
+                createBoardSettings(board).forEach(el => headerDiv.appendChild(el));
+            }
             boardDiv.appendChild(headerDiv);
-            // Tasks
-            const boardTasks = tasks.filter(t => t.boardId === board.id);
-            boardTasks.forEach(task => {
-                const card = createTaskCard(task);
-                boardDiv.appendChild(card);
+            if (openMembersBoardId === board.id) {
+                boardDiv.appendChild(createMembersPanel(board));
+            }
+            if (openLabelsBoardId === board.id && can(board, currentUserId, 'editTasks')) {
+                boardDiv.appendChild(createLabelsPanel(board));
+            }
+            if (openActivityBoardId === board.id) {
+                const panel = document.createElement('div');
+                panel.className = 'activity-panel';
+                panel.appendChild(createActivityList(boardActivity[board.id] || [], true));
+                boardDiv.appendChild(panel);
+            }
+            // Tasks, one column per status
+            const columnsDiv = document.createElement('div');
+            columnsDiv.className = 'board-columns';
+            boardStatuses(board).forEach(status => {
+                columnsDiv.appendChild(createStatusColumn(board, status));
             });
+            boardDiv.appendChild(columnsDiv);
             boardsContainer.appendChild(boardDiv);
         });
     }
 
-    // Invite API call
-    async function invite(boardId, email) {
-        try {
-            const res = await fetch('/api/invite', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ boardId, email, inviterId: currentUserId })
-            });
-            const data = await res.json();
-            if (res.ok) {
-                alert('Invitation sent (if email configured)');
-            } else {
-                alert(data.message || 'Failed to send invitation');
-            }
-        } catch (err) {
-            alert('Network error');
-        }
+    function isCalendarView() {
+        return CALENDAR_VIEWS.some(option => option.id === view);
     }
 
-    // Form submit handlers
-    boardForm.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        const name = boardNameInput.value.trim();
-        if (!name) return;
-        try {
-            const res = await fetch('/api/boards', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name, userId: currentUserId })
+    // Buttons to show the boards, My Work or a calendar, and to page
+    // through the calendar
+    function renderViewSwitcher() {
+        viewSwitcher.innerHTML = '';
+        const views = [{ id: 'boards', name: 'Boards' }, { id: 'mywork', name: 'My Work' }].concat(CALENDAR_VIEWS);
+        views.forEach(option => {
+            const btn = document.createElement('button');
+            btn.textContent = option.name;
+            btn.dataset.view = option.id;
+            if (view === option.id) btn.classList.add('active');
+            btn.addEventListener('click', async () => {
+                view = option.id;
+                localStorage.setItem('almo_view', view);
+                try {
+                    if (view === 'mywork') await fetchMyWork();
+                } catch (err) {
+                    alert('Network error');
+                }
+                render();
             });
-            const board = await res.json();
-            if (res.ok) {
-                boards.push(board);
-                boardNameInput.value = '';
+            viewSwitcher.appendChild(btn);
+        });
+        if (!isCalendarView()) return;
+        const nav = document.createElement('div');
+        nav.className = 'calendar-nav';
+        [['‹', -1, 'Previous'], ['Today', 0, 'Today'], ['›', 1, 'Next']].forEach(([text, step, label]) => {
+            const btn = document.createElement('button');
+            btn.textContent = text;
+            btn.setAttribute('aria-label', label);
+            btn.addEventListener('click', () => {
+                calendarAnchor = step ? shiftAnchor(view, calendarAnchor, step) : localDate();
                 render();
-            } else {
+            });
+            nav.appendChild(btn);
+        });
+        const title = document.createElement('h2');
+        title.textContent = calendarTitle(view, calendarAnchor);
+        nav.appendChild(title);
+        viewSwitcher.appendChild(nav);
+    }
+
+    // The tasks of the active boards on a month or week calendar by due
+    // date, coloured by board. Dragging a task the user may edit onto
+    // another day changes its due date; tasks without one are listed below
+    // the calendar, from where they can be dragged onto a day.
+    function renderCalendar() {
+        calendarSection.hidden = !isCalendarView();
+        calendarSection.innerHTML = '';
+        if (!isCalendarView()) return;
+        const shown = activeBoards().map(board => sortByPosition(tasks.filter(t => t.boardId === board.id))).flat();
+        const byDate = tasksByDate(shown);
+        const today = localDate();
+        const grid = document.createElement('div');
+        grid.className = `calendar-grid calendar-${view}`;
+        WEEKDAY_NAMES.forEach(name => {
+            const heading = document.createElement('div');
+            heading.className = 'calendar-weekday';
+            heading.textContent = name;
+            grid.appendChild(heading);
+        });
+        calendarDays(view, calendarAnchor).forEach(date => {
+            const day = document.createElement('div');
+            day.className = 'calendar-day';
+            day.dataset.date = date;
+            if (view === 'month' && !inMonth(date, calendarAnchor)) day.classList.add('outside');
+            if (date === today) day.classList.add('today');
+            const number = document.createElement('span');
+            number.className = 'calendar-date';
+            number.textContent = Number(date.slice(8));
+            day.appendChild(number);
+            (byDate.get(date) || []).forEach(task => day.appendChild(createCalendarTask(task)));
+            day.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                day.classList.add('drag-over');
+            });
+            day.addEventListener('dragleave', () => day.classList.remove('drag-over'));
+            day.addEventListener('drop', (e) => {
+                const task = tasks.find(t => t.id === e.dataTransfer.getData('text/plain'));
+                if (!task) return;
+                e.preventDefault();
+                day.classList.remove('drag-over');
+                if (dueDay(task.dueDate) === date) return;
+                task.dueDate = joinDueDate(date, dueTime(task.dueDate));
+                updateTask(task);
+            });
+            grid.appendChild(day);
+        });
+        calendarSection.appendChild(grid);
+        const undated = shown.filter(t => !t.dueDate);
+        if (undated.length) {
+            const list = document.createElement('div');
+            list.className = 'calendar-undated';
+            const heading = document.createElement('h3');
+            heading.textContent = 'No due date';
+            list.appendChild(heading);
+            undated.forEach(task => list.appendChild(createCalendarTask(task)));
+            calendarSection.appendChild(list);
+        }
+    }
+
+    // The open tasks assigned to the current user on all their boards,
+    // grouped as Overdue, Today, This week, Later and No date. Each can be
+    // ticked off, which moves it to its board's done column, or handed to
+    // someone else.
+    function renderMyWork() {
+        myWorkSection.hidden = view !== 'mywork';
+        myWorkSection.innerHTML = '';
+        if (view !== 'mywork' || !myWork) return;
+        const groups = myWork.groups.filter(group => group.tasks.length);
+        if (!groups.length) {
+            const empty = document.createElement('p');
+            empty.className = 'my-work-empty';
+            empty.textContent = 'Nothing is assigned to you.';
+            myWorkSection.appendChild(empty);
+            return;
+        }
+        groups.forEach(group => {
+            const groupDiv = document.createElement('div');
+            groupDiv.className = `my-work-group my-work-${group.id}`;
+            const heading = document.createElement('h3');
+            heading.textContent = `${group.name} (${group.tasks.length})`;
+            groupDiv.appendChild(heading);
+            const ul = document.createElement('ul');
+            group.tasks.forEach(workTask => {
+                // The loaded copy, which has the latest version
+                const task = tasks.find(t => t.id === workTask.id) || workTask;
+                const board = boards.find(b => b.id === task.boardId);
+                if (!board) return;
+                ul.appendChild(createMyWorkRow(task, board));
+            });
+            groupDiv.appendChild(ul);
+            myWorkSection.appendChild(groupDiv);
+        });
+    }
+
+    // One task in My Work: a box to complete it, its title, board and due
+    // date, and for editors a select to reassign it
+    function createMyWorkRow(task, board) {
+        const li = document.createElement('li');
+        li.dataset.taskId = task.id;
+        if (board.color) li.style.setProperty('--board-color', board.color);
+        const doneBox = document.createElement('input');
+        doneBox.type = 'checkbox';
+        doneBox.title = 'Mark as done';
+        doneBox.checked = isTaskDone(board, task);
+        doneBox.disabled = !canEditTask(board, currentUserId, task);
+        doneBox.addEventListener('change', () => {
+            task.status = doneStatus(board).id;
+            updateTask(task);
+        });
+        li.appendChild(doneBox);
+        const title = document.createElement('span');
+        title.className = 'my-work-title';
+        title.textContent = task.title;
+        li.appendChild(title);
+        const details = document.createElement('span');
+        details.className = 'my-work-details';
+        details.textContent = task.dueDate ? `${board.name} · Due: ${formatDueDate(task.dueDate)}` : board.name;
+        li.appendChild(details);
+        if (can(board, currentUserId, 'editTasks')) li.appendChild(createAssignSelect(task));
+        return li;
+    }
+
+    // A task on the calendar, in its board's colour and struck through
+    // once done
+    function createCalendarTask(task) {
+        const board = boards.find(b => b.id === task.boardId);
+        const status = boardStatuses(board).find(st => st.id === taskStatus(board, task));
+        const chip = document.createElement('div');
+        chip.className = 'calendar-task';
+        chip.dataset.taskId = task.id;
+        if (board.color) chip.style.setProperty('--board-color', board.color);
+        if (isTaskDone(board, task)) chip.classList.add('done');
+        chip.textContent = task.title;
+        chip.title = `${board.name} · ${status.name}`;
+        if (canEditTask(board, currentUserId, task)) {
+            chip.draggable = true;
+            chip.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', task.id);
+                e.dataTransfer.effectAllowed = 'move';
+                chip.classList.add('dragging');
+            });
+            chip.addEventListener('dragend', () => chip.classList.remove('dragging'));
+        }
+        return chip;
+    }
+
+    // How the board's cards are sorted: by hand, or by due date, priority
+    // or estimate
+    function createSortSelect(board) {
+        const select = document.createElement('select');
+        select.className = 'board-sort';
+        select.title = 'Sort cards';
+        SORT_MODES.forEach(mode => {
+            const opt = document.createElement('option');
+            opt.value = mode.id;
+            opt.textContent = `Sort: ${mode.name}`;
+            if (boardSort(board.id) === mode.id) opt.selected = true;
+            select.appendChild(opt);
+        });
+        select.addEventListener('change', () => setBoardSort(board.id, select.value));
+        return select;
+    }
+
+    // Create the Kanban column for one status of a board. Dropping a card
+    // on it moves the task into that status (and board), in front of the
+    // card it was dropped on or at the bottom of the column. While the
+    // board is sorted by a field, dropping changes the status but not the
+    // manual order.
+    function createStatusColumn(board, status) {
+        const column = document.createElement('div');
+        column.className = 'status-column';
+        const columnTasks = sortTasks(tasks.filter(t => t.boardId === board.id && taskStatus(board, t) === status.id), boardSort(board.id));
+        const heading = document.createElement('div');
+        heading.className = 'status-header';
+        heading.textContent = `${status.name} (${columnTasks.length})`;
+        column.appendChild(heading);
+        columnTasks.forEach(task => {
+            column.appendChild(createTaskCard(task));
+        });
+        column.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes(BOARD_DRAG_TYPE) || e.dataTransfer.types.includes(ITEM_DRAG_TYPE)) return;
+            e.preventDefault();
+            column.classList.add('drag-over');
+        });
+        column.addEventListener('dragleave', () => column.classList.remove('drag-over'));
+        column.addEventListener('drop', async (e) => {
+            const task = tasks.find(t => t.id === e.dataTransfer.getData('text/plain'));
+            if (!task) return;
+            e.preventDefault();
+            column.classList.remove('drag-over');
+            const beforeCard = e.target.closest('.task-card');
+            const beforeId = beforeCard ? beforeCard.dataset.taskId : null;
+            if (beforeId === task.id) return;
+            // Only members who can edit every task may reorder the board
+            const placement = can(board, currentUserId, 'editTasks') && boardSort(board.id) === 'manual'
+                ? { beforeId }
+                : undefined;
+            if (!placement && task.boardId === board.id && task.status === status.id) return;
+            const sourceBoard = boards.find(b => b.id === task.boardId);
+            if (task.boardId !== board.id &&
+                !(can(sourceBoard, currentUserId, 'editTasks') && can(board, currentUserId, 'editTasks'))) {
+                alert('Your role does not allow moving this task to another board.');
+                return;
+            }
+            task.boardId = board.id;
+            task.status = status.id;
+            await updateTask(task, placement);
+        });
+        return column;
+    }
+
+    // Rename, colour, archive and delete controls for a board's owner
+    function createBoardSettings(board) {
+        const renameBtn = document.createElement('button');
+        renameBtn.textContent = 'Rename';
+        renameBtn.addEventListener('click', () => {
+            const name = prompt('Board name', board.name);
+            if (name && name.trim() && name.trim() !== board.name) {
+                updateBoard(board.id, { name: name.trim() });
+            }
+        });
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.title = 'Board colour';
+        colorInput.value = board.color || '#4A90E2';
+        colorInput.addEventListener('change', () => updateBoard(board.id, { color: colorInput.value }));
+        const archiveBtn = document.createElement('button');
+        archiveBtn.textContent = 'Archive';
+        archiveBtn.addEventListener('click', () => updateBoard(board.id, { archived: true }));
+        return [renameBtn, colorInput, archiveBtn, createDeleteBoardButton(board)];
+    }
+
+    // Delete button for a board and all of its tasks
+    function createDeleteBoardButton(board) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm(`Move board "${board.name}" and all of its tasks to the trash?`)) return;
+            try {
+                const res = await apiFetch('/api/boards/' + encodeURIComponent(board.id), { method: 'DELETE' });
+                const data = await res.json();
+                if (!res.ok) {
+                    alert(data.message || 'Failed to delete board');
+                    return;
+                }
+                boards = boards.filter(b => b.id !== board.id);
+                tasks = tasks.filter(t => t.boardId !== board.id);
+                await fetchTrash();
+                render();
+            } catch (err) {
+                alert('Network error');
+            }
+        });
+        return deleteBtn;
+    }
+
+    // Save board settings (name, color, archived)
+    async function updateBoard(boardId, changes) {
+        try {
+            const res = await apiFetch('/api/boards/' + encodeURIComponent(boardId), {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to update board');
+                return;
+            }
+            boards = boards.map(b => (b.id === boardId ? data : b));
+            await refreshActivity();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // List the tasks that wait on others or that others wait on, with their
+    // blockers (open or done) and dependents
+    function renderDependencies() {
+        const linked = tasks.filter(t => taskBlockers(t).length || taskDependents(t).length);
+        dependenciesSection.hidden = linked.length === 0;
+        dependenciesList.innerHTML = '';
+        const describe = ids => ids.map(id => {
+            const done = dependencyDone(id);
+            const state = done === null ? 'deleted' : done ? 'done' : 'open';
+            return `${dependencyTitle(id)} (${state})`;
+        }).join(', ') || '—';
+        linked.forEach(task => {
+            const board = boards.find(b => b.id === task.boardId);
+            const li = document.createElement('li');
+            li.style.setProperty('--board-color', board.color);
+            const title = document.createElement('strong');
+            title.textContent = `${task.title} (${board.name})`;
+            li.appendChild(title);
+            if (openBlockers(task, dependencyDone).length) {
+                const blockedEl = document.createElement('span');
+                blockedEl.className = 'blocked-badge';
+                blockedEl.textContent = 'Blocked';
+                li.appendChild(blockedEl);
+            }
+            const blockers = document.createElement('p');
+            blockers.textContent = `Blocked by: ${describe(taskBlockers(task))}`;
+            li.appendChild(blockers);
+            const dependents = document.createElement('p');
+            dependents.textContent = `Blocks: ${describe(taskDependents(task))}`;
+            li.appendChild(dependents);
+            dependenciesList.appendChild(li);
+        });
+    }
+
+    // List archived boards below the active ones; the owner can restore or
+    // delete them
+    function renderArchived() {
+        const archived = boards.filter(b => b.archived);
+        archivedSection.hidden = archived.length === 0;
+        archivedList.innerHTML = '';
+        archived.forEach(board => {
+            const li = document.createElement('li');
+            li.style.setProperty('--board-color', board.color);
+            const span = document.createElement('span');
+            span.textContent = board.name;
+            li.appendChild(span);
+            if (can(board, currentUserId, 'manageBoard')) {
+                const restoreBtn = document.createElement('button');
+                restoreBtn.textContent = 'Restore';
+                restoreBtn.addEventListener('click', () => updateBoard(board.id, { archived: false }));
+                li.appendChild(restoreBtn);
+                li.appendChild(createDeleteBoardButton(board));
+            }
+            archivedList.appendChild(li);
+        });
+    }
+
+    // List deleted tasks and boards with who deleted them and when. Members
+    // allowed to restore an item can restore it or delete it for good.
+    function renderTrash() {
+        trashSection.hidden = trash.length === 0;
+        trashList.innerHTML = '';
+        trash.forEach(entry => {
+            const li = document.createElement('li');
+            const span = document.createElement('span');
+            const what = entry.type === 'board'
+                ? `Board "${entry.name}"`
+                : `Task "${entry.name}" from ${entry.boardName || 'a deleted board'}`;
+            const who = entry.deletedByName || 'someone';
+            const when = new Date(entry.deletedAt).toLocaleString();
+            span.textContent = `${what}, deleted by ${who} on ${when}`;
+            span.title = `Deleted for good after ${new Date(entry.purgeAt).toLocaleDateString()}`;
+            li.appendChild(span);
+            if (entry.canRestore) {
+                const restoreBtn = document.createElement('button');
+                restoreBtn.textContent = 'Restore';
+                restoreBtn.addEventListener('click', () => restoreFromTrash(entry.id));
+                li.appendChild(restoreBtn);
+                const purgeBtn = document.createElement('button');
+                purgeBtn.textContent = 'Delete forever';
+                purgeBtn.addEventListener('click', () => purgeFromTrash(entry));
+                li.appendChild(purgeBtn);
+            }
+            trashList.appendChild(li);
+        });
+    }
+
+    // Restore a trash entry, then reload boards and tasks it brings back
+    async function restoreFromTrash(entryId) {
+        try {
+            const res = await apiFetch('/api/trash/' + encodeURIComponent(entryId) + '/restore', { method: 'POST' });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to restore item');
+                return;
+            }
+            await fetchBoards();
+            await fetchTasks();
+            await fetchTrash();
+            await fetchDependencies();
+            await refreshActivity();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Delete a trash entry for good
+    async function purgeFromTrash(entry) {
+        if (!confirm(`Delete "${entry.name}" for good? This cannot be undone.`)) return;
+        try {
+            const res = await apiFetch('/api/trash/' + encodeURIComponent(entry.id), { method: 'DELETE' });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to delete item');
+                return;
+            }
+            trash = trash.filter(e => e.id !== entry.id);
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Move a board in the current user's board order, in front of the
+    // board beforeId or to the end when beforeId is null
+    async function moveBoard(boardId, beforeId) {
+        try {
+            const res = await apiFetch('/api/boards/' + encodeURIComponent(boardId) + '/move', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ beforeId })
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to move board');
+                return;
+            }
+            boards = data;
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Ask for a board's column names and save them as its statuses. The
+    // last column counts as done.
+    async function editColumns(board) {
+        const current = boardStatuses(board).map(s => s.name).join(', ');
+        const input = prompt('Columns, separated by commas (the last one counts as done)', current);
+        if (input === null) return;
+        const statuses = statusesFromNames(input.split(','), boardStatuses(board), createId);
+        if (!statuses.length) return;
+        try {
+            const res = await apiFetch('/api/boards/' + encodeURIComponent(board.id) + '/statuses', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ statuses })
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to update columns');
+                return;
+            }
+            boards = boards.map(b => (b.id === board.id ? data : b));
+            // Tasks in removed columns were moved on the server
+            await fetchTasks();
+            await refreshActivity();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // The labels of a board, each with its colour, name and a delete
+    // button, and a form for adding one
+    function createLabelsPanel(board) {
+        const panel = document.createElement('div');
+        panel.className = 'labels-panel';
+        const ul = document.createElement('ul');
+        boardLabels(board).forEach(label => {
+            const li = document.createElement('li');
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.title = 'Label colour';
+            colorInput.value = label.color;
+            colorInput.addEventListener('change', () => saveLabel(board, 'PATCH', label.id, { color: colorInput.value }));
+            li.appendChild(colorInput);
+            const nameInput = document.createElement('input');
+            nameInput.value = label.name;
+            nameInput.dataset.focusKey = 'label:' + label.id;
+            nameInput.addEventListener('change', () => {
+                const name = nameInput.value.trim();
+                if (name && name !== label.name) saveLabel(board, 'PATCH', label.id, { name });
+                else nameInput.value = label.name;
+            });
+            li.appendChild(nameInput);
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => {
+                if (confirm(`Delete the label "${label.name}"? It will be taken off every task.`)) {
+                    saveLabel(board, 'DELETE', label.id);
+                }
+            });
+            li.appendChild(deleteBtn);
+            ul.appendChild(li);
+        });
+        panel.appendChild(ul);
+        const form = document.createElement('form');
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.title = 'Label colour';
+        colorInput.value = nextBoardColor(boardLabels(board));
+        form.appendChild(colorInput);
+        const nameInput = document.createElement('input');
+        nameInput.placeholder = 'New label';
+        nameInput.dataset.focusKey = 'new-label:' + board.id;
+        form.appendChild(nameInput);
+        const addBtn = document.createElement('button');
+        addBtn.type = 'submit';
+        addBtn.textContent = 'Add';
+        form.appendChild(addBtn);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = nameInput.value.trim();
+            if (name) saveLabel(board, 'POST', null, { name, color: colorInput.value });
+        });
+        panel.appendChild(form);
+        return panel;
+    }
+
+    // Add (POST), change (PATCH) or delete (DELETE) one of a board's labels
+    async function saveLabel(board, method, labelId, changes) {
+        const url = '/api/boards/' + encodeURIComponent(board.id) + '/labels' + (labelId ? '/' + encodeURIComponent(labelId) : '');
+        try {
+            const res = await apiFetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: changes ? JSON.stringify(changes) : undefined
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to save label');
+                return;
+            }
+            boards = boards.map(b => (b.id === board.id ? data : b));
+            // A deleted label was taken off the board's tasks on the server
+            if (method === 'DELETE') await fetchTasks();
+            await refreshActivity();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Render the pending invitations inbox with accept/decline buttons
+    function renderInvites() {
+        invitesList.innerHTML = '';
+        invitesInbox.hidden = receivedInvites.length === 0;
+        receivedInvites.forEach(invite => {
+            const li = document.createElement('li');
+            const span = document.createElement('span');
+            span.textContent = invite.inviterName
+                ? `${invite.inviterName} invited you to "${invite.boardName}"`
+                : `You are invited to "${invite.boardName}"`;
+            li.appendChild(span);
+            const acceptBtn = document.createElement('button');
+            acceptBtn.textContent = 'Accept';
+            acceptBtn.addEventListener('click', () => respondToInvite(invite.id, 'accept'));
+            li.appendChild(acceptBtn);
+            const declineBtn = document.createElement('button');
+            declineBtn.textContent = 'Decline';
+            declineBtn.addEventListener('click', () => respondToInvite(invite.id, 'decline'));
+            li.appendChild(declineBtn);
+            invitesList.appendChild(li);
+        });
+    }
+
+    // Accept or decline an invitation, then reload boards and tasks
+    async function respondToInvite(inviteId, action) {
+        try {
+            const res = await apiFetch('/api/invites/' + encodeURIComponent(inviteId) + '/' + action, {
+                method: 'POST'
+            });
+            const data = await res.json();
+            if (!res.ok) alert(data.message || 'Failed to respond to invitation');
+            await fetchInvites();
+            if (action === 'accept') {
+                await fetchBoards();
+                await fetchTasks();
+            }
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Revoke an invitation the current user sent
+    async function revokeInvite(invite) {
+        try {
+            const res = await apiFetch('/api/invites/' + encodeURIComponent(invite.id), {
+                method: 'DELETE'
+            });
+            const data = await res.json();
+            if (!res.ok) alert(data.message || 'Failed to revoke invitation');
+            await fetchSentInvites();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Fetch the activity of a board, newest first
+    async function fetchBoardActivity(boardId) {
+        const res = await apiFetch('/api/boards/' + encodeURIComponent(boardId) + '/activity');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || 'Failed to load activity');
+        boardActivity[boardId] = data;
+    }
+
+    // Fetch the history of a task, newest first
+    async function fetchTaskHistory(taskId) {
+        const res = await apiFetch('/api/tasks/' + encodeURIComponent(taskId) + '/activity');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || 'Failed to load history');
+        taskHistory[taskId] = data;
+    }
+
+    // Open or close the activity panel of a board
+    async function toggleActivity(boardId) {
+        if (openActivityBoardId === boardId) {
+            openActivityBoardId = null;
+            render();
+            return;
+        }
+        try {
+            await fetchBoardActivity(boardId);
+            openActivityBoardId = boardId;
+            render();
+        } catch (err) {
+            alert(err.message || 'Network error');
+        }
+    }
+
+    // Open or close the history section of a task
+    async function toggleHistory(taskId) {
+        if (openHistoryTaskIds.has(taskId)) {
+            openHistoryTaskIds.delete(taskId);
+            render();
+            return;
+        }
+        try {
+            await fetchTaskHistory(taskId);
+            openHistoryTaskIds.add(taskId);
+            render();
+        } catch (err) {
+            alert(err.message || 'Network error');
+        }
+    }
+
+    // Reload open activity panels and task histories, and the My Work list
+    // when it is shown, after a change, so they show it. Errors are
+    // ignored; the panels keep their old entries.
+    async function refreshActivity() {
+        try {
+            if (openActivityBoardId) await fetchBoardActivity(openActivityBoardId);
+            if (view === 'mywork') await fetchMyWork();
+            for (const taskId of openHistoryTaskIds) {
+                if (tasks.some(t => t.id === taskId)) await fetchTaskHistory(taskId);
+                else openHistoryTaskIds.delete(taskId);
+            }
+        } catch (err) {
+            // Keep showing what was loaded before
+        }
+    }
+
+    // List of activity entries: who did what and when, with the changed
+    // fields underneath. Board panels name the task each entry is about.
+    function createActivityList(entries, showTask) {
+        const ul = document.createElement('ul');
+        ul.className = 'activity-list';
+        if (!entries.length) {
+            const li = document.createElement('li');
+            li.textContent = 'No activity yet.';
+            ul.appendChild(li);
+        }
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            const meta = document.createElement('div');
+            meta.className = 'activity-meta';
+            meta.textContent = `${entry.actorName || 'Someone'} · ${new Date(entry.at).toLocaleString()}`;
+            li.appendChild(meta);
+            const summary = document.createElement('div');
+            summary.textContent = describeActivity(entry, showTask);
+            li.appendChild(summary);
+            const details = entry.action === 'updated' ? entry.changes.map(describeChange).filter(Boolean) : [];
+            if (details.length) {
+                const changes = document.createElement('ul');
+                details.forEach(text => {
+                    const item = document.createElement('li');
+                    item.textContent = text;
+                    changes.appendChild(item);
+                });
+                li.appendChild(changes);
+            }
+            ul.appendChild(li);
+        });
+        return ul;
+    }
+
+    function userName(userId) {
+        const user = users.find(u => u.id === userId);
+        return user ? user.name : 'someone';
+    }
+
+    // One-line summary of an activity entry
+    function describeActivity(entry, showTask) {
+        const change = field => entry.changes.find(c => c.field === field) || {};
+        const action = entry.action.charAt(0).toUpperCase() + entry.action.slice(1);
+        if (entry.entity === 'task') {
+            const task = tasks.find(t => t.id === entry.entityId);
+            const title = change('title').after || change('title').before || (task && task.title) || 'a task';
+            return showTask || entry.action !== 'updated' ? `${action} task "${title}"` : `${action} this task`;
+        }
+        if (entry.entity === 'board') return `${action} the board`;
+        if (entry.entity === 'comment') {
+            const task = tasks.find(t => t.id === entry.taskId);
+            const where = showTask ? ` on "${(task && task.title) || 'a task'}"` : '';
+            if (entry.action === 'created') return `Commented${where}`;
+            return `${action} a comment${where}`;
+        }
+        if (entry.entity === 'member') {
+            const name = userName(entry.entityId);
+            const role = change('role');
+            if (entry.action === 'joined') return `${name} joined as ${role.after}`;
+            if (entry.action === 'left') return `${name} left the board`;
+            if (entry.action === 'removed') return `Removed ${name}`;
+            return `Changed ${name}'s role from ${role.before} to ${role.after}`;
+        }
+        if (entry.entity === 'invite') {
+            const email = change('email').after || change('email').before || 'someone';
+            if (entry.action === 'created') return `Invited ${email} as ${change('role').after}`;
+            return `${action} an invitation`;
+        }
+        return `${action} ${entry.entity}`;
+    }
+
+    // Labels for the fields in activity diffs
+    const FIELD_LABELS = {
+        title: 'Title',
+        description: 'Description',
+        dueDate: 'Due date',
+        boardId: 'Board',
+        userId: 'Assignee',
+        status: 'Status',
+        name: 'Name',
+        color: 'Colour',
+        archived: 'Archived',
+        statuses: 'Columns',
+        labelIds: 'Labels',
+        labels: 'Labels',
+        priority: 'Priority',
+        estimate: 'Estimate',
+        recurrence: 'Repeats',
+        blockedBy: 'Blocked by',
+        ownerId: 'Owner',
+        body: 'Comment'
+    };
+
+    // One line describing a changed field, or null for fields not worth
+    // showing
+    function describeChange(change) {
+        if (change.field === 'item') {
+            const { before, after } = change;
+            if (!before) return `Added item "${after.content}"`;
+            if (!after) return `Removed item "${before.content}"`;
+            if (before.completed !== after.completed) {
+                return `${after.completed ? 'Completed' : 'Reopened'} item "${after.content}"`;
+            }
+            if ((before.userId || '') !== (after.userId || '') && before.content === after.content) {
+                return `Assigned item "${after.content}" to ${formatValue('userId', after.userId || '')}`;
+            }
+            if ((before.dueDate || '') !== (after.dueDate || '') && before.content === after.content) {
+                return `Item "${after.content}" due: ${formatValue('dueDate', after.dueDate || '')}`;
+            }
+            return `Changed item "${before.content}" to "${after.content}"`;
+        }
+        if (change.field === 'itemOrder') return 'Reordered items';
+        if (change.field === 'position') return 'Moved within the board';
+        const label = FIELD_LABELS[change.field] || change.field;
+        return `${label}: ${formatValue(change.field, change.before)} → ${formatValue(change.field, change.after)}`;
+    }
+
+    function formatValue(field, value) {
+        if (value === null || value === '') return '—';
+        if (field === 'userId' || field === 'ownerId') return userName(value);
+        if (field === 'priority') return priorityName(value);
+        if (field === 'recurrence') return describeRecurrence(value);
+        if (field === 'blockedBy') return value.map(dependencyTitle).join(', ') || '—';
+        if (field === 'dueDate') return formatDueDate(value);
+        if (field === 'boardId') {
+            const board = boards.find(b => b.id === value);
+            return board ? board.name : 'another board';
+        }
+        if (field === 'status') {
+            const status = boards.map(b => boardStatuses(b)).flat().find(st => st.id === value);
+            return status ? status.name : value;
+        }
+        if (field === 'statuses' || field === 'labels') return value.map(item => item.name).join(', ') || '—';
+        if (field === 'labelIds') {
+            const labels = boards.map(b => boardLabels(b)).flat();
+            return value.map(id => (labels.find(l => l.id === id) || { name: 'a deleted label' }).name).join(', ') || '—';
+        }
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        return String(value);
+    }
+
+    // Users who are members of a board, the people who can be mentioned on
+    // its tasks
+    function boardPeople(boardId) {
+        const board = boards.find(b => b.id === boardId);
+        const memberIds = board ? board.members || [] : [];
+        return users.filter(u => memberIds.includes(u.id));
+    }
+
+    // Fetch the comments on a task, oldest first
+    async function fetchComments(taskId) {
+        const res = await apiFetch('/api/tasks/' + encodeURIComponent(taskId) + '/comments');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || 'Failed to load comments');
+        taskComments[taskId] = data;
+    }
+
+    // Open or close the comment thread of a task
+    async function toggleComments(taskId) {
+        if (openCommentTaskIds.has(taskId)) {
+            openCommentTaskIds.delete(taskId);
+            render();
+            return;
+        }
+        try {
+            await fetchComments(taskId);
+            openCommentTaskIds.add(taskId);
+            render();
+        } catch (err) {
+            alert(err.message || 'Network error');
+        }
+    }
+
+    // Add a comment to a task
+    async function postComment(taskId, body) {
+        try {
+            const res = await apiFetch('/api/tasks/' + encodeURIComponent(taskId) + '/comments', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ body })
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to post comment');
+                return;
+            }
+            taskComments[taskId] = (taskComments[taskId] || []).concat(data);
+            await refreshActivity();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Edit one of the current user's comments
+    async function editComment(comment) {
+        const body = prompt('Edit comment', comment.body);
+        if (body === null || !body.trim()) return;
+        try {
+            const res = await apiFetch('/api/comments/' + encodeURIComponent(comment.id), {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ body: body.trim() })
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to edit comment');
+                return;
+            }
+            taskComments[comment.taskId] = (taskComments[comment.taskId] || []).map(c => (c.id === data.id ? data : c));
+            await refreshActivity();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Delete one of the current user's comments
+    async function deleteComment(comment) {
+        if (!confirm('Delete this comment?')) return;
+        try {
+            const res = await apiFetch('/api/comments/' + encodeURIComponent(comment.id), { method: 'DELETE' });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to delete comment');
+                return;
+            }
+            taskComments[comment.taskId] = (taskComments[comment.taskId] || []).filter(c => c.id !== comment.id);
+            await refreshActivity();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Render the mentions inbox: who mentioned the current user on which
+    // task, unread ones marked
+    function renderMentions() {
+        mentionsList.innerHTML = '';
+        mentionsInbox.hidden = mentions.length === 0;
+        const unread = mentions.filter(m => !m.read).length;
+        mentionsTitle.textContent = unread ? `Mentions (${unread} unread)` : 'Mentions';
+        mentions.forEach(mention => {
+            const li = document.createElement('li');
+            if (!mention.read) li.className = 'unread';
+            const excerpt = mention.body.length > 140 ? mention.body.slice(0, 140) + '…' : mention.body;
+            const span = document.createElement('span');
+            span.textContent = `${mention.authorName || 'Someone'} mentioned you on "${mention.taskTitle}" (${mention.boardName}): ${excerpt}`;
+            li.appendChild(span);
+            const openBtn = document.createElement('button');
+            openBtn.textContent = 'Open';
+            openBtn.addEventListener('click', () => openMention(mention));
+            li.appendChild(openBtn);
+            if (!mention.read) {
+                const readBtn = document.createElement('button');
+                readBtn.textContent = 'Mark read';
+                readBtn.addEventListener('click', async () => {
+                    await markMentionRead(mention);
+                    render();
+                });
+                li.appendChild(readBtn);
+            }
+            mentionsList.appendChild(li);
+        });
+    }
+
+    async function markMentionRead(mention) {
+        try {
+            const res = await apiFetch('/api/mentions/' + encodeURIComponent(mention.id) + '/read', { method: 'POST' });
+            const data = await res.json();
+            if (res.ok) mention.read = true;
+            else alert(data.message || 'Failed to update mention');
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Mark a mention read and show the comments of its task
+    async function openMention(mention) {
+        if (!mention.read) await markMentionRead(mention);
+        try {
+            await fetchComments(mention.taskId);
+            openCommentTaskIds.add(mention.taskId);
+        } catch (err) {
+            alert(err.message || 'Network error');
+        }
+        render();
+        const card = boardsContainer.querySelector(`.task-card[data-task-id="${mention.taskId}"]`);
+        if (card && card.scrollIntoView) card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // Show the unread count on the bell and the latest notifications in its
+    // panel; unread ones are highlighted and marked read when clicked
+    function renderNotifications() {
+        notificationsCount.hidden = unreadNotifications === 0;
+        notificationsCount.textContent = unreadNotifications > 99 ? '99+' : String(unreadNotifications);
+        notificationsReadAll.disabled = unreadNotifications === 0;
+        notificationsList.innerHTML = '';
+        if (!notifications.length) {
+            const li = document.createElement('li');
+            li.textContent = 'No notifications yet.';
+            notificationsList.appendChild(li);
+        }
+        notifications.forEach(notification => {
+            const li = document.createElement('li');
+            if (!notification.read) li.className = 'unread';
+            li.textContent = notification.message;
+            const time = document.createElement('span');
+            time.className = 'notification-time';
+            time.textContent = new Date(notification.created).toLocaleString();
+            li.appendChild(time);
+            if (!notification.read) li.addEventListener('click', () => markNotificationRead(notification));
+            notificationsList.appendChild(li);
+        });
+        renderNotificationPrefs();
+    }
+
+    // Checkboxes for the notification types the user receives, then their
+    // email digest, reminder and mention settings
+    function renderNotificationPrefs() {
+        notificationPrefsBox.innerHTML = '';
+        if (!notificationPrefs || !emailPrefs) return;
+        Object.keys(NOTIFICATION_LABELS).forEach(type => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = notificationPrefs[type] !== false;
+            checkbox.addEventListener('change', () => saveNotificationPref(type, checkbox.checked));
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + NOTIFICATION_LABELS[type]));
+            notificationPrefsBox.appendChild(label);
+        });
+        const heading = document.createElement('h5');
+        heading.textContent = 'Email';
+        notificationPrefsBox.appendChild(heading);
+        const digestLabel = document.createElement('label');
+        digestLabel.appendChild(document.createTextNode('Digest of my tasks: '));
+        const digestSelect = document.createElement('select');
+        [['daily', 'Daily'], ['weekly', 'Weekly'], ['off', 'Off']].forEach(([value, text]) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            if (emailPrefs.digest === value) opt.selected = true;
+            digestSelect.appendChild(opt);
+        });
+        digestSelect.addEventListener('change', () => saveEmailPrefs({ digest: digestSelect.value }));
+        digestLabel.appendChild(digestSelect);
+        notificationPrefsBox.appendChild(digestLabel);
+        const remindersLabel = document.createElement('label');
+        const remindersBox = document.createElement('input');
+        remindersBox.type = 'checkbox';
+        remindersBox.checked = emailPrefs.reminders;
+        remindersBox.addEventListener('change', () => saveEmailPrefs({ reminders: remindersBox.checked }));
+        remindersLabel.appendChild(remindersBox);
+        remindersLabel.appendChild(document.createTextNode(' Reminders before my tasks are due'));
+        notificationPrefsBox.appendChild(remindersLabel);
+        const mentionsLabel = document.createElement('label');
+        const mentionsBox = document.createElement('input');
+        mentionsBox.type = 'checkbox';
+        mentionsBox.checked = emailPrefs.mentions;
+        mentionsBox.addEventListener('change', () => saveEmailPrefs({ mentions: mentionsBox.checked }));
+        mentionsLabel.appendChild(mentionsBox);
+        mentionsLabel.appendChild(document.createTextNode(' When someone mentions me'));
+        notificationPrefsBox.appendChild(mentionsLabel);
+    }
+
+    // Reload notifications in the background. Errors are ignored; the bell
+    // keeps what it showed.
+    async function refreshNotifications() {
+        try {
+            await fetchNotifications();
+            renderNotifications();
+        } catch (err) {
+            // Try again on the next poll
+        }
+    }
+
+    async function markNotificationRead(notification) {
+        try {
+            const res = await apiFetch('/api/notifications/' + encodeURIComponent(notification.id) + '/read', { method: 'POST' });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to update notification');
+                return;
+            }
+            notification.read = true;
+            unreadNotifications = Math.max(0, unreadNotifications - 1);
+            renderNotifications();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    async function markAllNotificationsRead() {
+        try {
+            const res = await apiFetch('/api/notifications/read-all', { method: 'POST' });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to update notifications');
+                return;
+            }
+            await fetchNotifications();
+            renderNotifications();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Change the user's email digest or reminder setting
+    async function saveEmailPrefs(changes) {
+        try {
+            const res = await apiFetch('/api/email/preferences', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            const data = await res.json();
+            if (res.ok) emailPrefs = data;
+            else alert(data.message || 'Failed to save preferences');
+        } catch (err) {
+            alert('Network error');
+        }
+        renderNotificationPrefs();
+    }
+
+    // Show or hide the notification preferences, loading them each time
+    async function toggleNotificationPrefs() {
+        if (!notificationPrefsBox.hidden) {
+            notificationPrefsBox.hidden = true;
+            return;
+        }
+        try {
+            const res = await apiFetch('/api/notifications/preferences');
+            const data = await res.json();
+            const emailRes = await apiFetch('/api/email/preferences');
+            const emailData = await emailRes.json();
+            if (!res.ok || !emailRes.ok) {
+                alert(data.message || emailData.message || 'Failed to load preferences');
+                return;
+            }
+            notificationPrefs = data;
+            emailPrefs = emailData;
+            renderNotificationPrefs();
+            notificationPrefsBox.hidden = false;
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Turn one notification type on or off
+    async function saveNotificationPref(type, enabled) {
+        try {
+            const res = await apiFetch('/api/notifications/preferences', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ [type]: enabled })
+            });
+            const data = await res.json();
+            if (res.ok) notificationPrefs = data;
+            else alert(data.message || 'Failed to save preferences');
+        } catch (err) {
+            alert('Network error');
+        }
+        renderNotificationPrefs();
+    }
+
+    // Initials of the other members who have a board open
+    function createPresence(viewers) {
+        const div = document.createElement('div');
+        div.className = 'presence';
+        div.title = 'Also viewing: ' + viewers.map(u => u.name).join(', ');
+        viewers.forEach(viewer => {
+            const badge = document.createElement('span');
+            badge.className = 'presence-user';
+            badge.textContent = viewer.name.split(/\s+/).filter(Boolean).map(w => w[0]).join('').slice(0, 2).toUpperCase();
+            div.appendChild(badge);
+        });
+        return div;
+    }
+
+    // Open the stream of changes other members make (see realtime.js). The
+    // browser reconnects by itself after a drop; everything is reloaded then,
+    // since changes made in the meantime were missed.
+    function connectEvents() {
+        if (!window.EventSource) return;
+        const source = new EventSource('/api/events');
+        const on = (event, handler) => source.addEventListener(event, e => {
+            handler(JSON.parse(e.data)).catch(() => {
+                // Keep showing what was loaded before
+            });
+        });
+        on('hello', async data => {
+            const reconnected = clientId !== null;
+            clientId = data.clientId;
+            if (reconnected) await reloadAll();
+        });
+        on('board', async data => {
+            const existing = boards.find(b => b.id === data.board.id);
+            if (existing) Object.assign(existing, data.board);
+            else boards.push(data.board);
+            await afterRemoteChange(data.board.id);
+        });
+        on('boardRemoved', async data => {
+            boards = boards.filter(b => b.id !== data.boardId);
+            tasks = tasks.filter(t => t.boardId !== data.boardId);
+            delete presence[data.boardId];
+            if (openMembersBoardId === data.boardId) openMembersBoardId = null;
+            if (openActivityBoardId === data.boardId) openActivityBoardId = null;
+            await fetchTrash();
+            await afterRemoteChange();
+        });
+        on('task', async data => {
+            tasks = tasks.filter(t => t.id !== data.task.id).concat(mergeTasks([data.task]));
+            await afterRemoteChange(data.task.boardId);
+        });
+        on('taskRemoved', async data => {
+            // A task moved to another board the user can see stays
+            tasks = tasks.filter(t => !(t.id === data.taskId && t.boardId === data.boardId));
+            if (!tasks.some(t => t.id === data.taskId)) {
+                openHistoryTaskIds.delete(data.taskId);
+                openCommentTaskIds.delete(data.taskId);
+            }
+            await fetchTrash();
+            await afterRemoteChange(data.boardId);
+        });
+        on('boardTasks', async data => {
+            const incoming = mergeTasks(data.tasks);
+            const ids = new Set(incoming.map(t => t.id));
+            tasks = tasks.filter(t => t.boardId !== data.boardId && !ids.has(t.id)).concat(incoming);
+            await afterRemoteChange(data.boardId);
+        });
+        on('dependencies', async () => {
+            await fetchDependencies();
+            renderRemote();
+        });
+        on('presence', async data => {
+            presence[data.boardId] = data.users;
+            renderRemote();
+        });
+        on('notification', async data => {
+            notifications.unshift(data.notification);
+            unreadNotifications++;
+            if (data.notification.type === 'invite') await fetchInvites();
+            if (data.notification.type === 'mention') await fetchMentions();
+            renderRemote();
+        });
+    }
+
+    // Reload the open panels that a pushed change may affect, then render
+    async function afterRemoteChange(boardId) {
+        if (openMembersBoardId && (!boardId || openMembersBoardId === boardId)) {
+            await fetchMembers(openMembersBoardId);
+        }
+        await refreshActivity();
+        renderRemote();
+    }
+
+    // Reload everything, after the event stream was interrupted
+    async function reloadAll() {
+        await fetchInvites();
+        await fetchUsers();
+        await fetchBoards();
+        await fetchTasks();
+        await fetchDependencies();
+        await fetchTrash();
+        await fetchMentions();
+        await fetchNotifications();
+        await afterRemoteChange();
+    }
+
+    // Render for a change pushed by the server without disturbing the user:
+    // the field they are typing in keeps its focus, text and caret
+    function renderRemote() {
+        const active = document.activeElement;
+        const key = active && active.dataset ? active.dataset.focusKey : null;
+        const saved = key && { value: active.value, start: active.selectionStart, end: active.selectionEnd };
+        render();
+        if (!key) return;
+        const field = Array.from(document.querySelectorAll('[data-focus-key]')).find(el => el.dataset.focusKey === key);
+        if (!field) return;
+        field.value = saved.value;
+        field.focus();
+        if (typeof saved.start === 'number') field.setSelectionRange(saved.start, saved.end);
+    }
+
+    // Build the members panel shown under a board header. The owner can
+    // change roles, remove members or hand over ownership; other members
+    // can leave.
+    function createMembersPanel(board) {
+        const panel = document.createElement('div');
+        panel.className = 'members-panel';
+        const ul = document.createElement('ul');
+        (boardMembers[board.id] || []).forEach(member => {
+            const li = document.createElement('li');
+            const span = document.createElement('span');
+            span.textContent = `${member.name} (${member.role})`;
+            li.appendChild(span);
+            const isOwner = can(board, currentUserId, 'manageMembers');
+            if (isOwner && !member.isOwner) {
+                const roleSelect = document.createElement('select');
+                ASSIGNABLE_ROLES.forEach(role => {
+                    const opt = document.createElement('option');
+                    opt.value = role;
+                    opt.textContent = role;
+                    if (member.role === role) opt.selected = true;
+                    roleSelect.appendChild(opt);
+                });
+                roleSelect.addEventListener('change', () => changeRole(board.id, member.id, roleSelect.value));
+                li.appendChild(roleSelect);
+                const ownerBtn = document.createElement('button');
+                ownerBtn.textContent = 'Make owner';
+                ownerBtn.addEventListener('click', () => {
+                    if (confirm(`Transfer ownership of "${board.name}" to ${member.name}?`)) {
+                        transferOwnership(board.id, member.id);
+                    }
+                });
+                li.appendChild(ownerBtn);
+                const removeBtn = document.createElement('button');
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', () => {
+                    if (confirm(`Remove ${member.name} from "${board.name}"?`)) {
+                        removeMember(board.id, member.id);
+                    }
+                });
+                li.appendChild(removeBtn);
+            } else if (!isOwner && member.id === currentUserId) {
+                const leaveBtn = document.createElement('button');
+                leaveBtn.textContent = 'Leave';
+                leaveBtn.addEventListener('click', () => {
+                    if (confirm(`Leave "${board.name}"?`)) {
+                        removeMember(board.id, member.id);
+                    }
+                });
+                li.appendChild(leaveBtn);
+            }
+            ul.appendChild(li);
+        });
+        panel.appendChild(ul);
+        // Pending invitations this user sent for the board
+        const pending = sentInvites.filter(i => i.boardId === board.id && i.status === 'pending');
+        if (pending.length) {
+            const heading = document.createElement('h5');
+            heading.textContent = 'Pending invitations';
+            panel.appendChild(heading);
+            const inviteUl = document.createElement('ul');
+            pending.forEach(invite => {
+                const li = document.createElement('li');
+                const span = document.createElement('span');
+                span.textContent = invite.email;
+                li.appendChild(span);
+                const revokeBtn = document.createElement('button');
+                revokeBtn.textContent = 'Revoke';
+                revokeBtn.addEventListener('click', () => {
+                    if (confirm(`Revoke the invitation for ${invite.email}?`)) {
+                        revokeInvite(invite);
+                    }
+                });
+                li.appendChild(revokeBtn);
+                inviteUl.appendChild(li);
+            });
+            panel.appendChild(inviteUl);
+        }
+        return panel;
+    }
+
+    // Fetch the members of a board into boardMembers
+    async function fetchMembers(boardId) {
+        const res = await apiFetch('/api/boards/' + encodeURIComponent(boardId) + '/members');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || 'Failed to load members');
+        boardMembers[boardId] = data;
+    }
+
+    // Open or close the members panel of a board
+    async function toggleMembers(boardId) {
+        if (openMembersBoardId === boardId) {
+            openMembersBoardId = null;
+            render();
+            return;
+        }
+        try {
+            await fetchMembers(boardId);
+            await fetchSentInvites();
+            openMembersBoardId = boardId;
+            render();
+        } catch (err) {
+            alert(err.message || 'Network error');
+        }
+    }
+
+    // Remove a member (or leave the board when removing yourself)
+    async function removeMember(boardId, userId) {
+        try {
+            const res = await apiFetch('/api/boards/' + encodeURIComponent(boardId) + '/members/' + encodeURIComponent(userId), {
+                method: 'DELETE'
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to remove member');
+                return;
+            }
+            if (userId === currentUserId) {
+                openMembersBoardId = null;
+                await fetchBoards();
+            } else {
+                await fetchMembers(boardId);
+            }
+            // Tasks may have been unassigned or become inaccessible
+            await fetchTasks();
+            if (!boards.some(b => b.id === openActivityBoardId)) openActivityBoardId = null;
+            await refreshActivity();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Change a member's role on a board
+    async function changeRole(boardId, userId, role) {
+        try {
+            const res = await apiFetch('/api/boards/' + encodeURIComponent(boardId) + '/members/' + encodeURIComponent(userId), {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ role })
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to change role');
+            } else {
+                boards = boards.map(b => (b.id === boardId ? data : b));
+            }
+            await fetchMembers(boardId);
+            await refreshActivity();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Hand ownership of a board to another member
+    async function transferOwnership(boardId, userId) {
+        try {
+            const res = await apiFetch('/api/boards/' + encodeURIComponent(boardId) + '/transfer', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ userId })
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                alert(data.message || 'Failed to transfer ownership');
+                return;
+            }
+            boards = boards.map(b => (b.id === boardId ? data : b));
+            await fetchMembers(boardId);
+            await refreshActivity();
+            render();
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Invite API call
+    async function invite(boardId, email, role) {
+        try {
+            const res = await apiFetch('/api/invite', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ boardId, email, role })
+            });
+            const data = await res.json();
+            if (res.ok) {
+                alert('Invitation sent (if email configured)');
+                await fetchSentInvites();
+                await refreshActivity();
+                render();
+            } else {
+                alert(data.message || 'Failed to send invitation');
+            }
+        } catch (err) {
+            alert('Network error');
+        }
+    }
+
+    // Form submit handlers
+    boardForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = boardNameInput.value.trim();
+        if (!name) return;
+        try {
+            const res = await apiFetch('/api/boards', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            });
+            const board = await res.json();
+            if (res.ok) {
+                boards.push(board);
+                boardNameInput.value = '';
+                render();
+            } else {
                 alert(board.message || 'Failed to create board');
             }
         } catch (err) {
@@ -461,19 +2919,35 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    fillPrioritySelect(taskPrioritySelect, '');
+    taskRecurrenceBox.appendChild(createRecurrenceFields(null));
+
+    // The assignee and label choices follow the board chosen for the new task
+    taskBoardSelect.addEventListener('change', () => {
+        updateUserOptions();
+        updateLabelOptions();
+    });
+
     taskForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         const title = document.getElementById('task-title').value.trim();
         const assignedUserId = taskUserSelect.value || '';
-        const dueDate = document.getElementById('task-due').value;
+        const dueDate = joinDueDate(document.getElementById('task-due').value, document.getElementById('task-due-time').value);
         const description = document.getElementById('task-desc').value.trim();
         const boardId = taskBoardSelect.value;
+        const labelIds = labelPickerValue(taskLabelsBox);
+        const priority = taskPrioritySelect.value;
+        const estimate = parseEstimate(document.getElementById('task-estimate').value);
+        const recurrence = recurrenceValue(taskRecurrenceBox);
+        const blockedBy = selectedBlockers(taskBlockersSelect);
         if (!title || !boardId) return;
         try {
-            const res = await fetch('/api/tasks', {
+            const res = await apiFetch('/api/tasks', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ title, description, dueDate, boardId, assignedUserId, creatorId: currentUserId })
+                body: JSON.stringify({
+                    title, description, dueDate, boardId, assignedUserId, labelIds, priority, estimate, recurrence, blockedBy
+                })
             });
             const task = await res.json();
             if (res.ok) {
@@ -482,7 +2956,14 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.getElementById('task-title').value = '';
                 document.getElementById('task-desc').value = '';
                 document.getElementById('task-due').value = '';
+                document.getElementById('task-due-time').value = '';
                 taskUserSelect.value = '';
+                taskPrioritySelect.value = '';
+                document.getElementById('task-estimate').value = '';
+                taskRecurrenceBox.replaceChildren(createRecurrenceFields(null));
+                taskLabelsBox.querySelectorAll('input').forEach(checkbox => { checkbox.checked = false; });
+                taskBlockersSelect.querySelectorAll('option').forEach(opt => { opt.selected = false; });
+                if (blockedBy.length) await fetchDependencies();
                 render();
             } else {
                 alert(task.message || 'Failed to create task');
@@ -492,6 +2973,28 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Dropping a dragged board header puts the board in front of the board
+    // it lands on, or last when dropped on empty space
+    boardsContainer.addEventListener('dragover', (e) => {
+        if (e.dataTransfer.types.includes(BOARD_DRAG_TYPE)) e.preventDefault();
+    });
+    boardsContainer.addEventListener('drop', (e) => {
+        const boardId = e.dataTransfer.getData(BOARD_DRAG_TYPE);
+        if (!boardId) return;
+        e.preventDefault();
+        const target = e.target.closest('.board');
+        const beforeId = target ? target.dataset.boardId : null;
+        if (beforeId !== boardId) moveBoard(boardId, beforeId);
+    });
+
+    // The bell opens the notifications panel, refreshing it on the way
+    notificationsBell.addEventListener('click', () => {
+        notificationsPanel.hidden = !notificationsPanel.hidden;
+        if (!notificationsPanel.hidden) refreshNotifications();
+    });
+    notificationsReadAll.addEventListener('click', markAllNotificationsRead);
+    notificationsSettings.addEventListener('click', toggleNotificationPrefs);
+
     // Start the app
     init();
 });
\ No newline at end of file
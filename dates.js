@@ -0,0 +1,308 @@
+/*
+ * Dates for AL&MO TASKS.
+ *
+ * Task due dates are YYYY-MM-DD, optionally with a time of day as
+ * YYYY-MM-DDTHH:MM. Both are wall-clock values, read in the time zone of
+ * whoever looks at them: a task due on a date is due by the end of that
+ * day there. dueState() tells whether a task is overdue, due today or due
+ * soon in a time zone: the browser's own in the front‑ends and, on the
+ * server, the zone each user's dashboard reports (`user.timeZone`), or the
+ * server's for users it does not know.
+ *
+ * Other dates (sub-item due dates, recurrence rules, the calendar) are
+ * plain YYYY-MM-DD and are worked out through UTC midnights, so daylight
+ * saving changes never shift a day.
+ *
+ * Shared by the server (require('./dates')) and both front‑ends
+ * (window.AlmoDates, before the other shared modules).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AlmoDates = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    const DUE_DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}):(\d{2}))?$/;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * The years dates may fall in. Dates far outside them are typos, and
+     * moving them by days could run past what a Date can hold.
+     */
+    const MIN_YEAR = 1900;
+    const MAX_YEAR = 2999;
+
+    /**
+     * How many days ahead a due date counts as soon: 1 for tomorrow.
+     */
+    const DUE_SOON_DAYS = 1;
+
+    /**
+     * The states of dueState(), most urgent first.
+     */
+    const DUE_STATES = [
+        { id: 'overdue', name: 'Overdue' },
+        { id: 'today', name: 'Due today' },
+        { id: 'soon', name: 'Due soon' }
+    ];
+
+    /**
+     * A YYYY-MM-DD date as a Date at its UTC midnight.
+     *
+     * @param {string} date
+     * @returns {Date}
+     */
+    function parseDate(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    /**
+     * The UTC day of a Date as YYYY-MM-DD.
+     *
+     * @param {Date} date
+     * @returns {string}
+     */
+    function formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * A YYYY-MM-DD date some days later (or earlier, for negative days).
+     *
+     * @param {string} date
+     * @param {number} days
+     * @returns {string}
+     */
+    function addDays(date, days) {
+        return formatDate(new Date(parseDate(date).getTime() + days * DAY_MS));
+    }
+
+    /**
+     * Whether a value is a YYYY-MM-DD date that exists (not 2026-02-30),
+     * from MIN_YEAR to MAX_YEAR.
+     *
+     * @param {*} date
+     * @returns {boolean}
+     */
+    function isValidDate(date) {
+        if (typeof date !== 'string' || !DATE_PATTERN.test(date) || formatDate(parseDate(date)) !== date) return false;
+        const year = Number(date.slice(0, 4));
+        return year >= MIN_YEAR && year <= MAX_YEAR;
+    }
+
+    /**
+     * Check a task due date sent by a client: a date, a date with a time, or
+     * '' for none. Returns an error message, or null when it is usable.
+     *
+     * @param {*} dueDate
+     * @returns {string|null}
+     */
+    function validateDueDate(dueDate) {
+        if (dueDate === '') return null;
+        const match = typeof dueDate === 'string' && DUE_DATE_PATTERN.exec(dueDate);
+        if (!match || !isValidDate(match[1]) || (match[2] && (Number(match[2]) > 23 || Number(match[3]) > 59))) {
+            return 'dueDate must be a date (YYYY-MM-DD), optionally with a time (YYYY-MM-DDTHH:MM), or empty for none.';
+        }
+        return null;
+    }
+
+    /**
+     * The day of a due date, without its time.
+     *
+     * @param {string} dueDate
+     * @returns {string} YYYY-MM-DD, or '' for none.
+     */
+    function dueDay(dueDate) {
+        return (dueDate || '').slice(0, 10);
+    }
+
+    /**
+     * The time of a due date.
+     *
+     * @param {string} dueDate
+     * @returns {string} HH:MM, or '' when it has none.
+     */
+    function dueTime(dueDate) {
+        return (dueDate || '').slice(11);
+    }
+
+    /**
+     * A due date from a date and an optional time, as entered in a form.
+     *
+     * @param {string} date YYYY-MM-DD, or '' for none.
+     * @param {string} [time] HH:MM
+     * @returns {string}
+     */
+    function joinDueDate(date, time) {
+        if (!date) return '';
+        return time ? `${date}T${time}` : date;
+    }
+
+    /**
+     * A due date for display, such as "2026-10-18 14:30".
+     *
+     * @param {string} dueDate
+     * @returns {string}
+     */
+    function formatDueDate(dueDate) {
+        return (dueDate || '').replace('T', ' ');
+    }
+
+    /**
+     * A key that sorts due dates soonest first: on a day, due times come
+     * before due dates without one, which last until its end.
+     *
+     * @param {string} dueDate
+     * @returns {string}
+     */
+    function dueSortKey(dueDate) {
+        if (!dueDate) return '';
+        return dueTime(dueDate) ? dueDate : `${dueDate}T24:00`;
+    }
+
+    /**
+     * Whether a time zone name, such as "Europe/Paris", is known.
+     *
+     * @param {*} timeZone
+     * @returns {boolean}
+     */
+    function isValidTimeZone(timeZone) {
+        if (typeof timeZone !== 'string' || !timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * The name of the local time zone, or '' where it is not known.
+     *
+     * @returns {string}
+     */
+    function localTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    }
+
+    // One formatter per time zone; undefined is the local one
+    const formatters = new Map();
+
+    // The wall-clock date and time of a moment in a time zone, as numbers
+    function zonedParts(date, timeZone) {
+        if (!formatters.has(timeZone)) {
+            formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric'
+            }));
+        }
+        const parts = {};
+        formatters.get(timeZone).formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = Number(part.value);
+        });
+        return parts;
+    }
+
+    /**
+     * The date of a moment as YYYY-MM-DD in a time zone, or in the local
+     * one when none is given.
+     *
+     * @param {Date} [date]
+     * @param {string} [timeZone]
+     * @returns {string}
+     */
+    function localDate(date = new Date(), timeZone) {
+        const { year, month, day } = zonedParts(date, timeZone);
+        const pad = n => String(n).padStart(2, '0');
+        return `${year}-${pad(month)}-${pad(day)}`;
+    }
+
+    /**
+     * The moment a task is due in a time zone (the local one when none is
+     * given): its time on its day, or the end of the day for a due date
+     * without a time.
+     *
+     * @param {string} dueDate
+     * @param {string} [timeZone]
+     * @returns {Date}
+     */
+    function dueInstant(dueDate, timeZone) {
+        const [year, month, day] = dueDay(dueDate).split('-').map(Number);
+        const time = dueTime(dueDate);
+        const wall = time
+            ? Date.UTC(year, month - 1, day, Number(time.slice(0, 2)), Number(time.slice(3)))
+            : Date.UTC(year, month - 1, day + 1);
+        // How far the zone's clock is ahead of UTC at a moment
+        const offset = moment => {
+            const p = zonedParts(new Date(moment), timeZone);
+            return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(moment / 60000) * 60000;
+        };
+        // Corrected once more for due times next to a daylight saving change
+        const guess = wall - offset(wall);
+        return new Date(wall - offset(guess));
+    }
+
+    /**
+     * How urgent a due date is at a moment in a time zone: 'overdue' once
+     * it has passed, 'today' when it is later today, 'soon' when it is due
+     * within soonDays days, and '' otherwise or when there is none.
+     *
+     * @param {string} dueDate
+     * @param {Object} [options]
+     * @param {Date} [options.now]
+     * @param {string} [options.timeZone] The local time zone when left out.
+     * @param {number} [options.soonDays=DUE_SOON_DAYS]
+     * @returns {string} One of DUE_STATES, or ''.
+     */
+    function dueState(dueDate, { now = new Date(), timeZone, soonDays = DUE_SOON_DAYS } = {}) {
+        if (!dueDate) return '';
+        if (now.getTime() >= dueInstant(dueDate, timeZone).getTime()) return 'overdue';
+        const today = localDate(now, timeZone);
+        const day = dueDay(dueDate);
+        if (day === today) return 'today';
+        return day <= addDays(today, soonDays) ? 'soon' : '';
+    }
+
+    /**
+     * The display name of a due state, or '' for none.
+     *
+     * @param {string} state
+     * @returns {string}
+     */
+    function dueStateName(state) {
+        const found = DUE_STATES.find(s => s.id === state);
+        return found ? found.name : '';
+    }
+
+    return {
+        MIN_YEAR,
+        MAX_YEAR,
+        DUE_SOON_DAYS,
+        DUE_STATES,
+        parseDate,
+        formatDate,
+        addDays,
+        isValidDate,
+        validateDueDate,
+        dueDay,
+        dueTime,
+        joinDueDate,
+        formatDueDate,
+        dueSortKey,
+        isValidTimeZone,
+        localTimeZone,
+        localDate,
+        dueInstant,
+        dueState,
+        dueStateName
+    };
+});
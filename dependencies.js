@@ -0,0 +1,103 @@
+/*
+ * Task dependencies for AL&MO TASKS.
+ *
+ * A task's `blockedBy` lists the ids of the tasks that have to be finished
+ * before it can start. Blockers can be on any board, not only the task's
+ * own. A task is blocked while any of its blockers is open (not in a done
+ * column); blockers that have been deleted no longer count. Tasks a task
+ * blocks are its dependents. Dependencies never form a cycle: a task cannot
+ * end up waiting on itself.
+ *
+ * Shared by the server (require('./dependencies')) and both front‑ends
+ * (window.AlmoDependencies).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AlmoDependencies = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * The blocker ids of a task.
+     *
+     * @param {Object} task
+     * @returns {string[]}
+     */
+    function taskBlockers(task) {
+        return Array.isArray(task.blockedBy) ? task.blockedBy : [];
+    }
+
+    /**
+     * Check the blocker ids sent by a client for a task (taskId is null for
+     * a new task). Returns an error message, or null when they are usable.
+     * Whether the tasks exist, and cycles, are checked separately.
+     *
+     * @param {*} blockedBy
+     * @param {?string} taskId
+     * @returns {string|null}
+     */
+    function validateBlockedBy(blockedBy, taskId) {
+        if (!Array.isArray(blockedBy) || !blockedBy.every(id => typeof id === 'string' && id)) {
+            return 'blockedBy must be a list of task ids.';
+        }
+        if (taskId && blockedBy.includes(taskId)) return 'A task cannot be blocked by itself.';
+        if (new Set(blockedBy).size !== blockedBy.length) return 'blockedBy lists a task more than once.';
+        return null;
+    }
+
+    /**
+     * The cycle that giving a task these blockers would make, as the chain of
+     * task ids from the task through its blockers back to itself, or null
+     * when there is none.
+     *
+     * @param {string} taskId
+     * @param {string[]} blockedBy The task's new blockers.
+     * @param {Object[]} tasks Every task, with their current blockers.
+     * @returns {?string[]}
+     */
+    function findCycle(taskId, blockedBy, tasks) {
+        const blockers = new Map(tasks.map(t => [t.id, taskBlockers(t)]));
+        blockers.set(taskId, blockedBy);
+        const visited = new Set();
+        // Depth first from the task; reaching it again closes a cycle
+        const walk = (id, chain) => {
+            for (const next of blockers.get(id) || []) {
+                if (next === taskId) return chain.concat(next);
+                if (visited.has(next)) continue;
+                visited.add(next);
+                const cycle = walk(next, chain.concat(next));
+                if (cycle) return cycle;
+            }
+            return null;
+        };
+        return walk(taskId, [taskId]);
+    }
+
+    /**
+     * The tasks a task blocks.
+     *
+     * @param {string} taskId
+     * @param {Object[]} tasks
+     * @returns {Object[]}
+     */
+    function dependentsOf(taskId, tasks) {
+        return tasks.filter(t => taskBlockers(t).includes(taskId));
+    }
+
+    /**
+     * The blocker ids of a task that are still open. `isDone` tells whether
+     * a blocker is finished, or returns null for blockers that no longer
+     * exist, which are left out.
+     *
+     * @param {Object} task
+     * @param {function(string): ?boolean} isDone
+     * @returns {string[]}
+     */
+    function openBlockers(task, isDone) {
+        return taskBlockers(task).filter(id => isDone(id) === false);
+    }
+
+    return { taskBlockers, validateBlockedBy, findCycle, dependentsOf, openBlockers };
+});
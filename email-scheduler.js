@@ -0,0 +1,235 @@
+/*
+ * Email digests and due-date reminders for AL&MO TASKS.
+ *
+ * The server calls run() every few minutes. Each run sends:
+ *
+ *   - digests: a daily or weekly email to each user listing the open tasks
+ *     assigned to them that are overdue or due soon (today or tomorrow for
+ *     daily digests, the coming week for weekly ones). Daily digests go out
+ *     at `digestHour`, weekly ones at that hour on `digestWeekday`. Users
+ *     with nothing to report get no email that period.
+ *   - reminders: one email to the assignee of each open task, `reminderHours`
+ *     before it is due: at its due time, or the end of its due date.
+ *
+ * Only tasks on boards the assignee is a member of are included.
+ *
+ * Users choose what they get in `user.emailPrefs` (see emailPrefs()). The
+ * time of a user's last digest is kept in `user.lastDigestAt`, and sent
+ * reminders in the `reminders` collection ({ id, taskId, userId, dueDate,
+ * sentAt }), so a restart or an extra run never sends anything twice. A
+ * digest or reminder that could not be sent is tried again on the next
+ * run. Due
+ * dates are read in each user's time zone (see dates.js); digest times are
+ * in the server's.
+ */
+
+const crypto = require('crypto');
+const { createId } = require('./ids');
+const { isTaskDone } = require('./statuses');
+const { isBoardMember } = require('./roles');
+const { dueInstant, dueState } = require('./dates');
+const { digestEmail, reminderEmail } = require('./email-templates');
+
+const DIGEST_PERIODS = ['daily', 'weekly', 'off'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long after the start of a period a user who has never had a digest
+// can get their first one
+const FIRST_DIGEST_WINDOW_MS = HOUR_MS;
+
+/**
+ * A user's email preferences with defaults filled in: a daily digest, and
+ * reminders and mention emails on.
+ *
+ * @param {Object} user
+ * @returns {{digest: string, reminders: boolean, mentions: boolean}}
+ */
+function emailPrefs(user) {
+  const saved = (user && user.emailPrefs) || {};
+  return {
+    digest: DIGEST_PERIODS.includes(saved.digest) ? saved.digest : 'daily',
+    reminders: saved.reminders !== false,
+    mentions: saved.mentions !== false
+  };
+}
+
+/**
+ * Check email preferences sent by a client. Returns an error message, or
+ * null when they are usable. Any field may be left out.
+ *
+ * @param {*} prefs
+ * @returns {string|null}
+ */
+function validateEmailPrefs(prefs) {
+  if (!prefs || typeof prefs !== 'object' || Array.isArray(prefs)) {
+    return 'Preferences must be an object.';
+  }
+  if ('digest' in prefs && !DIGEST_PERIODS.includes(prefs.digest)) {
+    return `digest must be one of: ${DIGEST_PERIODS.join(', ')}.`;
+  }
+  if ('reminders' in prefs && typeof prefs.reminders !== 'boolean') {
+    return 'reminders must be true or false.';
+  }
+  if ('mentions' in prefs && typeof prefs.mentions !== 'boolean') {
+    return 'mentions must be true or false.';
+  }
+  return null;
+}
+
+/**
+ * Create the scheduler on top of a store (see storage.js).
+ *
+ * @param {Object} store
+ * @param {Object} options
+ * @param {function(Object, string): Promise} options.send Sends a message
+ *     { to, subject, text, html }; the second argument is the line to log
+ *     when email is not configured. Rejects when the message could not be
+ *     sent, so it is tried again on a later run.
+ * @param {string} options.appUrl Base URL for links in emails.
+ * @param {number} [options.digestHour=7] Hour of the day digests go out.
+ * @param {number} [options.digestWeekday=1] Day weekly digests go out
+ *     (0 = Sunday).
+ * @param {number} [options.reminderHours=24] How long before a task is
+ *     due reminders go out.
+ */
+function createEmailScheduler(store, { send, appUrl, digestHour = 7, digestWeekday = 1, reminderHours = 24 }) {
+  // The link that turns a user's emails off. Users get a random token the
+  // first time one is needed.
+  async function unsubscribeUrl(user) {
+    let token = user.unsubscribeToken;
+    if (!token) {
+      token = crypto.randomBytes(24).toString('hex');
+      await store.update('users', user.id, { unsubscribeToken: token });
+    }
+    return `${appUrl}/api/email/unsubscribe?token=${token}`;
+  }
+
+  // When the digest period containing `now` began: the latest digest time
+  // at or before now (on the digest weekday for weekly digests)
+  function periodStart(period, now) {
+    const start = new Date(now);
+    start.setHours(digestHour, 0, 0, 0);
+    if (start > now) start.setDate(start.getDate() - 1);
+    if (period === 'weekly') {
+      while (start.getDay() !== digestWeekday) start.setDate(start.getDate() - 1);
+    }
+    return start;
+  }
+
+  // Open tasks assigned to a user that are overdue or due within `days`
+  // days on boards they are a member of, soonest first, each with its
+  // board's name
+  async function tasksNeedingAttention(user, now, days) {
+    const timeZone = user.timeZone || undefined;
+    const state = task => dueState(task.dueDate, { now, timeZone, soonDays: days });
+    const overdue = [];
+    const dueSoon = [];
+    const assigned = (await store.find('tasks', { userId: user.id }))
+      .filter(task => state(task))
+      .map(task => ({ task, due: dueInstant(task.dueDate, timeZone).getTime() }))
+      .sort((a, b) => a.due - b.due)
+      .map(entry => entry.task);
+    for (const task of assigned) {
+      const board = await store.get('boards', task.boardId);
+      if (!board || board.archived || !isBoardMember(board, user.id) || isTaskDone(board, task)) continue;
+      const entry = Object.assign({}, task, { boardName: board.name });
+      if (state(task) === 'overdue') overdue.push(entry);
+      else dueSoon.push(entry);
+    }
+    return { overdue, dueSoon };
+  }
+
+  const scheduler = {
+    /**
+     * Send the digests that are due: one per user per period, skipping
+     * users who turned digests off. A digest that fails to send is tried
+     * again on the next run.
+     *
+     * @param {Date} [now]
+     * @returns {Promise<number>} How many digests were sent.
+     */
+    async sendDigests(now = new Date()) {
+      let sent = 0;
+      for (const user of await store.find('users')) {
+        const { digest } = emailPrefs(user);
+        if (digest === 'off' || !user.email) continue;
+        const start = periodStart(digest, now).getTime();
+        if (user.lastDigestAt && Date.parse(user.lastDigestAt) >= start) continue;
+        // A user's first digest waits for the start of a period, rather
+        // than going out whenever the server happens to start
+        if (!user.lastDigestAt && now.getTime() >= start + FIRST_DIGEST_WINDOW_MS) continue;
+        const { overdue, dueSoon } = await tasksNeedingAttention(user, now, digest === 'weekly' ? 7 : 1);
+        if (overdue.length || dueSoon.length) {
+          const message = digestEmail({ user, period: digest, overdue, dueSoon, appUrl, unsubscribeUrl: await unsubscribeUrl(user) });
+          try {
+            await send(Object.assign({ to: user.email }, message), `Digest for ${user.email}: ${message.subject}`);
+          } catch (err) {
+            console.error(`Failed to send the digest to ${user.email}:`, err.message);
+            continue;
+          }
+          sent++;
+        }
+        await store.update('users', user.id, { lastDigestAt: now.toISOString() });
+      }
+      return sent;
+    },
+
+    /**
+     * Send reminders for open, assigned tasks that are due within
+     * `reminderHours`, unless the assignee turned reminders off, is no
+     * longer a member of the board, or was already reminded of that due
+     * date. A reminder that fails to send is tried again on the next run.
+     *
+     * @param {Date} [now]
+     * @returns {Promise<number>} How many reminders were sent.
+     */
+    async sendReminders(now = new Date()) {
+      let sent = 0;
+      for (const board of await store.find('boards')) {
+        if (board.archived) continue;
+        for (const task of await store.find('tasks', { boardId: board.id })) {
+          if (!task.dueDate || !task.userId || isTaskDone(board, task)) continue;
+          const user = await store.get('users', task.userId);
+          if (!user || !user.email || !emailPrefs(user).reminders || !isBoardMember(board, user.id)) continue;
+          const due = dueInstant(task.dueDate, user.timeZone || undefined).getTime();
+          if (now.getTime() < due - reminderHours * HOUR_MS || now.getTime() >= due) continue;
+          const previous = await store.find('reminders', { taskId: task.id });
+          if (previous.some(r => r.userId === user.id && r.dueDate === task.dueDate)) continue;
+          // Recorded before sending, so an overlapping run does not send it
+          // too, and removed again if the email fails
+          const reminder = {
+            id: createId('reminder'),
+            taskId: task.id,
+            userId: user.id,
+            dueDate: task.dueDate,
+            sentAt: now.toISOString()
+          };
+          await store.insert('reminders', reminder);
+          const message = reminderEmail({ user, task, board, appUrl, unsubscribeUrl: await unsubscribeUrl(user) });
+          try {
+            await send(Object.assign({ to: user.email }, message), `Reminder for ${user.email}: ${message.subject}`);
+          } catch (err) {
+            console.error(`Failed to send the reminder for task ${task.id} to ${user.email}:`, err.message);
+            await store.remove('reminders', { id: reminder.id });
+            continue;
+          }
+          sent++;
+        }
+      }
+      return sent;
+    },
+
+    /**
+     * Send whatever digests and reminders are due.
+     *
+     * @param {Date} [now]
+     */
+    async run(now = new Date()) {
+      await scheduler.sendDigests(now);
+      await scheduler.sendReminders(now);
+    }
+  };
+  return scheduler;
+}
+
+module.exports = { createEmailScheduler, emailPrefs, validateEmailPrefs, DIGEST_PERIODS };
@@ -0,0 +1,133 @@
+/*
+ * Email templates for AL&MO TASKS.
+ *
+ * Each template returns { subject, text, html }: an HTML body for mail
+ * clients that show it and a plain-text version of the same message as the
+ * fallback. Every email about a user's own tasks ends with a link that turns
+ * these emails off.
+ */
+
+const { formatDueDate } = require('./dates');
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Wrap the body of an HTML email in the shared page layout
+function layout(title, bodyHtml, footerHtml) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0; padding:20px; background-color:#f4f6f8; font-family:Arial, sans-serif; color:#333;">
+  <div style="max-width:560px; margin:0 auto; background-color:#ffffff; border-radius:6px; overflow:hidden;">
+    <div style="padding:16px 20px; background:linear-gradient(90deg, #0d1a2a, #1d2f4f); color:#ffffff; font-size:20px;">AL&amp;MO TASKS</div>
+    <div style="padding:20px;">
+${bodyHtml}
+    </div>
+    <div style="padding:12px 20px; background-color:#f4f6f8; font-size:12px; color:#888;">
+${footerHtml}
+    </div>
+  </div>
+</body>
+</html>
+`;
+}
+
+function footer(unsubscribeUrl) {
+  return {
+    text: `You are receiving this because of your AL&MO TASKS email settings. Turn these emails off: ${unsubscribeUrl}`,
+    html: `      You are receiving this because of your AL&amp;MO TASKS email settings.
+      <a href="${escapeHtml(unsubscribeUrl)}" style="color:#888;">Turn these emails off</a>.`
+  };
+}
+
+// One task as a line of text and as a list item
+function taskLine(task) {
+  const board = task.boardName ? ` (${task.boardName})` : '';
+  return `- ${task.title}${board}, due ${formatDueDate(task.dueDate)}`;
+}
+
+function taskItem(task) {
+  const board = task.boardName ? ` <span style="color:#888;">(${escapeHtml(task.boardName)})</span>` : '';
+  return `        <li style="margin-bottom:4px;"><strong>${escapeHtml(task.title)}</strong>${board}, due ${escapeHtml(formatDueDate(task.dueDate))}</li>`;
+}
+
+/**
+ * Digest of the tasks assigned to a user that are overdue or due soon.
+ *
+ * @param {Object} params
+ * @param {Object} params.user The recipient.
+ * @param {string} params.period 'daily' or 'weekly'.
+ * @param {Object[]} params.overdue Tasks with `boardName` added.
+ * @param {Object[]} params.dueSoon Tasks with `boardName` added.
+ * @param {string} params.appUrl
+ * @param {string} params.unsubscribeUrl
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function digestEmail({ user, period, overdue, dueSoon, appUrl, unsubscribeUrl }) {
+  const counts = [];
+  if (overdue.length) counts.push(`${overdue.length} overdue`);
+  if (dueSoon.length) counts.push(`${dueSoon.length} due soon`);
+  const subject = `Your ${period} AL&MO TASKS digest: ${counts.join(', ')}`;
+  const soonHeading = period === 'weekly' ? 'Due this week' : 'Due today or tomorrow';
+  const sections = [['Overdue', overdue], [soonHeading, dueSoon]].filter(([, list]) => list.length);
+  const end = footer(unsubscribeUrl);
+  const text = [
+    `Hi ${user.name},`,
+    '',
+    'Here are the tasks assigned to you that need attention.',
+    ...sections.map(([heading, list]) => `\n${heading}:\n${list.map(taskLine).join('\n')}`),
+    '',
+    `Open your dashboard: ${appUrl}/dashboard.html`,
+    '',
+    end.text
+  ].join('\n');
+  const html = layout(subject, [
+    `      <p>Hi ${escapeHtml(user.name)},</p>`,
+    '      <p>Here are the tasks assigned to you that need attention.</p>',
+    ...sections.map(([heading, list]) =>
+      `      <h3 style="margin:16px 0 6px 0;">${escapeHtml(heading)}</h3>\n      <ul style="padding-left:20px;">\n${list.map(taskItem).join('\n')}\n      </ul>`),
+    `      <p><a href="${escapeHtml(appUrl)}/dashboard.html" style="color:#4A90E2;">Open your dashboard</a></p>`
+  ].join('\n'), end.html);
+  return { subject, text, html };
+}
+
+/**
+ * Reminder that a task assigned to the user is coming due.
+ *
+ * @param {Object} params
+ * @param {Object} params.user The recipient.
+ * @param {Object} params.task
+ * @param {Object} params.board The task's board.
+ * @param {string} params.appUrl
+ * @param {string} params.unsubscribeUrl
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function reminderEmail({ user, task, board, appUrl, unsubscribeUrl }) {
+  const subject = `Reminder: "${task.title}" is due ${formatDueDate(task.dueDate)}`;
+  const end = footer(unsubscribeUrl);
+  const text = [
+    `Hi ${user.name},`,
+    '',
+    `The task "${task.title}" on the board "${board.name}" is due ${formatDueDate(task.dueDate)}.`,
+    ...(task.description ? ['', task.description] : []),
+    '',
+    `Open your dashboard: ${appUrl}/dashboard.html`,
+    '',
+    end.text
+  ].join('\n');
+  const html = layout(subject, [
+    `      <p>Hi ${escapeHtml(user.name)},</p>`,
+    `      <p>The task <strong>${escapeHtml(task.title)}</strong> on the board <strong>${escapeHtml(board.name)}</strong> is due <strong>${escapeHtml(formatDueDate(task.dueDate))}</strong>.</p>`,
+    ...(task.description ? [`      <p style="color:#555; white-space:pre-wrap;">${escapeHtml(task.description)}</p>`] : []),
+    `      <p><a href="${escapeHtml(appUrl)}/dashboard.html" style="color:#4A90E2;">Open your dashboard</a></p>`
+  ].join('\n'), end.html);
+  return { subject, text, html };
+}
+
+module.exports = { digestEmail, reminderEmail, escapeHtml };
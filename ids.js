@@ -0,0 +1,68 @@
+/*
+ * Shared id generation for AL&MO TASKS.
+ *
+ * Used by the server (require('./ids')) and by both front‑ends (loaded with
+ * a <script> tag, exposed as window.AlmoIds). Ids keep the existing
+ * "<prefix>-" convention but use a random UUID instead of Date.now(), so two
+ * records created in the same millisecond can no longer collide.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('crypto'));
+    } else {
+        root.AlmoIds = factory(root.crypto);
+    }
+})(typeof self !== 'undefined' ? self : this, function (cryptoImpl) {
+    /**
+     * Generate a random RFC 4122 version 4 UUID. Falls back to
+     * getRandomValues where randomUUID is unavailable (older browsers or
+     * pages not served from a secure context).
+     */
+    function uuid() {
+        if (cryptoImpl && typeof cryptoImpl.randomUUID === 'function') {
+            return cryptoImpl.randomUUID();
+        }
+        const bytes = new Uint8Array(16);
+        cryptoImpl.getRandomValues(bytes);
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Create a new id such as "task-1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed".
+     *
+     * @param {string} prefix Record type, e.g. 'user', 'board', 'task'.
+     * @returns {string}
+     */
+    function createId(prefix) {
+        return prefix + '-' + uuid();
+    }
+
+    /**
+     * Give every record whose id is missing or already used by an earlier
+     * record in the array a fresh id. The first record keeps its id, so
+     * references to it stay valid.
+     *
+     * @param {Object[]} records Records to check; repaired in place.
+     * @param {string} prefix Prefix for replacement ids.
+     * @returns {Array<{from: string, to: string}>} The ids that were changed.
+     */
+    function repairDuplicateIds(records, prefix) {
+        const seen = new Set();
+        const changed = [];
+        records.forEach(record => {
+            if (!record.id || seen.has(record.id)) {
+                const from = record.id;
+                record.id = createId(prefix);
+                changed.push({ from, to: record.id });
+            }
+            seen.add(record.id);
+        });
+        return changed;
+    }
+
+    return { createId, repairDuplicateIds };
+});
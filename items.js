@@ -0,0 +1,114 @@
+/*
+ * Sub-items of tasks for AL&MO TASKS.
+ *
+ * A task's `items` are a checklist:
+ *
+ *   { id, content, completed, userId, dueDate, position }
+ *
+ * `userId` (the item's assignee) and `dueDate` (YYYY-MM-DD) are optional and
+ * empty when unset. Items are shown in `position` order (see ordering.js);
+ * items saved before positions existed keep their stored order.
+ *
+ * Shared by the server (require('./items')) and both front‑ends
+ * (window.AlmoItems, after ordering.js and dates.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ordering'), require('./dates'));
+    } else {
+        root.AlmoItems = factory(root.AlmoOrder, root.AlmoDates);
+    }
+})(typeof self !== 'undefined' ? self : this, function (order, dates) {
+    /**
+     * A task's items in display order.
+     *
+     * @param {Object[]} items
+     * @returns {Object[]}
+     */
+    function orderedItems(items) {
+        return order.sortByPosition(items || []);
+    }
+
+    /**
+     * A new, open item at the end of a task's items.
+     *
+     * @param {string} id
+     * @param {{content: string, userId: string, dueDate: string}} fields
+     * @param {Object[]} items The task's current items.
+     * @returns {Object}
+     */
+    function createItem(id, fields, items) {
+        return {
+            id,
+            content: fields.content,
+            completed: false,
+            userId: fields.userId || '',
+            dueDate: fields.dueDate || '',
+            position: order.nextPosition(items || [])
+        };
+    }
+
+    /**
+     * A copy of a task's items with one moved in front of the item beforeId,
+     * or to the end when beforeId is null, renumbered from 0.
+     *
+     * @param {Object[]} items
+     * @param {string} itemId
+     * @param {?string} beforeId
+     * @returns {Object[]}
+     */
+    function moveItem(items, itemId, beforeId) {
+        const ordered = orderedItems(items);
+        const item = ordered.find(i => i.id === itemId);
+        const moved = item ? order.reorder(ordered, item, beforeId) : ordered;
+        return moved.map((i, idx) => Object.assign({}, i, { position: idx }));
+    }
+
+    /**
+     * How many of a task's items are completed, out of how many.
+     *
+     * @param {Object[]} items
+     * @returns {{done: number, total: number}}
+     */
+    function itemProgress(items) {
+        const list = items || [];
+        return { done: list.filter(i => i.completed).length, total: list.length };
+    }
+
+    /**
+     * Check item fields sent by a client; any of them may be left out.
+     * Returns an error message, or null when they are usable.
+     *
+     * @param {Object} fields
+     * @returns {string|null}
+     */
+    function validateItemFields(fields) {
+        if ('content' in fields && (typeof fields.content !== 'string' || !fields.content.trim())) {
+            return 'Item content is required.';
+        }
+        if ('completed' in fields && typeof fields.completed !== 'boolean') {
+            return 'completed must be true or false.';
+        }
+        if ('userId' in fields && typeof fields.userId !== 'string') {
+            return 'userId must be a user id, or empty for nobody.';
+        }
+        if ('dueDate' in fields && (typeof fields.dueDate !== 'string' || (fields.dueDate && !dates.isValidDate(fields.dueDate)))) {
+            return 'dueDate must be a date (YYYY-MM-DD), or empty for none.';
+        }
+        return null;
+    }
+
+    /**
+     * The fields of the task an item becomes when it is converted: its
+     * content as the title, and its assignee and due date.
+     *
+     * @param {Object} item
+     * @returns {{title: string, userId: string, dueDate: string}}
+     */
+    function taskFromItem(item) {
+        return { title: item.content, userId: item.userId || '', dueDate: item.dueDate || '' };
+    }
+
+    return { orderedItems, createItem, moveItem, itemProgress, validateItemFields, taskFromItem };
+});
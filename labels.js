@@ -0,0 +1,123 @@
+/*
+ * Task labels for AL&MO TASKS.
+ *
+ * Each board has its own labels (`board.labels`), in the order they were
+ * added. A label is `{ id, name, color }` with a hex colour (see colors.js);
+ * names are unique on a board, ignoring case. Tasks refer to labels of their
+ * board in `task.labelIds`; ids of labels the board no longer has are
+ * ignored.
+ *
+ * Shared by the server (require('./labels')) and both front‑ends
+ * (window.AlmoLabels, after colors.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./colors'));
+    } else {
+        root.AlmoLabels = factory(root.AlmoColors);
+    }
+})(typeof self !== 'undefined' ? self : this, function (colors) {
+    const LABEL_NAME_MAX_LENGTH = 30;
+
+    /**
+     * The labels of a board.
+     *
+     * @param {Object} board
+     * @returns {Array<{id: string, name: string, color: string}>}
+     */
+    function boardLabels(board) {
+        return board && Array.isArray(board.labels) ? board.labels : [];
+    }
+
+    /**
+     * The labels of a task, in the board's label order.
+     *
+     * @param {Object} board The task's board.
+     * @param {Object} task
+     * @returns {Array<{id: string, name: string, color: string}>}
+     */
+    function taskLabels(board, task) {
+        const ids = task.labelIds || [];
+        return boardLabels(board).filter(label => ids.includes(label.id));
+    }
+
+    /**
+     * Check label fields sent by a client; either may be left out. `labelId`
+     * is the label being changed, whose own name does not count as taken.
+     * Returns an error message, or null when they are usable.
+     *
+     * @param {{name: string, color: string}} fields
+     * @param {Object} board
+     * @param {string} [labelId]
+     * @returns {string|null}
+     */
+    function validateLabel(fields, board, labelId) {
+        if ('name' in fields) {
+            if (typeof fields.name !== 'string' || !fields.name.trim()) return 'Label name is required.';
+            const name = fields.name.trim();
+            if (name.length > LABEL_NAME_MAX_LENGTH) {
+                return `Label names can be at most ${LABEL_NAME_MAX_LENGTH} characters.`;
+            }
+            const taken = boardLabels(board).some(label =>
+                label.id !== labelId && label.name.toLowerCase() === name.toLowerCase());
+            if (taken) return `This board already has a label called "${name}".`;
+        }
+        if ('color' in fields && !colors.isValidColor(fields.color)) {
+            return 'Colour must be a hex colour such as #4A90E2.';
+        }
+        return null;
+    }
+
+    /**
+     * Check the label ids of a task: a list of ids of the board's labels.
+     * Returns an error message, or null when they are usable.
+     *
+     * @param {*} labelIds
+     * @param {Object} board The task's board.
+     * @returns {string|null}
+     */
+    function validateLabelIds(labelIds, board) {
+        if (!Array.isArray(labelIds) || !labelIds.every(id => typeof id === 'string')) {
+            return 'labelIds must be a list of label ids.';
+        }
+        const known = boardLabels(board).map(label => label.id);
+        if (!labelIds.every(id => known.includes(id))) return 'Unknown label for this board.';
+        return null;
+    }
+
+    /**
+     * The given label ids that exist on a board, each once, for a task that
+     * is saved there (or moved there from another board).
+     *
+     * @param {string[]} labelIds
+     * @param {Object} board
+     * @returns {string[]}
+     */
+    function keepBoardLabels(labelIds, board) {
+        return taskLabels(board, { labelIds }).map(label => label.id);
+    }
+
+    /**
+     * Black or white, whichever reads better on a label colour.
+     *
+     * @param {string} color
+     * @returns {string}
+     */
+    function labelTextColor(color) {
+        if (!colors.isValidColor(color)) return '#000000';
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+        // Perceived brightness (ITU-R BT.601 weights)
+        return r * 0.299 + g * 0.587 + b * 0.114 > 150 ? '#000000' : '#ffffff';
+    }
+
+    return {
+        LABEL_NAME_MAX_LENGTH,
+        boardLabels,
+        taskLabels,
+        validateLabel,
+        validateLabelIds,
+        keepBoardLabels,
+        labelTextColor
+    };
+});
@@ -0,0 +1,98 @@
+/*
+ * @mentions in task comments for AL&MO TASKS.
+ *
+ * A comment mentions someone by writing "@" and their name, e.g.
+ * "@Alice Smith can you check this?". Names are matched case-insensitively
+ * against the people who may be mentioned (the members of the task's board),
+ * longest name first so "@Ann Lee" is not read as "@Ann". The "@" must start
+ * the text or follow whitespace, so email addresses are not mentions, and the
+ * name must not run on into further letters or digits.
+ *
+ * Shared by the server (require('./mentions')) and the dashboard
+ * (window.AlmoMentions).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AlmoMentions = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const NAME_CHAR = /[\p{L}\p{N}_]/u;
+
+    // Longest query accepted by mentionQuery, so a stray "@" far back in the
+    // text does not keep suggestions open
+    const MAX_QUERY_LENGTH = 30;
+
+    /**
+     * Split text into plain runs and mentions.
+     *
+     * @param {string} text
+     * @param {Array<{id: string, name: string}>} people Who may be mentioned.
+     * @returns {Array<{text: string, userId: ?string}>} Segments in order;
+     *     `userId` is set on mentions (whose text includes the "@").
+     */
+    function splitMentions(text, people) {
+        const candidates = (people || [])
+            .filter(p => p && typeof p.name === 'string' && p.name.trim())
+            .sort((a, b) => b.name.length - a.name.length);
+        const segments = [];
+        let plainStart = 0;
+        let i = 0;
+        while (i < text.length) {
+            const atStart = text[i] === '@' && (i === 0 || /\s/.test(text[i - 1]));
+            const match = atStart && candidates.find(p => {
+                const end = i + 1 + p.name.length;
+                return text.slice(i + 1, end).toLowerCase() === p.name.toLowerCase()
+                    && (end === text.length || !NAME_CHAR.test(text[end]));
+            });
+            if (!match) {
+                i++;
+                continue;
+            }
+            if (i > plainStart) segments.push({ text: text.slice(plainStart, i), userId: null });
+            const end = i + 1 + match.name.length;
+            segments.push({ text: text.slice(i, end), userId: match.id });
+            i = plainStart = end;
+        }
+        if (plainStart < text.length) segments.push({ text: text.slice(plainStart), userId: null });
+        return segments;
+    }
+
+    /**
+     * The ids of the people mentioned in text, each once, in order of first
+     * mention.
+     *
+     * @param {string} text
+     * @param {Array<{id: string, name: string}>} people
+     * @returns {string[]}
+     */
+    function findMentions(text, people) {
+        const ids = [];
+        splitMentions(text, people).forEach(segment => {
+            if (segment.userId && !ids.includes(segment.userId)) ids.push(segment.userId);
+        });
+        return ids;
+    }
+
+    /**
+     * The partial name typed after an "@" just before the caret, used to
+     * suggest people while writing a comment; null when the caret is not in
+     * a mention.
+     *
+     * @param {string} text
+     * @param {number} caret
+     * @returns {?string}
+     */
+    function mentionQuery(text, caret) {
+        const before = text.slice(0, caret);
+        const at = before.lastIndexOf('@');
+        if (at < 0 || (at > 0 && !/\s/.test(before[at - 1]))) return null;
+        const query = before.slice(at + 1);
+        if (query.length > MAX_QUERY_LENGTH || /[\n@]/.test(query)) return null;
+        return query;
+    }
+
+    return { splitMentions, findMentions, mentionQuery };
+});
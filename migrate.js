@@ -0,0 +1,55 @@
+/*
+ * One-shot migration from data.json to the SQLite backend.
+ *
+ * Usage: node migrate.js [path/to/data.json] [path/to/data.sqlite]
+ *
+ * Both paths default to the same files the server uses (DATA_FILE and
+ * SQLITE_FILE, falling back to data.json / data.sqlite next to this script).
+ * The migration refuses to run against a database that already contains
+ * users, boards or tasks so it cannot clobber live data; pass --force to
+ * replace the database contents anyway.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { createStore, SCHEMA } = require('./storage');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const [jsonFile, sqliteFile] = args.filter(a => a !== '--force');
+  const source = jsonFile || process.env.DATA_FILE || path.join(__dirname, 'data.json');
+  const target = sqliteFile || process.env.SQLITE_FILE || path.join(__dirname, 'data.sqlite');
+
+  if (!fs.existsSync(source)) {
+    throw new Error(`Source file ${source} does not exist.`);
+  }
+  const json = createStore({ backend: 'json', file: source });
+  await json.init();
+  const data = {};
+  for (const name of Object.keys(SCHEMA)) {
+    data[name] = await json.find(name);
+  }
+
+  const sqlite = createStore({ backend: 'sqlite', file: target });
+  await sqlite.init();
+  const existing = (await sqlite.find('users')).length +
+    (await sqlite.find('boards')).length +
+    (await sqlite.find('tasks')).length;
+  if (existing && !force) {
+    await sqlite.close();
+    throw new Error(`${target} already contains data. Re-run with --force to overwrite it.`);
+  }
+  await sqlite.importData(data);
+  await sqlite.close();
+
+  console.log(`Migrated ${source} -> ${target}`);
+  Object.keys(data).forEach(name => {
+    console.log(`  ${name}: ${data[name].length}`);
+  });
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+/*
+ * The "My Work" view of AL&MO TASKS: the open tasks assigned to a user
+ * across all of their boards, grouped by when they are due. Tasks are
+ * overdue once their due date (and time, if any) has passed in the user's
+ * time zone (see dates.js), and weeks end on Saturday, like the calendar's
+ * (see calendar.js).
+ *
+ * Used by the server (require('./my-work')) for GET /api/my-work; the
+ * dashboard shows the groups that endpoint returns. Like the other shared
+ * modules it also loads in a browser, as window.AlmoMyWork (after dates.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./dates'));
+    } else {
+        root.AlmoMyWork = factory(root.AlmoDates);
+    }
+})(typeof self !== 'undefined' ? self : this, function (dates) {
+    /**
+     * The groups of the view, in the order they are shown.
+     */
+    const WORK_GROUPS = [
+        { id: 'overdue', name: 'Overdue' },
+        { id: 'today', name: 'Today' },
+        { id: 'week', name: 'This week' },
+        { id: 'later', name: 'Later' },
+        { id: 'none', name: 'No date' }
+    ];
+
+    // The Saturday on or after a YYYY-MM-DD date
+    function weekEnd(date) {
+        return dates.addDays(date, 6 - dates.parseDate(date).getUTCDay());
+    }
+
+    /**
+     * The group of a due date at a moment in a time zone.
+     *
+     * @param {string} dueDate A due date (see dates.js), or '' for none.
+     * @param {Object} [options]
+     * @param {Date} [options.now]
+     * @param {string} [options.timeZone] The local time zone when left out.
+     * @returns {string} One of WORK_GROUPS.
+     */
+    function workGroup(dueDate, { now = new Date(), timeZone } = {}) {
+        if (!dueDate) return 'none';
+        const state = dates.dueState(dueDate, { now, timeZone, soonDays: 0 });
+        if (state) return state;
+        return dates.dueDay(dueDate) <= weekEnd(dates.localDate(now, timeZone)) ? 'week' : 'later';
+    }
+
+    /**
+     * Tasks split into WORK_GROUPS, each with its tasks soonest due first;
+     * on a day, tasks due at a time come before those due by its end, and
+     * tasks due at the same time keep their order. Empty groups are
+     * included.
+     *
+     * @param {Object[]} tasks
+     * @param {Object} [options] The moment and time zone, as for workGroup.
+     * @returns {Array<{id: string, name: string, tasks: Object[]}>}
+     */
+    function groupMyWork(tasks, options) {
+        const sorted = tasks
+            .map((task, idx) => ({ task, idx }))
+            .sort((a, b) => {
+                const dueA = dates.dueSortKey(a.task.dueDate);
+                const dueB = dates.dueSortKey(b.task.dueDate);
+                return dueA === dueB ? a.idx - b.idx : (dueA < dueB ? -1 : 1);
+            })
+            .map(entry => entry.task);
+        return WORK_GROUPS.map(group => ({
+            id: group.id,
+            name: group.name,
+            tasks: sorted.filter(task => workGroup(task.dueDate, options) === group.id)
+        }));
+    }
+
+    return { WORK_GROUPS, workGroup, groupMyWork };
+});
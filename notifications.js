@@ -0,0 +1,195 @@
+/*
+ * Notifications for AL&MO TASKS.
+ *
+ * Users are told about events that concern them through entries in the
+ * `notifications` collection:
+ *
+ *   { id, userId, type, message, boardId, taskId, actorId, key, created, read }
+ *
+ * `type` is one of NOTIFICATION_TYPES. Each user chooses the types they want
+ * in `user.notificationPrefs` ({ type: boolean }); types missing from it are
+ * on. A notification with a `key` is sent at most once per user and key,
+ * which keeps due-date alerts from repeating every time the dates are
+ * checked. Due dates are read in the assignee's time zone (see dates.js).
+ */
+
+const { createId } = require('./ids');
+const { isTaskDone } = require('./statuses');
+const { dueState, dueTime, formatDueDate } = require('./dates');
+
+// assignment: a task was assigned to or taken away from the user
+// invite:     the user was invited to a board
+// mention:    a comment mentions the user
+// dueSoon:    a task assigned to the user is due today or soon after
+// overdue:    a task assigned to the user is past its due date
+const NOTIFICATION_TYPES = ['assignment', 'invite', 'mention', 'dueSoon', 'overdue'];
+
+/**
+ * A user's notification preferences with every type filled in.
+ *
+ * @param {Object} user
+ * @returns {Object<string, boolean>}
+ */
+function notificationPrefs(user) {
+  const saved = (user && user.notificationPrefs) || {};
+  const prefs = {};
+  NOTIFICATION_TYPES.forEach(type => { prefs[type] = saved[type] !== false; });
+  return prefs;
+}
+
+/**
+ * Check preferences sent by a client: an object mapping known types to
+ * booleans. Returns an error message, or null when they are usable.
+ *
+ * @param {*} prefs
+ * @returns {string|null}
+ */
+function validatePrefs(prefs) {
+  if (!prefs || typeof prefs !== 'object' || Array.isArray(prefs)) {
+    return 'Preferences must be an object of notification types.';
+  }
+  for (const [type, enabled] of Object.entries(prefs)) {
+    if (!NOTIFICATION_TYPES.includes(type)) return `Unknown notification type "${type}".`;
+    if (typeof enabled !== 'boolean') return `The preference for ${type} must be true or false.`;
+  }
+  return null;
+}
+
+/**
+ * Create the notifier on top of a store (see storage.js).
+ *
+ * @param {Object} store
+ * @param {Object} [options]
+ * @param {number} [options.dueSoonDays=1] How many days ahead a due date
+ *     counts as soon: 1 alerts for tasks due today or tomorrow.
+ * @param {function(Object)} [options.onNotify] Called with each new
+ *     notification, e.g. to push it to the user straight away.
+ */
+function createNotifier(store, { dueSoonDays = 1, onNotify } = {}) {
+  const notifier = {
+    /**
+     * Notify a user, unless they turned the type off or (for keyed
+     * notifications) were already sent one with the same key.
+     *
+     * @param {string} userId
+     * @param {string} type One of NOTIFICATION_TYPES.
+     * @param {Object} details
+     * @param {string} details.message Text shown to the user.
+     * @param {string} [details.boardId]
+     * @param {string} [details.taskId]
+     * @param {string} [details.actorId] Who caused it, if anyone.
+     * @param {string} [details.key]
+     * @returns {Promise<?Object>} The notification, or null if none was sent.
+     */
+    async notify(userId, type, { message, boardId = '', taskId = '', actorId = '', key = '' }) {
+      const user = await store.get('users', userId);
+      if (!user || !notificationPrefs(user)[type]) return null;
+      if (key && await store.findOne('notifications', { userId, key })) return null;
+      const notification = await store.insert('notifications', {
+        id: createId('notification'),
+        userId,
+        type,
+        message,
+        boardId,
+        taskId,
+        actorId,
+        key,
+        created: new Date().toISOString(),
+        read: false
+      });
+      if (onNotify) onNotify(notification);
+      return notification;
+    },
+
+    /**
+     * A user's latest notifications, newest first, and how many of all
+     * their notifications are unread.
+     *
+     * @param {string} userId
+     * @param {number} limit
+     * @returns {Promise<{notifications: Object[], unread: number}>}
+     */
+    async forUser(userId, limit) {
+      const all = (await store.find('notifications', { userId }))
+        .reverse()
+        .sort((a, b) => (a.created < b.created ? 1 : a.created > b.created ? -1 : 0));
+      return { notifications: all.slice(0, limit), unread: all.filter(n => !n.read).length };
+    },
+
+    /**
+     * Mark one of a user's notifications read. Resolves to false when the
+     * user has no such notification.
+     *
+     * @param {string} userId
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    async markRead(userId, id) {
+      const notification = await store.get('notifications', id);
+      if (!notification || notification.userId !== userId) return false;
+      if (!notification.read) await store.update('notifications', id, { read: true });
+      return true;
+    },
+
+    /**
+     * Mark all of a user's notifications read.
+     *
+     * @param {string} userId
+     * @returns {Promise<number>} How many were unread.
+     */
+    async markAllRead(userId) {
+      const unread = await store.find('notifications', { userId, read: false });
+      for (const notification of unread) await store.update('notifications', notification.id, { read: true });
+      return unread.length;
+    },
+
+    /**
+     * Alert the assignee of a task that is due soon or overdue. Each due
+     * date is announced once per kind of alert, so calling this again (or
+     * after unrelated edits) does not repeat it. Done tasks, unassigned
+     * tasks and tasks on archived boards are skipped.
+     *
+     * @param {Object} task
+     * @param {Object} board The task's board.
+     * @param {Date} [now]
+     */
+    async checkDueDate(task, board, now = new Date()) {
+      if (!task.dueDate || !task.userId || !board || board.archived || isTaskDone(board, task)) return;
+      const assignee = await store.get('users', task.userId);
+      const timeZone = (assignee && assignee.timeZone) || undefined;
+      const state = dueState(task.dueDate, { now, timeZone, soonDays: dueSoonDays });
+      const details = { boardId: board.id, taskId: task.id };
+      if (state === 'overdue') {
+        await notifier.notify(task.userId, 'overdue', Object.assign(details, {
+          message: `"${task.title}" on ${board.name} is overdue (due ${formatDueDate(task.dueDate)}).`,
+          key: `overdue:${task.id}:${task.dueDate}`
+        }));
+      } else if (state) {
+        const when = state === 'today'
+          ? (dueTime(task.dueDate) ? `today at ${dueTime(task.dueDate)}` : 'today')
+          : `on ${formatDueDate(task.dueDate)}`;
+        await notifier.notify(task.userId, 'dueSoon', Object.assign(details, {
+          message: `"${task.title}" on ${board.name} is due ${when}.`,
+          key: `dueSoon:${task.id}:${task.dueDate}`
+        }));
+      }
+    },
+
+    /**
+     * Run checkDueDate over every task.
+     *
+     * @param {Date} [now]
+     */
+    async checkDueDates(now = new Date()) {
+      for (const board of await store.find('boards')) {
+        if (board.archived) continue;
+        for (const task of await store.find('tasks', { boardId: board.id })) {
+          await notifier.checkDueDate(task, board, now);
+        }
+      }
+    }
+  };
+  return notifier;
+}
+
+module.exports = { createNotifier, notificationPrefs, validatePrefs, NOTIFICATION_TYPES };
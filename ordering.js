@@ -0,0 +1,79 @@
+/*
+ * Manual ordering of boards and tasks for AL&MO TASKS.
+ *
+ * Records carry an explicit numeric `position`; lists are shown sorted by
+ * it. Reordering moves one record in front of another (or to the end) and
+ * renumbers the whole list from 0, so positions never repeat. Records saved
+ * before positions existed sort after positioned ones, in their stored
+ * order.
+ *
+ * Shared by the server (require('./ordering')) and both front‑ends
+ * (window.AlmoOrder).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AlmoOrder = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    function defaultPosition(record) {
+        return record.position;
+    }
+
+    /**
+     * A copy of the records sorted by position. Records without a position
+     * keep their relative order after the positioned ones.
+     *
+     * @param {Object[]} records
+     * @param {function(Object): number} [positionOf] Reads a record's position.
+     * @returns {Object[]}
+     */
+    function sortByPosition(records, positionOf) {
+        const read = positionOf || defaultPosition;
+        const key = record => {
+            const pos = read(record);
+            return typeof pos === 'number' && isFinite(pos) ? pos : Infinity;
+        };
+        return records
+            .map((record, idx) => ({ record, idx, pos: key(record) }))
+            .sort((a, b) => (a.pos === b.pos ? a.idx - b.idx : a.pos < b.pos ? -1 : 1))
+            .map(entry => entry.record);
+    }
+
+    /**
+     * A copy of an ordered list with `record` moved in front of the record
+     * whose id is `beforeId`. The record is appended when `beforeId` is null
+     * or not in the list, and added if it was not in the list before.
+     *
+     * @param {Object[]} records Records in display order.
+     * @param {Object} record The record to place.
+     * @param {?string} beforeId
+     * @returns {Object[]}
+     */
+    function reorder(records, record, beforeId) {
+        const rest = records.filter(r => r.id !== record.id);
+        const idx = beforeId ? rest.findIndex(r => r.id === beforeId) : -1;
+        if (idx < 0) rest.push(record);
+        else rest.splice(idx, 0, record);
+        return rest;
+    }
+
+    /**
+     * The position that puts a new record after every record in the list.
+     *
+     * @param {Object[]} records
+     * @param {function(Object): number} [positionOf]
+     * @returns {number}
+     */
+    function nextPosition(records, positionOf) {
+        const read = positionOf || defaultPosition;
+        return records.reduce((max, record) => {
+            const pos = read(record);
+            return typeof pos === 'number' && isFinite(pos) ? Math.max(max, pos + 1) : max;
+        }, records.length);
+    }
+
+    return { sortByPosition, reorder, nextPosition };
+});
@@ -0,0 +1,104 @@
+/*
+ * Real-time updates for AL&MO TASKS over Server-Sent Events.
+ *
+ * Every open dashboard keeps a GET /api/events stream open. When a board or
+ * its tasks change, the server publishes an event to each connected member
+ * of the board:
+ *
+ *   hello         { clientId }           sent first on every new stream
+ *   board         { board }              a board was created or changed
+ *   boardRemoved  { boardId }            a board was deleted or the user lost access
+ *   task          { task }               a task (or one of its items) changed
+ *   taskRemoved   { taskId, boardId }    a task was deleted or left the board
+ *   boardTasks    { boardId, tasks }     all tasks of a board, after a change to several
+ *   presence      { boardId, users }     members who have the board open
+ *   notification  { notification }      a new notification for the user
+ *
+ * Clients send the clientId from `hello` in an X-Client-Id header with
+ * their requests, and are not sent events about their own changes.
+ */
+
+const { createId } = require('./ids');
+
+/**
+ * Create the hub that tracks open streams.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.heartbeatMs=25000] How often idle streams get a
+ *     comment line, so proxies do not close them.
+ */
+function createHub({ heartbeatMs = 25000 } = {}) {
+  // clientId -> { id, user, res }
+  const clients = new Map();
+
+  function write(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  const hub = {
+    /**
+     * Turn a request into an event stream for a user. `onClose` runs when
+     * the stream ends, after the client is forgotten.
+     *
+     * @param {Object} req
+     * @param {Object} res
+     * @param {{id: string, name: string}} user
+     * @param {function(Object)} [onClose]
+     * @returns {Object} The client.
+     */
+    connect(req, res, user, onClose) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      // Browsers reconnect after this many milliseconds when the stream drops
+      res.write('retry: 3000\n\n');
+      const client = { id: createId('client'), user: { id: user.id, name: user.name }, res };
+      clients.set(client.id, client);
+      write(client, 'hello', { clientId: client.id });
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client.id);
+        if (onClose) onClose(client);
+      });
+      return client;
+    },
+
+    /**
+     * Send an event to every open stream of the given users.
+     *
+     * @param {string[]} userIds
+     * @param {string} event
+     * @param {Object} data
+     * @param {string} [exceptClientId] The client that caused the event.
+     */
+    send(userIds, event, data, exceptClientId) {
+      const recipients = new Set(userIds);
+      clients.forEach(client => {
+        if (client.id !== exceptClientId && recipients.has(client.user.id)) write(client, event, data);
+      });
+    },
+
+    /**
+     * Which of the given users have a stream open, each once.
+     *
+     * @param {string[]} userIds
+     * @returns {Array<{id: string, name: string}>}
+     */
+    online(userIds) {
+      const wanted = new Set(userIds);
+      const found = new Map();
+      clients.forEach(client => {
+        if (wanted.has(client.user.id)) found.set(client.user.id, client.user);
+      });
+      return Array.from(found.values());
+    }
+  };
+  return hub;
+}
+
+module.exports = { createHub };
@@ -0,0 +1,202 @@
+/*
+ * Recurring tasks for AL&MO TASKS.
+ *
+ * A task's `recurrence` is null or a rule:
+ *
+ *   { frequency: 'daily' }
+ *   { frequency: 'weekly', weekdays: [1, 4] }    0 = Sunday ... 6 = Saturday
+ *   { frequency: 'monthly', monthDay: 15 }       clamped to short months
+ *   { frequency: 'interval', interval: 3 }       every N days
+ *
+ * each with an optional `until` date (YYYY-MM-DD, '' for none) after which
+ * it stops. When a recurring task is done, or its due date has passed, the
+ * next instance is created: a copy of the task due on the next date of the
+ * rule that is not already past, with fresh (open) copies of its sub-items
+ * as the template. The copy carries the rule on; the task it came from
+ * records it in `nextTaskId`, so each task recurs once.
+ *
+ * Shared by the server (require('./recurrence')) and both front‑ends
+ * (window.AlmoRecurrence, after items.js and dates.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./items'), require('./dates'));
+    } else {
+        root.AlmoRecurrence = factory(root.AlmoItems, root.AlmoDates);
+    }
+})(typeof self !== 'undefined' ? self : this, function (items, dates) {
+    const FREQUENCIES = [
+        { id: 'daily', name: 'Daily' },
+        { id: 'weekly', name: 'Weekly' },
+        { id: 'monthly', name: 'Monthly' },
+        { id: 'interval', name: 'Every N days' }
+    ];
+
+    const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    /**
+     * The longest interval, in days, of an "every N days" rule.
+     */
+    const MAX_INTERVAL = 365;
+
+    const { parseDate, formatDate, addDays, isValidDate, dueDay, dueTime, joinDueDate, localDate } = dates;
+
+    // The monthDay of a month, or its last day in months that are shorter
+    function dayOfMonth(year, month, monthDay) {
+        const last = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return formatDate(new Date(Date.UTC(year, month, Math.min(monthDay, last))));
+    }
+
+    /**
+     * Check a recurrence rule sent by a client; null means the task does
+     * not repeat. Returns an error message, or null when it is usable.
+     *
+     * @param {*} rule
+     * @returns {string|null}
+     */
+    function validateRecurrence(rule) {
+        if (rule === null) return null;
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            return 'recurrence must be a rule, or null for none.';
+        }
+        if (!FREQUENCIES.some(f => f.id === rule.frequency)) {
+            return `recurrence.frequency must be one of: ${FREQUENCIES.map(f => f.id).join(', ')}.`;
+        }
+        if (rule.frequency === 'weekly' && !(Array.isArray(rule.weekdays) && rule.weekdays.length &&
+            rule.weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+            return 'Weekly recurrence needs weekdays, numbers from 0 (Sunday) to 6 (Saturday).';
+        }
+        if (rule.frequency === 'monthly' && !(Number.isInteger(rule.monthDay) && rule.monthDay >= 1 && rule.monthDay <= 31)) {
+            return 'Monthly recurrence needs a monthDay from 1 to 31.';
+        }
+        if (rule.frequency === 'interval' &&
+            !(Number.isInteger(rule.interval) && rule.interval >= 1 && rule.interval <= MAX_INTERVAL)) {
+            return `Recurrence every N days needs an interval from 1 to ${MAX_INTERVAL}.`;
+        }
+        if ('until' in rule && (typeof rule.until !== 'string' || (rule.until && !isValidDate(rule.until)))) {
+            return `recurrence.until must be a date (YYYY-MM-DD) from ${dates.MIN_YEAR} to ${dates.MAX_YEAR}, or empty for none.`;
+        }
+        return null;
+    }
+
+    /**
+     * A valid rule with only the fields its frequency uses, weekdays
+     * sorted and each once.
+     *
+     * @param {?Object} rule
+     * @returns {?Object}
+     */
+    function normalizeRecurrence(rule) {
+        if (!rule) return null;
+        const clean = { frequency: rule.frequency };
+        if (rule.frequency === 'weekly') clean.weekdays = Array.from(new Set(rule.weekdays)).sort((a, b) => a - b);
+        if (rule.frequency === 'monthly') clean.monthDay = rule.monthDay;
+        if (rule.frequency === 'interval') clean.interval = rule.interval;
+        clean.until = rule.until || '';
+        return clean;
+    }
+
+    /**
+     * The first date of a rule after the given date.
+     *
+     * @param {Object} rule
+     * @param {string} after YYYY-MM-DD
+     * @returns {string}
+     */
+    function nextDate(rule, after) {
+        if (rule.frequency === 'daily') return addDays(after, 1);
+        if (rule.frequency === 'interval') return addDays(after, rule.interval);
+        if (rule.frequency === 'weekly') {
+            let date = addDays(after, 1);
+            while (!rule.weekdays.includes(parseDate(date).getUTCDay())) date = addDays(date, 1);
+            return date;
+        }
+        const start = parseDate(after);
+        const year = start.getUTCFullYear();
+        const month = start.getUTCMonth();
+        const sameMonth = dayOfMonth(year, month, rule.monthDay);
+        return sameMonth > after ? sameMonth : dayOfMonth(year, month + 1, rule.monthDay);
+    }
+
+    /**
+     * Whether a recurring task should now lead to its next instance: it has
+     * not already, and it is done or past its due date.
+     *
+     * @param {Object} task
+     * @param {boolean} done Whether the task is in a done column.
+     * @param {Date} [now]
+     * @returns {boolean}
+     */
+    function shouldRecur(task, done, now = new Date()) {
+        if (!task.recurrence || task.nextTaskId) return false;
+        return done || (!!task.dueDate && now.getTime() >= dates.dueInstant(task.dueDate).getTime());
+    }
+
+    /**
+     * The fields of the next instance of a recurring task, or null when its
+     * rule has ended. The new task is due on the first date of the rule
+     * after the task's due date (or after today, for tasks without one)
+     * that is not in the past, at the same time of day if it had one.
+     *
+     * @param {Object} task
+     * @param {function(string): string} createId Makes ids for the sub-items.
+     * @param {Date} [now]
+     * @returns {?Object}
+     */
+    function nextInstance(task, createId, now = new Date()) {
+        const rule = task.recurrence;
+        const today = localDate(now);
+        let dueDate = nextDate(rule, dueDay(task.dueDate) || today);
+        while (dueDate < today) dueDate = nextDate(rule, dueDate);
+        if (rule.until && dueDate > rule.until) return null;
+        dueDate = joinDueDate(dueDate, dueTime(task.dueDate));
+        const freshItems = items.orderedItems(task.items).map((item, position) => ({
+            id: createId('item'),
+            content: item.content,
+            completed: false,
+            userId: item.userId || '',
+            dueDate: '',
+            position
+        }));
+        return {
+            title: task.title,
+            description: task.description || '',
+            userId: task.userId || '',
+            dueDate,
+            labelIds: (task.labelIds || []).slice(),
+            priority: task.priority || '',
+            estimate: typeof task.estimate === 'number' ? task.estimate : null,
+            recurrence: Object.assign({}, rule),
+            items: freshItems
+        };
+    }
+
+    /**
+     * A short description of a rule, such as "Weekly on Mon, Thu".
+     *
+     * @param {?Object} rule
+     * @returns {string}
+     */
+    function describeRecurrence(rule) {
+        if (!rule) return '';
+        let text;
+        if (rule.frequency === 'daily') text = 'Daily';
+        else if (rule.frequency === 'weekly') text = `Weekly on ${rule.weekdays.map(d => WEEKDAY_NAMES[d]).join(', ')}`;
+        else if (rule.frequency === 'monthly') text = `Monthly on day ${rule.monthDay}`;
+        else text = rule.interval === 1 ? 'Every day' : `Every ${rule.interval} days`;
+        return rule.until ? `${text} until ${rule.until}` : text;
+    }
+
+    return {
+        FREQUENCIES,
+        WEEKDAY_NAMES,
+        MAX_INTERVAL,
+        validateRecurrence,
+        normalizeRecurrence,
+        nextDate,
+        shouldRecur,
+        nextInstance,
+        describeRecurrence
+    };
+});
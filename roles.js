@@ -0,0 +1,93 @@
+/*
+ * Board roles and permissions for AL&MO TASKS.
+ *
+ * Shared by the server (require('./roles')), which enforces them, and the
+ * dashboard (window.AlmoRoles), which hides controls a member's role does not
+ * allow. Roles are stored per board in `board.roles` keyed by user id; the
+ * board's `ownerId` is always the owner, and members without an entry (boards
+ * created before roles existed) are editors.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AlmoRoles = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * What each role may do:
+     *  - view:          see the board and its tasks
+     *  - comment:       take part in task discussions
+     *  - editAssigned:  edit tasks assigned to you (not move or reassign them)
+     *  - editTasks:     create, edit, move, reassign and delete any task
+     *  - invite:        invite new members
+     *  - manageMembers: change roles, remove members, transfer ownership
+     *  - manageBoard:   delete the board
+     */
+    const ROLE_PERMISSIONS = {
+        owner: ['view', 'comment', 'editAssigned', 'editTasks', 'invite', 'manageMembers', 'manageBoard'],
+        editor: ['view', 'comment', 'editAssigned', 'editTasks', 'invite'],
+        commenter: ['view', 'comment', 'editAssigned'],
+        viewer: ['view']
+    };
+
+    // Roles that can be given to members; ownership moves by transfer only
+    const ASSIGNABLE_ROLES = ['editor', 'commenter', 'viewer'];
+    const DEFAULT_ROLE = 'editor';
+
+    /**
+     * The user's role on a board, or null if they are not a member.
+     *
+     * @param {Object} board
+     * @param {string} userId
+     * @returns {string|null}
+     */
+    function boardRole(board, userId) {
+        if (!board || !userId) return null;
+        if (board.ownerId === userId) return 'owner';
+        if (!(board.members || []).includes(userId)) return null;
+        const role = board.roles && board.roles[userId];
+        return ASSIGNABLE_ROLES.includes(role) ? role : DEFAULT_ROLE;
+    }
+
+    /**
+     * Whether the user owns the board or is listed among its members.
+     *
+     * @param {Object} board
+     * @param {string} userId
+     * @returns {boolean}
+     */
+    function isBoardMember(board, userId) {
+        return boardRole(board, userId) !== null;
+    }
+
+    /**
+     * Whether the user's role on the board grants a permission.
+     *
+     * @param {Object} board
+     * @param {string} userId
+     * @param {string} permission One of the keys listed in ROLE_PERMISSIONS.
+     * @returns {boolean}
+     */
+    function can(board, userId, permission) {
+        const role = boardRole(board, userId);
+        return !!role && ROLE_PERMISSIONS[role].includes(permission);
+    }
+
+    /**
+     * Whether the user may edit a task's content (title, description, due
+     * date, items). Moving or reassigning a task needs `editTasks`.
+     *
+     * @param {Object} board The task's board.
+     * @param {string} userId
+     * @param {Object} task
+     * @returns {boolean}
+     */
+    function canEditTask(board, userId, task) {
+        return can(board, userId, 'editTasks') ||
+            (can(board, userId, 'editAssigned') && !!task && task.userId === userId);
+    }
+
+    return { ROLE_PERMISSIONS, ASSIGNABLE_ROLES, DEFAULT_ROLE, boardRole, isBoardMember, can, canEditTask };
+});
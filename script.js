@@ -18,41 +18,91 @@ document.addEventListener('DOMContentLoaded', () => {
     const taskForm = document.getElementById('create-task-form');
     const taskUserSelect = document.getElementById('task-user');
     const taskBoardSelect = document.getElementById('task-board');
+    const taskPrioritySelect = document.getElementById('task-priority');
+    const taskEstimateInput = document.getElementById('task-estimate');
+    const taskRecurrenceBox = document.getElementById('task-recurrence');
     const boardsContainer = document.getElementById('boards-container');
+    const viewSwitcher = document.getElementById('view-switcher');
+    const calendarSection = document.getElementById('calendar');
+    const archivedSection = document.getElementById('archived-boards');
+    const archivedList = document.getElementById('archived-list');
+    const trashSection = document.getElementById('trash');
+    const trashList = document.getElementById('trash-list');
+
+    // Shared id generator (ids.js), board colours (colors.js), status
+    // workflow (statuses.js), manual ordering (ordering.js), sub-items
+    // (items.js), priority and estimate (triage.js), recurring tasks
+    // (recurrence.js) and the calendar view (calendar.js)
+    const { createId, repairDuplicateIds } = window.AlmoIds;
+    const { BOARD_COLORS, nextBoardColor } = window.AlmoColors;
+    const { DEFAULT_STATUSES, boardStatuses, isValidStatus, taskStatus, isTaskDone, statusesFromNames } = window.AlmoStatuses;
+    const { sortByPosition, reorder, nextPosition } = window.AlmoOrder;
+    const { orderedItems, createItem, moveItem, itemProgress, taskFromItem } = window.AlmoItems;
+    const { PRIORITIES, SORT_MODES, priorityName, parseEstimate, totalEstimate, sortTasks } = window.AlmoTriage;
+    const {
+        FREQUENCIES, WEEKDAY_NAMES, MAX_INTERVAL, validateRecurrence, normalizeRecurrence, shouldRecur, nextInstance,
+        describeRecurrence
+    } = window.AlmoRecurrence;
+    const { CALENDAR_VIEWS, calendarDays, shiftAnchor, inMonth, calendarTitle, tasksByDate } = window.AlmoCalendar;
+    const {
+        localDate, dueDay, dueTime, joinDueDate, formatDueDate, dueState, dueStateName
+    } = window.AlmoDates;
+
+    // Drag data types for boards and sub-items, so their drags are not
+    // mistaken for cards
+    const BOARD_DRAG_TYPE = 'application/x-almo-board';
+    const ITEM_DRAG_TYPE = 'application/x-almo-item';
 
     // Application state
     let users = [];
     let boards = [];
     let tasks = [];
+    // The sub-item being edited inline, if any
+    let editingItemId = null;
+    // Deleted tasks and boards, newest first
+    let trash = [];
+    // Whether the boards or a month or week calendar is shown, and the date
+    // the calendar is showing
+    let view = localStorage.getItem('almo_view') || 'boards';
+    let calendarAnchor = localDate();
+
+    /**
+     * Deleted tasks and boards stay in the trash for this many days before
+     * they are purged for good.
+     */
+    const TRASH_RETENTION_DAYS = 30;
 
     /**
-     * Colour palette for boards. When a new board is created the next
-     * colour from this array will be applied. Colours recycle if
-     * there are more boards than colours. These shades were chosen
-     * to evoke the playful yet professional look of modern task apps.
+     * How often open pages look for recurring tasks whose due date has
+     * passed.
      */
-    const boardColors = [
-        '#4A90E2', // blue
-        '#50E3C2', // teal
-        '#F5A623', // orange
-        '#BD10E0', // purple
-        '#B8E986', // green
-        '#F8E71C', // yellow
-        '#D0021B'  // red
-    ];
+    const RECURRENCE_CHECK_MS = 60 * 60 * 1000;
 
     /**
      * Load stored data from localStorage. If no data exists, initialise
      * empty arrays. For backward compatibility, tasks without an `items`
      * property will have it initialised to an empty array. Tasks lacking
      * a `userId` field retain their old `assigned` string if present.
+     * Records that share an id with an earlier record (possible with the
+     * old Date.now() ids) are given a fresh id. Boards, and tasks within
+     * each board, are renumbered by position; data saved before positions
+     * existed keeps its stored order; so do sub-items within each task.
+     * Trash entries past the retention window are purged.
      */
     function load() {
         users = JSON.parse(localStorage.getItem('almo_users')) || [];
         boards = JSON.parse(localStorage.getItem('almo_boards')) || [];
         tasks = JSON.parse(localStorage.getItem('almo_tasks')) || [];
+        trash = JSON.parse(localStorage.getItem('almo_trash')) || [];
+        const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        trash = trash.filter(entry => Date.parse(entry.deletedAt) > cutoff);
+        repairDuplicateIds(users, 'user');
+        repairDuplicateIds(boards, 'board');
+        repairDuplicateIds(tasks, 'task');
         tasks.forEach(task => {
             if (!task.items) task.items = [];
+            repairDuplicateIds(task.items, 'item');
+            renumber(orderedItems(task.items));
             if (!('editing' in task)) task.editing = false;
             // Migrate legacy 'assigned' field to 'userId'
             if (task.assigned && !task.userId) {
@@ -63,7 +113,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     id = match.id;
                 } else {
                     // Create a new user record for the legacy assignment
-                    id = 'user-' + Date.now();
+                    id = createId('user');
                     users.push({ id, name: task.assigned });
                 }
                 task.userId = id;
@@ -76,20 +126,72 @@ document.addEventListener('DOMContentLoaded', () => {
         // reload. If there are more boards than colours, colours cycle.
         boards.forEach((board, idx) => {
             if (!board.color) {
-                board.color = boardColors[idx % boardColors.length];
+                board.color = BOARD_COLORS[idx % BOARD_COLORS.length];
             }
+            if (!board.statuses) board.statuses = DEFAULT_STATUSES.map(s => Object.assign({}, s));
         });
+        // Tasks without a valid status start in their board's first column
+        tasks.forEach(task => {
+            task.status = taskStatus(boards.find(b => b.id === task.boardId), task);
+        });
+        boards = sortByPosition(boards);
+        renumber(boards);
+        boards.forEach(board => {
+            renumber(sortByPosition(tasks.filter(t => t.boardId === board.id)));
+        });
+        recurTasks();
         save();
     }
 
+    /**
+     * Create the next instance of each recurring task that is done or past
+     * its due date and has not recurred yet (see recurrence.js). The new
+     * task goes to the end of the first column of its board. Tasks on
+     * archived boards wait until the board is restored.
+     *
+     * @returns {boolean} Whether any task was created.
+     */
+    function recurTasks() {
+        let created = false;
+        tasks.slice().forEach(task => {
+            const board = boards.find(b => b.id === task.boardId);
+            if (!board || board.archived || !shouldRecur(task, isTaskDone(board, task))) return;
+            const fields = nextInstance(task, createId);
+            if (!fields) return;
+            const next = Object.assign({
+                id: createId('task'),
+                boardId: board.id,
+                status: boardStatuses(board)[0].id,
+                position: nextPosition(tasks.filter(t => t.boardId === board.id)),
+                editing: false
+            }, fields);
+            tasks.push(next);
+            task.nextTaskId = next.id;
+            created = true;
+        });
+        return created;
+    }
+
+    /**
+     * Give records in display order the positions 0, 1, 2, ...
+     *
+     * @param {Object[]} records
+     */
+    function renumber(records) {
+        records.forEach((record, idx) => {
+            record.position = idx;
+        });
+    }
+
     /**
      * Persist current state arrays into localStorage. This helper ensures
-     * synchronous writes to storage for users, boards and tasks.
+     * synchronous writes to storage for users, boards, tasks and the trash.
      */
     function save() {
         localStorage.setItem('almo_users', JSON.stringify(users));
         localStorage.setItem('almo_boards', JSON.stringify(boards));
         localStorage.setItem('almo_tasks', JSON.stringify(tasks));
+        localStorage.setItem('almo_trash', JSON.stringify(trash));
     }
 
     /**
@@ -127,13 +229,22 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     /**
-     * Populate the board selector in the task creation form with existing
-     * boards. Called whenever boards are added or removed.
+     * Boards that are not archived, in display order.
+     *
+     * @returns {Object[]}
+     */
+    function activeBoards() {
+        return boards.filter(b => !b.archived);
+    }
+
+    /**
+     * Populate the board selector in the task creation form with the
+     * active boards. Called whenever boards are added or removed.
      */
     function updateBoardOptions() {
         const current = taskBoardSelect.value;
         taskBoardSelect.innerHTML = '';
-        boards.forEach(board => {
+        activeBoards().forEach(board => {
             const option = document.createElement('option');
             option.value = board.id;
             option.textContent = board.name;
@@ -142,6 +253,138 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    /**
+     * Fill a priority selector with a "No priority" option followed by the
+     * priorities, most urgent first.
+     *
+     * @param {HTMLSelectElement} select
+     * @param {string} selected The priority to select.
+     */
+    function fillPrioritySelect(select, selected) {
+        const blankOpt = document.createElement('option');
+        blankOpt.value = '';
+        blankOpt.textContent = 'No priority';
+        select.appendChild(blankOpt);
+        PRIORITIES.forEach(priority => {
+            const opt = document.createElement('option');
+            opt.value = priority.id;
+            opt.textContent = priority.name;
+            if (selected === priority.id) opt.selected = true;
+            select.appendChild(opt);
+        });
+    }
+
+    /**
+     * Inputs for a recurrence rule: how often, and the weekdays, day of the
+     * month or number of days that frequency needs, and an end date. Only
+     * the inputs the chosen frequency uses are shown.
+     *
+     * @param {?Object} rule The rule to show, or null for none.
+     * @returns {HTMLElement}
+     */
+    function createRecurrenceFields(rule) {
+        const box = document.createElement('div');
+        box.className = 'recurrence-fields';
+        const frequency = document.createElement('select');
+        frequency.dataset.field = 'frequency';
+        const onceOpt = document.createElement('option');
+        onceOpt.value = '';
+        onceOpt.textContent = 'Does not repeat';
+        frequency.appendChild(onceOpt);
+        FREQUENCIES.forEach(f => {
+            const opt = document.createElement('option');
+            opt.value = f.id;
+            opt.textContent = f.name;
+            if (rule && rule.frequency === f.id) opt.selected = true;
+            frequency.appendChild(opt);
+        });
+        box.appendChild(frequency);
+        const weekdays = document.createElement('span');
+        weekdays.dataset.field = 'weekdays';
+        WEEKDAY_NAMES.forEach((name, day) => {
+            const option = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = day;
+            checkbox.checked = !!rule && rule.frequency === 'weekly' && rule.weekdays.includes(day);
+            option.appendChild(checkbox);
+            option.appendChild(document.createTextNode(name));
+            weekdays.appendChild(option);
+        });
+        box.appendChild(weekdays);
+        const monthDay = document.createElement('input');
+        monthDay.type = 'number';
+        monthDay.min = '1';
+        monthDay.max = '31';
+        monthDay.title = 'Day of the month';
+        monthDay.dataset.field = 'monthDay';
+        monthDay.value = (rule && rule.monthDay) || 1;
+        box.appendChild(monthDay);
+        const interval = document.createElement('input');
+        interval.type = 'number';
+        interval.min = '1';
+        interval.max = String(MAX_INTERVAL);
+        interval.title = 'Number of days';
+        interval.dataset.field = 'interval';
+        interval.value = (rule && rule.interval) || 2;
+        box.appendChild(interval);
+        const until = document.createElement('input');
+        until.type = 'date';
+        until.title = 'Repeat until';
+        until.dataset.field = 'until';
+        until.value = (rule && rule.until) || '';
+        box.appendChild(until);
+        const showFields = () => {
+            weekdays.hidden = frequency.value !== 'weekly';
+            monthDay.hidden = frequency.value !== 'monthly';
+            interval.hidden = frequency.value !== 'interval';
+            until.hidden = !frequency.value;
+        };
+        frequency.addEventListener('change', showFields);
+        showFields();
+        return box;
+    }
+
+    /**
+     * The rule entered in recurrence fields (see createRecurrenceFields).
+     * Shows what is wrong with it and returns undefined when it is not
+     * usable.
+     *
+     * @param {HTMLElement} box
+     * @returns {?Object|undefined} The rule, or null for none.
+     */
+    function recurrenceValue(box) {
+        const field = name => box.querySelector(`[data-field="${name}"]`);
+        const frequency = field('frequency').value;
+        if (!frequency) return null;
+        const rule = { frequency, until: field('until').value };
+        if (frequency === 'weekly') {
+            rule.weekdays = Array.from(field('weekdays').querySelectorAll('input'))
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => Number(checkbox.value));
+        }
+        if (frequency === 'monthly') rule.monthDay = parseInt(field('monthDay').value, 10);
+        if (frequency === 'interval') rule.interval = parseInt(field('interval').value, 10);
+        const error = validateRecurrence(rule);
+        if (error) {
+            alert(error);
+            return undefined;
+        }
+        return normalizeRecurrence(rule);
+    }
+
+    /**
+     * How urgent a task's due date is now, in the browser's time zone (see
+     * dates.js); '' for tasks that are done.
+     *
+     * @param {Object} task
+     * @returns {string}
+     */
+    function taskDueState(task) {
+        const board = boards.find(b => b.id === task.boardId);
+        return isTaskDone(board, task) ? '' : dueState(task.dueDate);
+    }
+
     /**
      * Create DOM elements for a single task card. Depending on the task's
      * `editing` flag, either shows an edit form or the display view. This
@@ -182,15 +425,20 @@ document.addEventListener('DOMContentLoaded', () => {
             });
             editForm.appendChild(userSelect);
 
-            // Due date
+            // Due date, with an optional time
             const dueInput = document.createElement('input');
             dueInput.type = 'date';
-            dueInput.value = task.dueDate || '';
+            dueInput.value = dueDay(task.dueDate);
             editForm.appendChild(dueInput);
+            const dueTimeInput = document.createElement('input');
+            dueTimeInput.type = 'time';
+            dueTimeInput.setAttribute('aria-label', 'Due time (optional)');
+            dueTimeInput.value = dueTime(task.dueDate);
+            editForm.appendChild(dueTimeInput);
 
             // Board selector
             const boardSelect = document.createElement('select');
-            boards.forEach(b => {
+            boards.filter(b => b.id === task.boardId || !b.archived).forEach(b => {
                 const opt = document.createElement('option');
                 opt.value = b.id;
                 opt.textContent = b.name;
@@ -199,6 +447,33 @@ document.addEventListener('DOMContentLoaded', () => {
             });
             editForm.appendChild(boardSelect);
 
+            // Status selector (columns of the task's current board)
+            const statusSelect = document.createElement('select');
+            boardStatuses(boards.find(b => b.id === task.boardId)).forEach(status => {
+                const opt = document.createElement('option');
+                opt.value = status.id;
+                opt.textContent = status.name;
+                if (task.status === status.id) opt.selected = true;
+                statusSelect.appendChild(opt);
+            });
+            editForm.appendChild(statusSelect);
+
+            // Priority and estimate
+            const prioritySelect = document.createElement('select');
+            fillPrioritySelect(prioritySelect, task.priority);
+            editForm.appendChild(prioritySelect);
+            const estimateInput = document.createElement('input');
+            estimateInput.type = 'number';
+            estimateInput.min = '0';
+            estimateInput.step = 'any';
+            estimateInput.placeholder = 'Estimate';
+            estimateInput.value = typeof task.estimate === 'number' ? task.estimate : '';
+            editForm.appendChild(estimateInput);
+
+            // Recurrence
+            const recurrenceFields = createRecurrenceFields(task.recurrence);
+            editForm.appendChild(recurrenceFields);
+
             // Description
             const descArea = document.createElement('textarea');
             descArea.value = task.description || '';
@@ -212,14 +487,21 @@ document.addEventListener('DOMContentLoaded', () => {
             saveBtn.className = 'save-task';
             saveBtn.textContent = 'Save';
             saveBtn.addEventListener('click', () => {
+                const recurrence = recurrenceValue(recurrenceFields);
+                if (recurrence === undefined) return;
                 // Update properties from inputs
                 task.title = titleInput.value.trim() || task.title;
                 const selectedUser = userSelect.value;
                 task.userId = selectedUser || '';
-                task.dueDate = dueInput.value;
-                task.boardId = boardSelect.value;
+                task.dueDate = joinDueDate(dueInput.value, dueTimeInput.value);
+                task.status = statusSelect.value;
+                task.priority = prioritySelect.value;
+                task.estimate = parseEstimate(estimateInput.value);
+                task.recurrence = recurrence;
+                moveToBoard(task, boardSelect.value);
                 task.description = descArea.value.trim();
                 task.editing = false;
+                recurTasks();
                 save();
                 render();
             });
@@ -239,24 +521,65 @@ document.addEventListener('DOMContentLoaded', () => {
             return card;
         }
 
-        // Display mode
+        // Display mode. Cards can be dragged between status columns.
+        card.dataset.taskId = task.id;
+        card.draggable = true;
+        card.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', task.id);
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('dragging');
+        });
+        card.addEventListener('dragend', () => card.classList.remove('dragging'));
+
         const titleEl = document.createElement('h4');
         titleEl.textContent = task.title;
         card.appendChild(titleEl);
 
+        // Priority badge
+        if (task.priority) {
+            const priorityEl = document.createElement('span');
+            priorityEl.className = `priority priority-${task.priority}`;
+            priorityEl.textContent = priorityName(task.priority);
+            card.appendChild(priorityEl);
+        }
+
         // Assigned user display
         const user = users.find(u => u.id === task.userId);
         const assignText = document.createElement('p');
         assignText.textContent = user ? `Assigned: ${user.name}` : 'Assigned: —';
         card.appendChild(assignText);
 
-        // Due date display
+        // Due date display, flagged when it is near or past
         if (task.dueDate) {
             const dueEl = document.createElement('p');
-            dueEl.textContent = `Due: ${task.dueDate}`;
+            dueEl.className = 'due';
+            dueEl.textContent = `Due: ${formatDueDate(task.dueDate)}`;
+            const state = taskDueState(task);
+            if (state) {
+                card.classList.add(`due-${state}`);
+                const badge = document.createElement('span');
+                badge.className = 'due-badge';
+                badge.textContent = dueStateName(state);
+                dueEl.appendChild(badge);
+            }
             card.appendChild(dueEl);
         }
 
+        // Estimate display
+        if (typeof task.estimate === 'number') {
+            const estimateEl = document.createElement('p');
+            estimateEl.textContent = `Estimate: ${task.estimate}`;
+            card.appendChild(estimateEl);
+        }
+
+        // Recurrence display
+        if (task.recurrence) {
+            const recurrenceEl = document.createElement('p');
+            recurrenceEl.className = 'recurrence';
+            recurrenceEl.textContent = `Repeats: ${describeRecurrence(task.recurrence)}`;
+            card.appendChild(recurrenceEl);
+        }
+
         // Description display
         if (task.description) {
             const descEl = document.createElement('p');
@@ -264,79 +587,7 @@ document.addEventListener('DOMContentLoaded', () => {
             card.appendChild(descEl);
         }
 
-        // Sub-items section
-        const sub = document.createElement('div');
-        sub.className = 'sub-items';
-        const subTitle = document.createElement('h5');
-        subTitle.textContent = 'Items';
-        sub.appendChild(subTitle);
-        const ul = document.createElement('ul');
-        task.items.forEach(item => {
-            const li = document.createElement('li');
-            // Checkbox for completion
-            const chk = document.createElement('input');
-            chk.type = 'checkbox';
-            chk.checked = !!item.completed;
-            chk.addEventListener('change', () => {
-                // Update completion state and re-render to reflect line-through
-                item.completed = chk.checked;
-                save();
-                render();
-            });
-            li.appendChild(chk);
-            // Text
-            const span = document.createElement('span');
-            span.textContent = item.content;
-            if (item.completed) span.style.textDecoration = 'line-through';
-            li.appendChild(span);
-            // Edit item button
-            const editItemBtn = document.createElement('button');
-            editItemBtn.textContent = 'Edit';
-            editItemBtn.addEventListener('click', () => {
-                const newContent = prompt('Edit item', item.content);
-                if (newContent !== null) {
-                    item.content = newContent.trim();
-                    save();
-                    render();
-                }
-            });
-            li.appendChild(editItemBtn);
-            // Delete item button
-            const delItemBtn = document.createElement('button');
-            delItemBtn.textContent = '×';
-            delItemBtn.addEventListener('click', () => {
-                task.items = task.items.filter(it => it.id !== item.id);
-                save();
-                render();
-            });
-            li.appendChild(delItemBtn);
-            ul.appendChild(li);
-        });
-        sub.appendChild(ul);
-        // Form to add new sub-item
-        const addItemForm = document.createElement('form');
-        addItemForm.className = 'add-item-form';
-        const addInput = document.createElement('input');
-        addInput.type = 'text';
-        addInput.placeholder = 'Add item';
-        addItemForm.appendChild(addInput);
-        const addBtn = document.createElement('button');
-        addBtn.type = 'submit';
-        addBtn.textContent = 'Add';
-        addItemForm.appendChild(addBtn);
-        addItemForm.addEventListener('submit', (e) => {
-            e.preventDefault();
-            const content = addInput.value.trim();
-            if (content) {
-                const itemId = 'item-' + Date.now();
-                task.items.push({ id: itemId, content, completed: false });
-                addInput.value = '';
-                save();
-                render();
-            }
-        });
-        sub.appendChild(addItemForm);
-        card.appendChild(sub);
+        card.appendChild(createItemsSection(task));
 
         // Action controls: board select, user select, edit, delete
         const actionsDiv = document.createElement('div');
@@ -344,7 +595,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Board select for moving
         const boardSelect = document.createElement('select');
-        boards.forEach(b => {
+        boards.filter(b => b.id === task.boardId || !b.archived).forEach(b => {
             const opt = document.createElement('option');
             opt.value = b.id;
             opt.textContent = b.name;
@@ -352,7 +603,7 @@ document.addEventListener('DOMContentLoaded', () => {
             boardSelect.appendChild(opt);
         });
         boardSelect.addEventListener('change', (e) => {
-            task.boardId = e.target.value;
+            moveToBoard(task, e.target.value);
             save();
             render();
         });
@@ -391,7 +642,9 @@ document.addEventListener('DOMContentLoaded', () => {
         const delBtn = document.createElement('button');
         delBtn.textContent = 'Delete';
         delBtn.addEventListener('click', () => {
+            if (!confirm('Move this task to the trash?')) return;
             tasks = tasks.filter(t => t.id !== task.id);
+            moveToTrash('task', task);
             save();
             render();
         });
@@ -401,6 +654,682 @@ document.addEventListener('DOMContentLoaded', () => {
         return card;
     }
 
+    /**
+     * The sub-items of a task with a progress bar, and a form to add more.
+     * Items can be ticked, edited inline, reordered by dragging, deleted and
+     * turned into tasks of their own.
+     *
+     * @param {Object} task
+     * @returns {HTMLElement}
+     */
+    function createItemsSection(task) {
+        const sub = document.createElement('div');
+        sub.className = 'sub-items';
+        const subTitle = document.createElement('h5');
+        const { done, total } = itemProgress(task.items);
+        subTitle.textContent = total ? `Items ${done}/${total}` : 'Items';
+        sub.appendChild(subTitle);
+        if (total) {
+            const progress = document.createElement('div');
+            progress.className = 'item-progress';
+            progress.title = `${done} of ${total} items done`;
+            const bar = document.createElement('div');
+            bar.className = 'item-progress-bar';
+            bar.style.width = `${Math.round((done / total) * 100)}%`;
+            progress.appendChild(bar);
+            sub.appendChild(progress);
+        }
+        const ul = document.createElement('ul');
+        orderedItems(task.items).forEach(item => {
+            ul.appendChild(item.id === editingItemId ? createItemEditForm(task, item) : createItemRow(task, item));
+        });
+        // Dropping a dragged item puts it in front of the item it lands on,
+        // or last; items only move within their own task
+        ul.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes(ITEM_DRAG_TYPE)) return;
+            e.preventDefault();
+            e.stopPropagation();
+        });
+        ul.addEventListener('drop', (e) => {
+            const itemId = e.dataTransfer.getData(ITEM_DRAG_TYPE);
+            if (!itemId) return;
+            e.preventDefault();
+            e.stopPropagation();
+            if (!task.items.some(i => i.id === itemId)) return;
+            const target = e.target.closest('li[data-item-id]');
+            const beforeId = target ? target.dataset.itemId : null;
+            if (beforeId === itemId) return;
+            task.items = moveItem(task.items, itemId, beforeId);
+            save();
+            render();
+        });
+        sub.appendChild(ul);
+        // Form to add new sub-item
+        const addItemForm = document.createElement('form');
+        addItemForm.className = 'add-item-form';
+        const addInput = document.createElement('input');
+        addInput.type = 'text';
+        addInput.placeholder = 'Add item';
+        addItemForm.appendChild(addInput);
+        const addBtn = document.createElement('button');
+        addBtn.type = 'submit';
+        addBtn.textContent = 'Add';
+        addItemForm.appendChild(addBtn);
+        addItemForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const content = addInput.value.trim();
+            if (content) {
+                task.items.push(createItem(createId('item'), { content }, task.items));
+                addInput.value = '';
+                save();
+                render();
+            }
+        });
+        sub.appendChild(addItemForm);
+        return sub;
+    }
+
+    /**
+     * One sub-item: its checkbox, content, assignee and due date, with
+     * buttons to edit it, turn it into a task or delete it. Clicking the
+     * content also edits it.
+     *
+     * @param {Object} task
+     * @param {Object} item
+     * @returns {HTMLElement}
+     */
+    function createItemRow(task, item) {
+        const li = document.createElement('li');
+        li.dataset.itemId = item.id;
+        li.draggable = true;
+        li.addEventListener('dragstart', (e) => {
+            // Keep the card itself from being dragged along
+            e.stopPropagation();
+            e.dataTransfer.setData(ITEM_DRAG_TYPE, item.id);
+            e.dataTransfer.effectAllowed = 'move';
+            li.classList.add('dragging');
+        });
+        li.addEventListener('dragend', () => li.classList.remove('dragging'));
+        // Checkbox for completion
+        const chk = document.createElement('input');
+        chk.type = 'checkbox';
+        chk.checked = !!item.completed;
+        chk.addEventListener('change', () => {
+            // Update completion state and re-render to reflect line-through
+            item.completed = chk.checked;
+            save();
+            render();
+        });
+        li.appendChild(chk);
+        // Text, then the assignee and due date if set
+        const span = document.createElement('span');
+        span.textContent = item.content;
+        if (item.completed) span.style.textDecoration = 'line-through';
+        li.appendChild(span);
+        const assignee = users.find(u => u.id === item.userId);
+        const meta = [assignee ? assignee.name : '', item.dueDate ? `due ${item.dueDate}` : ''].filter(Boolean);
+        if (meta.length) {
+            const small = document.createElement('small');
+            small.className = 'item-meta';
+            small.textContent = meta.join(' · ');
+            li.appendChild(small);
+        }
+        const startEditing = () => {
+            editingItemId = item.id;
+            render();
+            const input = document.querySelector(`.item-edit-form[data-item-id="${item.id}"] input`);
+            if (input) input.focus();
+        };
+        span.addEventListener('click', startEditing);
+        // Edit item button
+        const editItemBtn = document.createElement('button');
+        editItemBtn.textContent = 'Edit';
+        editItemBtn.addEventListener('click', startEditing);
+        li.appendChild(editItemBtn);
+        // Convert to task button
+        const convertBtn = document.createElement('button');
+        convertBtn.textContent = '→ Task';
+        convertBtn.title = 'Turn this item into a task';
+        convertBtn.addEventListener('click', () => convertItem(task, item));
+        li.appendChild(convertBtn);
+        // Delete item button
+        const delItemBtn = document.createElement('button');
+        delItemBtn.textContent = '×';
+        delItemBtn.addEventListener('click', () => {
+            task.items = task.items.filter(it => it.id !== item.id);
+            save();
+            render();
+        });
+        li.appendChild(delItemBtn);
+        return li;
+    }
+
+    /**
+     * Inline form for a sub-item's content, assignee and due date. Enter
+     * saves and Escape cancels.
+     *
+     * @param {Object} task
+     * @param {Object} item
+     * @returns {HTMLElement}
+     */
+    function createItemEditForm(task, item) {
+        const li = document.createElement('li');
+        li.dataset.itemId = item.id;
+        const form = document.createElement('form');
+        form.className = 'item-edit-form';
+        form.dataset.itemId = item.id;
+        const contentInput = document.createElement('input');
+        contentInput.type = 'text';
+        contentInput.value = item.content;
+        form.appendChild(contentInput);
+        const userSelect = document.createElement('select');
+        const blankOpt = document.createElement('option');
+        blankOpt.value = '';
+        blankOpt.textContent = 'Unassigned';
+        userSelect.appendChild(blankOpt);
+        users.forEach(user => {
+            const opt = document.createElement('option');
+            opt.value = user.id;
+            opt.textContent = user.name;
+            if (item.userId === user.id) opt.selected = true;
+            userSelect.appendChild(opt);
+        });
+        form.appendChild(userSelect);
+        const dueInput = document.createElement('input');
+        dueInput.type = 'date';
+        dueInput.value = item.dueDate || '';
+        form.appendChild(dueInput);
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'submit';
+        saveBtn.textContent = 'Save';
+        form.appendChild(saveBtn);
+        const cancel = () => {
+            editingItemId = null;
+            render();
+        };
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', cancel);
+        form.appendChild(cancelBtn);
+        form.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') cancel();
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const content = contentInput.value.trim();
+            if (!content) return;
+            item.content = content;
+            item.userId = userSelect.value;
+            item.dueDate = dueInput.value;
+            editingItemId = null;
+            save();
+            render();
+        });
+        li.appendChild(form);
+        return li;
+    }
+
+    /**
+     * Turn a sub-item into a task at the end of the same board, in its
+     * first column, keeping the item's assignee and due date.
+     *
+     * @param {Object} task
+     * @param {Object} item
+     */
+    function convertItem(task, item) {
+        if (!confirm(`Turn "${item.content}" into a task?`)) return;
+        const board = boards.find(b => b.id === task.boardId);
+        tasks.push(Object.assign({
+            id: createId('task'),
+            description: '',
+            boardId: task.boardId,
+            status: boardStatuses(board)[0].id,
+            position: nextPosition(tasks.filter(t => t.boardId === task.boardId)),
+            items: [],
+            editing: false
+        }, taskFromItem(item)));
+        task.items = task.items.filter(it => it.id !== item.id);
+        save();
+        render();
+    }
+
+    /**
+     * Move a task to another board. It goes to the top of the destination
+     * board, and to its first column if the task's status does not exist
+     * there. Does nothing when the task is already on the board.
+     *
+     * @param {Object} task
+     * @param {string} boardId
+     */
+    function moveToBoard(task, boardId) {
+        if (task.boardId === boardId) return;
+        task.boardId = boardId;
+        const board = boards.find(b => b.id === boardId);
+        if (!isValidStatus(board, task.status)) task.status = boardStatuses(board)[0].id;
+        const first = sortByPosition(tasks.filter(t => t.boardId === boardId && t.id !== task.id))[0];
+        placeTask(task, first ? first.id : null);
+    }
+
+    /**
+     * Move a task within its board's order, in front of the task beforeId
+     * or to the end when beforeId is null, renumbering the board.
+     *
+     * @param {Object} task
+     * @param {?string} beforeId
+     */
+    function placeTask(task, beforeId) {
+        renumber(reorder(sortByPosition(tasks.filter(t => t.boardId === task.boardId)), task, beforeId));
+    }
+
+    /**
+     * Move a board in front of the board beforeId, or to the end when
+     * beforeId is null.
+     *
+     * @param {string} boardId
+     * @param {?string} beforeId
+     */
+    function moveBoard(boardId, beforeId) {
+        const board = boards.find(b => b.id === boardId);
+        if (!board) return;
+        boards = reorder(boards, board, beforeId);
+        renumber(boards);
+        save();
+        render();
+    }
+
+    /**
+     * A selector for how a board's cards are sorted: by hand, or by due
+     * date, priority or estimate. The choice is saved with the board.
+     *
+     * @param {Object} board
+     * @returns {HTMLSelectElement}
+     */
+    function createSortSelect(board) {
+        const select = document.createElement('select');
+        select.className = 'board-sort';
+        select.title = 'Sort cards';
+        SORT_MODES.forEach(mode => {
+            const opt = document.createElement('option');
+            opt.value = mode.id;
+            opt.textContent = `Sort: ${mode.name}`;
+            if ((board.sort || 'manual') === mode.id) opt.selected = true;
+            select.appendChild(opt);
+        });
+        select.addEventListener('change', () => {
+            board.sort = select.value;
+            save();
+            render();
+        });
+        return select;
+    }
+
+    /**
+     * Create a Kanban column for one status of a board. Dropping a card on
+     * the column moves the task into that status (and board), in front of
+     * the card it was dropped on or at the bottom of the column. Cards are
+     * listed in the board's sort order (`board.sort`, see triage.js); while
+     * that is not manual, dropping changes the status but not the order.
+     *
+     * @param {Object} board
+     * @param {Object} status
+     * @returns {HTMLElement}
+     */
+    function createStatusColumn(board, status) {
+        const column = document.createElement('div');
+        column.className = 'status-column';
+        const columnTasks = sortTasks(tasks.filter(t => t.boardId === board.id && taskStatus(board, t) === status.id), board.sort);
+        const heading = document.createElement('div');
+        heading.className = 'status-header';
+        heading.textContent = `${status.name} (${columnTasks.length})`;
+        column.appendChild(heading);
+        columnTasks.forEach(task => {
+            column.appendChild(createTaskCard(task));
+        });
+        column.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes(BOARD_DRAG_TYPE) || e.dataTransfer.types.includes(ITEM_DRAG_TYPE)) return;
+            e.preventDefault();
+            column.classList.add('drag-over');
+        });
+        column.addEventListener('dragleave', () => column.classList.remove('drag-over'));
+        column.addEventListener('drop', (e) => {
+            const task = tasks.find(t => t.id === e.dataTransfer.getData('text/plain'));
+            if (!task) return;
+            e.preventDefault();
+            column.classList.remove('drag-over');
+            const beforeCard = e.target.closest('.task-card');
+            const beforeId = beforeCard ? beforeCard.dataset.taskId : null;
+            if (beforeId === task.id) return;
+            const fromOtherBoard = task.boardId !== board.id;
+            task.boardId = board.id;
+            task.status = status.id;
+            // A board sorted by a field keeps its manual order; cards from
+            // another board join the end of it
+            if ((board.sort || 'manual') === 'manual') placeTask(task, beforeId);
+            else if (fromOtherBoard) placeTask(task, null);
+            recurTasks();
+            save();
+            render();
+        });
+        return column;
+    }
+
+    /**
+     * Buttons to show the boards or a calendar, and to page through the
+     * calendar. The choice of view is kept in localStorage.
+     */
+    function renderViewSwitcher() {
+        viewSwitcher.innerHTML = '';
+        [{ id: 'boards', name: 'Boards' }].concat(CALENDAR_VIEWS).forEach(option => {
+            const btn = document.createElement('button');
+            btn.textContent = option.name;
+            btn.dataset.view = option.id;
+            if (view === option.id) btn.classList.add('active');
+            btn.addEventListener('click', () => {
+                view = option.id;
+                localStorage.setItem('almo_view', view);
+                render();
+            });
+            viewSwitcher.appendChild(btn);
+        });
+        if (view === 'boards') return;
+        const nav = document.createElement('div');
+        nav.className = 'calendar-nav';
+        [['‹', -1, 'Previous'], ['Today', 0, 'Today'], ['›', 1, 'Next']].forEach(([text, step, label]) => {
+            const btn = document.createElement('button');
+            btn.textContent = text;
+            btn.setAttribute('aria-label', label);
+            btn.addEventListener('click', () => {
+                calendarAnchor = step ? shiftAnchor(view, calendarAnchor, step) : localDate();
+                render();
+            });
+            nav.appendChild(btn);
+        });
+        const title = document.createElement('h2');
+        title.textContent = calendarTitle(view, calendarAnchor);
+        nav.appendChild(title);
+        viewSwitcher.appendChild(nav);
+    }
+
+    /**
+     * Show the tasks of the active boards on a month or week calendar by
+     * due date, coloured by board. Dragging a task onto another day changes
+     * its due date; tasks without one are listed below the calendar, from
+     * where they can be dragged onto a day.
+     */
+    function renderCalendar() {
+        calendarSection.hidden = view === 'boards';
+        calendarSection.innerHTML = '';
+        if (view === 'boards') return;
+        const shown = activeBoards().map(board => sortByPosition(tasks.filter(t => t.boardId === board.id))).flat();
+        const byDate = tasksByDate(shown);
+        const today = localDate();
+        const grid = document.createElement('div');
+        grid.className = `calendar-grid calendar-${view}`;
+        WEEKDAY_NAMES.forEach(name => {
+            const heading = document.createElement('div');
+            heading.className = 'calendar-weekday';
+            heading.textContent = name;
+            grid.appendChild(heading);
+        });
+        calendarDays(view, calendarAnchor).forEach(date => {
+            const day = document.createElement('div');
+            day.className = 'calendar-day';
+            day.dataset.date = date;
+            if (view === 'month' && !inMonth(date, calendarAnchor)) day.classList.add('outside');
+            if (date === today) day.classList.add('today');
+            const number = document.createElement('span');
+            number.className = 'calendar-date';
+            number.textContent = Number(date.slice(8));
+            day.appendChild(number);
+            (byDate.get(date) || []).forEach(task => day.appendChild(createCalendarTask(task)));
+            day.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                day.classList.add('drag-over');
+            });
+            day.addEventListener('dragleave', () => day.classList.remove('drag-over'));
+            day.addEventListener('drop', (e) => {
+                const task = tasks.find(t => t.id === e.dataTransfer.getData('text/plain'));
+                if (!task) return;
+                e.preventDefault();
+                day.classList.remove('drag-over');
+                if (dueDay(task.dueDate) === date) return;
+                task.dueDate = joinDueDate(date, dueTime(task.dueDate));
+                recurTasks();
+                save();
+                render();
+            });
+            grid.appendChild(day);
+        });
+        calendarSection.appendChild(grid);
+        const undated = shown.filter(t => !t.dueDate);
+        if (undated.length) {
+            const list = document.createElement('div');
+            list.className = 'calendar-undated';
+            const heading = document.createElement('h3');
+            heading.textContent = 'No due date';
+            list.appendChild(heading);
+            undated.forEach(task => list.appendChild(createCalendarTask(task)));
+            calendarSection.appendChild(list);
+        }
+    }
+
+    /**
+     * A task on the calendar, in its board's colour and struck through
+     * once done.
+     *
+     * @param {Object} task
+     * @returns {HTMLElement}
+     */
+    function createCalendarTask(task) {
+        const board = boards.find(b => b.id === task.boardId);
+        const status = boardStatuses(board).find(st => st.id === taskStatus(board, task));
+        const chip = document.createElement('div');
+        chip.className = 'calendar-task';
+        chip.dataset.taskId = task.id;
+        if (board.color) chip.style.setProperty('--board-color', board.color);
+        if (isTaskDone(board, task)) chip.classList.add('done');
+        chip.textContent = task.title;
+        chip.title = `${board.name} · ${status.name}`;
+        chip.draggable = true;
+        chip.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', task.id);
+            e.dataTransfer.effectAllowed = 'move';
+            chip.classList.add('dragging');
+        });
+        chip.addEventListener('dragend', () => chip.classList.remove('dragging'));
+        return chip;
+    }
+
+    /**
+     * Header controls to rename, recolour, archive and delete a board.
+     *
+     * @param {Object} board
+     * @returns {HTMLElement[]}
+     */
+    function createBoardSettings(board) {
+        const renameBtn = document.createElement('button');
+        renameBtn.textContent = 'Rename';
+        renameBtn.addEventListener('click', () => {
+            const name = prompt('Board name', board.name);
+            if (name && name.trim()) {
+                board.name = name.trim();
+                save();
+                render();
+            }
+        });
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.title = 'Board colour';
+        colorInput.value = board.color || BOARD_COLORS[0];
+        colorInput.addEventListener('change', () => {
+            board.color = colorInput.value;
+            save();
+            render();
+        });
+        const archiveBtn = document.createElement('button');
+        archiveBtn.textContent = 'Archive';
+        archiveBtn.addEventListener('click', () => {
+            board.archived = true;
+            save();
+            render();
+        });
+        return [renameBtn, colorInput, archiveBtn, createDeleteBoardButton(board)];
+    }
+
+    /**
+     * Put a deleted task or board at the top of the trash. A board's entry
+     * also holds its tasks so restoring it brings them back.
+     *
+     * @param {string} type 'task' or 'board'.
+     * @param {Object} record The deleted task or board.
+     * @param {Object[]} [boardTasks] The board's tasks.
+     */
+    function moveToTrash(type, record, boardTasks) {
+        const entry = {
+            id: createId('trash'),
+            type,
+            boardId: type === 'board' ? record.id : record.boardId,
+            name: type === 'board' ? record.name : record.title,
+            record: Object.assign({}, record, { editing: false }),
+            deletedAt: new Date().toISOString()
+        };
+        if (boardTasks) entry.tasks = boardTasks;
+        trash.unshift(entry);
+    }
+
+    /**
+     * Bring a trash entry back: a task goes to the end of its board, which
+     * must not be in the trash itself; a board returns with its tasks to
+     * its old place in the board list.
+     *
+     * @param {Object} entry
+     */
+    function restoreFromTrash(entry) {
+        if (entry.type === 'board') {
+            boards = sortByPosition(boards.concat(entry.record));
+            renumber(boards);
+            tasks.push(...(entry.tasks || []));
+        } else {
+            if (!boards.some(b => b.id === entry.boardId)) {
+                alert('The board of this task is in the trash. Restore the board first.');
+                return;
+            }
+            tasks.push(entry.record);
+            placeTask(entry.record, null);
+        }
+        trash = trash.filter(e => e.id !== entry.id);
+        save();
+        render();
+    }
+
+    /**
+     * List deleted tasks and boards with when they were deleted, and buttons
+     * to restore them or delete them for good. The section is hidden when
+     * the trash is empty.
+     */
+    function renderTrash() {
+        trashSection.hidden = trash.length === 0;
+        trashList.innerHTML = '';
+        trash.forEach(entry => {
+            const li = document.createElement('li');
+            const span = document.createElement('span');
+            if (entry.type === 'board') {
+                span.textContent = `Board "${entry.name}"`;
+            } else {
+                const board = boards.find(b => b.id === entry.boardId) ||
+                    (trash.find(e => e.type === 'board' && e.boardId === entry.boardId) || {}).record;
+                span.textContent = `Task "${entry.name}" from ${board ? board.name : 'a deleted board'}`;
+            }
+            span.textContent += `, deleted on ${new Date(entry.deletedAt).toLocaleString()}`;
+            li.appendChild(span);
+            const restoreBtn = document.createElement('button');
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', () => restoreFromTrash(entry));
+            li.appendChild(restoreBtn);
+            const purgeBtn = document.createElement('button');
+            purgeBtn.textContent = 'Delete forever';
+            purgeBtn.addEventListener('click', () => {
+                if (!confirm(`Delete "${entry.name}" for good? This cannot be undone.`)) return;
+                trash = trash.filter(e => e.id !== entry.id);
+                save();
+                render();
+            });
+            li.appendChild(purgeBtn);
+            trashList.appendChild(li);
+        });
+    }
+
+    /**
+     * A button that moves a board and all of its tasks to the trash after
+     * asking for confirmation.
+     *
+     * @param {Object} board
+     * @returns {HTMLElement}
+     */
+    function createDeleteBoardButton(board) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(`Move board "${board.name}" and all of its tasks to the trash?`)) return;
+            const boardTasks = tasks.filter(t => t.boardId === board.id);
+            boards = boards.filter(b => b.id !== board.id);
+            tasks = tasks.filter(t => t.boardId !== board.id);
+            moveToTrash('board', board, boardTasks);
+            save();
+            render();
+        });
+        return deleteBtn;
+    }
+
+    /**
+     * List archived boards with buttons to restore or delete them. The
+     * section is hidden when no board is archived.
+     */
+    function renderArchived() {
+        const archived = boards.filter(b => b.archived);
+        archivedSection.hidden = archived.length === 0;
+        archivedList.innerHTML = '';
+        archived.forEach(board => {
+            const li = document.createElement('li');
+            li.style.setProperty('--board-color', board.color);
+            const span = document.createElement('span');
+            span.textContent = board.name;
+            li.appendChild(span);
+            const restoreBtn = document.createElement('button');
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', () => {
+                board.archived = false;
+                save();
+                render();
+            });
+            li.appendChild(restoreBtn);
+            li.appendChild(createDeleteBoardButton(board));
+            archivedList.appendChild(li);
+        });
+    }
+
+    /**
+     * Ask for a board's column names and replace its statuses. Existing
+     * columns keep their tasks when their name is kept; tasks in a removed
+     * column move to the first one.
+     *
+     * @param {Object} board
+     */
+    function editColumns(board) {
+        const current = boardStatuses(board).map(s => s.name).join(', ');
+        const input = prompt('Columns, separated by commas (the last one counts as done)', current);
+        if (input === null) return;
+        const statuses = statusesFromNames(input.split(','), boardStatuses(board), createId);
+        if (!statuses.length) return;
+        board.statuses = statuses;
+        tasks.filter(t => t.boardId === board.id).forEach(task => {
+            if (!isValidStatus(board, task.status)) task.status = statuses[0].id;
+        });
+        save();
+        render();
+    }
+
     /**
      * Render boards and their tasks. Called whenever state changes. Also
      * triggers user list and option refreshes to keep the UI in sync.
@@ -410,25 +1339,58 @@ document.addEventListener('DOMContentLoaded', () => {
         renderUsers();
         updateUserOptions();
         updateBoardOptions();
+        renderArchived();
+        renderTrash();
+        renderViewSwitcher();
+        renderCalendar();
+        boardsContainer.hidden = view !== 'boards';
 
-        // Render boards and tasks
+        // Render active boards and their tasks
         boardsContainer.innerHTML = '';
-        boards.forEach(board => {
+        activeBoards().forEach(board => {
             const boardDiv = document.createElement('div');
             boardDiv.className = 'board';
             // Set CSS variable for board colour so the board and tasks can share it
             if (board.color) {
                 boardDiv.style.setProperty('--board-color', board.color);
             }
+            boardDiv.dataset.boardId = board.id;
+            // The header is the handle for dragging the board into place
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'board-header';
+            headerDiv.draggable = true;
+            headerDiv.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData(BOARD_DRAG_TYPE, board.id);
+                e.dataTransfer.effectAllowed = 'move';
+                boardDiv.classList.add('dragging');
+            });
+            headerDiv.addEventListener('dragend', () => boardDiv.classList.remove('dragging'));
             const title = document.createElement('h3');
             title.textContent = board.name;
-            boardDiv.appendChild(title);
-            // tasks for board
-            const boardTasks = tasks.filter(t => t.boardId === board.id);
-            boardTasks.forEach(task => {
-                const card = createTaskCard(task);
-                boardDiv.appendChild(card);
+            headerDiv.appendChild(title);
+            // Total estimate of the board's open tasks
+            const openTasks = tasks.filter(t => t.boardId === board.id && !isTaskDone(board, t));
+            if (openTasks.some(t => typeof t.estimate === 'number')) {
+                const estimateEl = document.createElement('span');
+                estimateEl.className = 'board-estimate';
+                estimateEl.title = 'Total estimate of the open tasks';
+                estimateEl.textContent = `Open: ${totalEstimate(openTasks)}`;
+                headerDiv.appendChild(estimateEl);
+            }
+            headerDiv.appendChild(createSortSelect(board));
+            const columnsBtn = document.createElement('button');
+            columnsBtn.textContent = 'Columns';
+            columnsBtn.addEventListener('click', () => editColumns(board));
+            headerDiv.appendChild(columnsBtn);
+            createBoardSettings(board).forEach(el => headerDiv.appendChild(el));
+            boardDiv.appendChild(headerDiv);
+            // tasks for board, one column per status
+            const columnsDiv = document.createElement('div');
+            columnsDiv.className = 'board-columns';
+            boardStatuses(board).forEach(status => {
+                columnsDiv.appendChild(createStatusColumn(board, status));
             });
+            boardDiv.appendChild(columnsDiv);
             boardsContainer.appendChild(boardDiv);
         });
     }
@@ -440,7 +1402,7 @@ document.addEventListener('DOMContentLoaded', () => {
         e.preventDefault();
         const name = userNameInput.value.trim();
         if (name) {
-            const id = 'user-' + Date.now();
+            const id = createId('user');
             users.push({ id, name });
             userNameInput.value = '';
             save();
@@ -453,10 +1415,11 @@ document.addEventListener('DOMContentLoaded', () => {
         e.preventDefault();
         const name = boardNameInput.value.trim();
         if (name) {
-            const id = 'board-' + Date.now();
-            // assign a colour from the palette based on number of existing boards
-            const color = boardColors[boards.length % boardColors.length];
-            boards.push({ id, name, color });
+            const id = createId('board');
+            // the palette colour used by the fewest existing boards
+            const color = nextBoardColor(boards);
+            const statuses = DEFAULT_STATUSES.map(s => Object.assign({}, s));
+            boards.push({ id, name, color, statuses, position: nextPosition(boards) });
             boardNameInput.value = '';
             save();
             render();
@@ -468,11 +1431,16 @@ document.addEventListener('DOMContentLoaded', () => {
         e.preventDefault();
         const title = document.getElementById('task-title').value.trim();
         const userId = taskUserSelect.value;
-        const dueDate = document.getElementById('task-due').value;
+        const dueDate = joinDueDate(document.getElementById('task-due').value, document.getElementById('task-due-time').value);
         const description = document.getElementById('task-desc').value.trim();
         const boardId = taskBoardSelect.value;
+        const priority = taskPrioritySelect.value;
+        const estimate = parseEstimate(taskEstimateInput.value);
+        const recurrence = recurrenceValue(taskRecurrenceBox);
+        if (recurrence === undefined) return;
         if (title && boardId) {
-            const id = 'task-' + Date.now();
+            const id = createId('task');
+            const board = boards.find(b => b.id === boardId);
             tasks.push({
                 id,
                 title,
@@ -480,6 +1448,11 @@ document.addEventListener('DOMContentLoaded', () => {
                 dueDate,
                 description,
                 boardId,
+                status: boardStatuses(board)[0].id,
+                priority,
+                estimate,
+                recurrence,
+                position: nextPosition(tasks.filter(t => t.boardId === boardId)),
                 items: [],
                 editing: false
             });
@@ -487,13 +1460,39 @@ document.addEventListener('DOMContentLoaded', () => {
             document.getElementById('task-title').value = '';
             taskUserSelect.value = '';
             document.getElementById('task-due').value = '';
+            document.getElementById('task-due-time').value = '';
             document.getElementById('task-desc').value = '';
+            taskPrioritySelect.value = '';
+            taskEstimateInput.value = '';
+            taskRecurrenceBox.replaceChildren(createRecurrenceFields(null));
             save();
             render();
         }
     });
 
+    // Dropping a dragged board header puts the board in front of the board
+    // it lands on, or last when dropped on empty space
+    boardsContainer.addEventListener('dragover', (e) => {
+        if (e.dataTransfer.types.includes(BOARD_DRAG_TYPE)) e.preventDefault();
+    });
+    boardsContainer.addEventListener('drop', (e) => {
+        const boardId = e.dataTransfer.getData(BOARD_DRAG_TYPE);
+        if (!boardId) return;
+        e.preventDefault();
+        const target = e.target.closest('.board');
+        const beforeId = target ? target.dataset.boardId : null;
+        if (beforeId !== boardId) moveBoard(boardId, beforeId);
+    });
+
     // Initialise application
+    fillPrioritySelect(taskPrioritySelect, '');
+    taskRecurrenceBox.appendChild(createRecurrenceFields(null));
     load();
     render();
+    setInterval(() => {
+        if (recurTasks()) {
+            save();
+            render();
+        }
+    }, RECURRENCE_CHECK_MS);
 });
\ No newline at end of file
@@ -1,52 +1,173 @@
 /*
  * Simple Express backend for AL&MO TASKS
  *
- * This server implements a minimal multi‑user API using a JSON file for
- * persistence. It supports user registration and login, board and task
+ * This server implements a minimal multi‑user API on top of the storage
+ * layer in storage.js (a JSON file or an embedded SQLite database). It
+ * supports user registration and login, board and task
  * management, and sending basic invitation emails. Boards and tasks are
  * scoped by the user who creates them; boards can be shared with other
- * users via the invite endpoint. For production use you would want to
- * replace the file‑based storage with a database and add proper
- * authentication (e.g. JWT) and access control. The email sending code
- * requires SMTP configuration via environment variables.
+ * users via the invite endpoint. Logging in or registering issues a
+ * random session token in an HTTP‑only cookie; every other /api route
+ * resolves the caller from that session rather than trusting ids sent by
+ * the client. The email sending code requires SMTP configuration via
+ * environment variables.
  */
 
 const express = require('express');
-const fs = require('fs/promises');
 const bcrypt = require('bcryptjs');
 const nodemailer = require('nodemailer');
 const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const { createStore } = require('./storage');
+const { createId } = require('./ids');
+const { ASSIGNABLE_ROLES, DEFAULT_ROLE, boardRole, isBoardMember, can, canEditTask } = require('./roles');
+const { DEFAULT_STATUSES, boardStatuses, isValidStatus, isTaskDone, validateStatuses } = require('./statuses');
+const { sortByPosition, reorder, nextPosition } = require('./ordering');
+const { createItem, moveItem, validateItemFields, taskFromItem } = require('./items');
+const { nextBoardColor, isValidColor } = require('./colors');
+const { boardLabels, validateLabel, validateLabelIds, keepBoardLabels } = require('./labels');
+const { validatePriority, validateEstimate } = require('./triage');
+const { validateRecurrence, normalizeRecurrence, shouldRecur, nextInstance } = require('./recurrence');
+const { taskBlockers, validateBlockedBy, findCycle, dependentsOf } = require('./dependencies');
+const { groupMyWork } = require('./my-work');
+const { validateDueDate, isValidTimeZone, localDate } = require('./dates');
+const { createActivityLog } = require('./activity');
+const { findMentions } = require('./mentions');
+const { createNotifier, notificationPrefs, validatePrefs } = require('./notifications');
+const { createEmailScheduler, emailPrefs, validateEmailPrefs } = require('./email-scheduler');
+const { createHub } = require('./realtime');
 
 const app = express();
+
+// Route handlers are async. One that fails is passed on to the error handler
+// at the end of this file, which answers 500, instead of leaving a rejected
+// promise that would stop the server.
+function catchErrors(handler) {
+  if (typeof handler !== 'function' || handler.length > 3) return handler;
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+['use', 'get', 'post', 'put', 'patch', 'delete'].forEach(method => {
+  const register = app[method].bind(app);
+  app[method] = (...args) => register(...args.map(catchErrors));
+});
+
 app.use(express.json());
 app.use(cors());
 
-const DATA_FILE = __dirname + '/data.json';
+const store = createStore();
+const activity = createActivityLog(store);
 const PORT = process.env.PORT || 3000;
 
-// Colour palette for boards, matching the client
-const boardColors = [
-  '#4A90E2', // blue
-  '#50E3C2', // teal
-  '#F5A623', // orange
-  '#BD10E0', // purple
-  '#B8E986', // green
-  '#F8E71C', // yellow
-  '#D0021B'  // red
-];
-
-// Helper functions to load and save the JSON database
-async function loadData() {
-  try {
-    const json = await fs.readFile(DATA_FILE, 'utf8');
-    return JSON.parse(json);
-  } catch (err) {
-    return { users: [], boards: [], tasks: [], invites: [] };
+// Session cookie settings. Sessions expire after SESSION_TTL_HOURS (default
+// one week) and are revoked server-side on logout.
+const SESSION_COOKIE = 'almo_session';
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7) * 60 * 60 * 1000;
+
+// Board invitations expire after INVITE_TTL_DAYS (default two weeks). Invite
+// links in emails point at APP_URL.
+const INVITE_TTL_MS = (parseInt(process.env.INVITE_TTL_DAYS, 10) || 14) * 24 * 60 * 60 * 1000;
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+// Deleted tasks and boards stay in the trash for TRASH_RETENTION_DAYS
+// (default 30) before they are purged for good
+const TRASH_RETENTION_MS = (parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Open dashboards get changes to their boards pushed to them as they
+// happen (see realtime.js)
+const hub = createHub();
+
+// Assignees are alerted about overdue tasks and tasks due within
+// DUE_SOON_DAYS (default 1: due today or tomorrow). New notifications are
+// pushed to the user's open dashboards.
+const notifier = createNotifier(store, {
+  dueSoonDays: parseInt(process.env.DUE_SOON_DAYS, 10) || 1,
+  onNotify: notification => hub.send([notification.userId], 'notification', { notification })
+});
+
+// An integer setting from the environment; unlike `|| fallback` this keeps 0
+function intSetting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Email digests go out at DIGEST_HOUR (default 7 am), weekly ones on
+// DIGEST_WEEKDAY (default 1, Monday; 0 is Sunday). Reminders go out
+// REMINDER_HOURS_BEFORE (default 24) hours before the end of a task's due
+// date. The scheduler checks for work every few minutes.
+const scheduler = createEmailScheduler(store, {
+  send: sendScheduledEmail,
+  appUrl: APP_URL,
+  digestHour: intSetting('DIGEST_HOUR', 7),
+  digestWeekday: intSetting('DIGEST_WEEKDAY', 1),
+  reminderHours: intSetting('REMINDER_HOURS_BEFORE', 24)
+});
+const SCHEDULER_INTERVAL_MS = 5 * 60 * 1000;
+
+// Without SMTP settings, emails are logged to the console; MAIL_LOG_FILE
+// also appends each one to that file as a line of JSON, with its full text
+// and HTML
+const MAIL_LOG_FILE = process.env.MAIL_LOG_FILE;
+
+// Session helpers. Sessions are keyed by a SHA-256 hash of their token, so a
+// leaked database cannot be used to impersonate users.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const idx = part.indexOf('=');
+    if (idx < 0) return;
+    const key = part.slice(0, idx).trim();
+    if (key) cookies[key] = decodeURIComponent(part.slice(idx + 1).trim());
+  });
+  return cookies;
+}
+
+// Creates a session for the user, sets the cookie on the response and
+// drops the user's sessions that have already expired.
+async function startSession(res, userId) {
+  const now = Date.now();
+  const existing = await store.find('sessions', { userId });
+  for (const s of existing) {
+    if (Date.parse(s.expires) <= now) await store.remove('sessions', { id: s.id });
   }
+  const token = crypto.randomBytes(32).toString('hex');
+  await store.insert('sessions', {
+    id: hashToken(token),
+    userId,
+    created: new Date(now).toISOString(),
+    expires: new Date(now + SESSION_TTL_MS).toISOString()
+  });
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  });
 }
 
-async function saveData(data) {
-  await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
+/*
+ * Authentication middleware for /api routes. Resolves the session cookie to
+ * a user and exposes it as req.user; responds 401 when the session is
+ * missing, unknown or expired.
+ */
+async function requireAuth(req, res, next) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return res.status(401).json({ message: 'Not authenticated.' });
+  const tokenHash = hashToken(token);
+  const session = await store.get('sessions', tokenHash);
+  if (!session || Date.parse(session.expires) <= Date.now()) {
+    return res.status(401).json({ message: 'Session expired. Please log in again.' });
+  }
+  const user = await store.get('users', session.userId);
+  if (!user) return res.status(401).json({ message: 'Not authenticated.' });
+  req.user = { id: user.id, name: user.name, email: user.email, timeZone: user.timeZone || '' };
+  req.sessionTokenHash = tokenHash;
+  next();
 }
 
 // Create a reusable mail transporter if SMTP variables are defined
@@ -68,41 +189,668 @@ function createTransporter() {
 
 const transporter = createTransporter();
 
+// Send an email ({ to, subject, text, html? }) if the transporter is
+// configured. Without SMTP settings the `fallback` line is logged instead,
+// so links still reach developers, and the message is written to
+// MAIL_LOG_FILE when that is set. Returns true when the email was sent.
+async function sendEmail(message, fallback) {
+  if (!transporter) {
+    console.log(fallback);
+    if (MAIL_LOG_FILE) {
+      const entry = Object.assign({ at: new Date().toISOString() }, message);
+      fs.appendFile(MAIL_LOG_FILE, JSON.stringify(entry) + '\n', err => {
+        if (err) console.error('Error writing mail log:', err.message);
+      });
+    }
+    return false;
+  }
+  try {
+    const info = await transporter.sendMail(Object.assign({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER
+    }, message));
+    console.log('Email sent to %s: %s', message.to, info.messageId);
+    return true;
+  } catch (err) {
+    console.error(`Error sending email to ${message.to}:`, err.message);
+    return false;
+  }
+}
+
+// sendEmail for the email scheduler, which tries an email again later when
+// it fails: rejects when SMTP is configured but the email was not sent
+async function sendScheduledEmail(message, fallback) {
+  if (!(await sendEmail(message, fallback)) && transporter) {
+    throw new Error('The email could not be sent.');
+  }
+}
+
+// Activity log helpers. Each records who changed what, with a field-level
+// diff of the record before and after (see activity.js).
+function logTask(action, actorId, before, after) {
+  const task = after || before;
+  return activity.record({ boardId: task.boardId, taskId: task.id, entity: 'task', entityId: task.id, action, actorId, before, after });
+}
+
+function logBoard(action, actorId, before, after) {
+  const board = after || before;
+  return activity.record({ boardId: board.id, entity: 'board', entityId: board.id, action, actorId, before, after });
+}
+
+function logMember(action, actorId, boardId, memberId, before, after) {
+  return activity.record({ boardId, entity: 'member', entityId: memberId, action, actorId, before, after });
+}
+
+function logInvite(action, actorId, before, after) {
+  const invite = after || before;
+  return activity.record({ boardId: invite.boardId, entity: 'invite', entityId: invite.id, action, actorId, before, after });
+}
+
+function logComment(action, actorId, task, before, after) {
+  const comment = after || before;
+  return activity.record({ boardId: task.boardId, taskId: task.id, entity: 'comment', entityId: comment.id, action, actorId, before, after });
+}
+
+// Tell the new and previous assignee of a task that it was assigned to or
+// taken away from them, unless they made the change themselves. Only
+// members of the task's board are told, so a task moved to another board
+// does not show its new board to someone outside it
+async function notifyAssignment(task, board, actor, previousUserId) {
+  const details = { boardId: board.id, taskId: task.id, actorId: actor.id };
+  if (task.userId && task.userId !== previousUserId && task.userId !== actor.id) {
+    await notifier.notify(task.userId, 'assignment', Object.assign({
+      message: `${actor.name} assigned you "${task.title}" on ${board.name}.`
+    }, details));
+  }
+  if (previousUserId && previousUserId !== task.userId && previousUserId !== actor.id &&
+      isBoardMember(board, previousUserId)) {
+    await notifier.notify(previousUserId, 'assignment', Object.assign({
+      message: `${actor.name} unassigned you from "${task.title}" on ${board.name}.`
+    }, details));
+  }
+}
+
+// Push an event to the connected members of the given boards. The client
+// that made the change (identified by its X-Client-Id header) is skipped;
+// pass null as req when no client should be.
+function publish(req, boards, event, data) {
+  const userIds = new Set();
+  boards.forEach(board => (board.members || []).forEach(id => userIds.add(id)));
+  hub.send(Array.from(userIds), event, data, req ? req.get('X-Client-Id') : undefined);
+}
+
+// Push all of a board's tasks, in order, after a change to several of them
+async function publishBoardTasks(req, board) {
+  const tasks = sortByPosition(await store.find('tasks', { boardId: board.id }));
+  publish(req, [board], 'boardTasks', { boardId: board.id, tasks });
+}
+
+// Tell a board's members which of them have a dashboard open
+function publishPresence(board) {
+  const members = board.members || [];
+  hub.send(members, 'presence', { boardId: board.id, users: hub.online(members) });
+}
+
+// Activity entries with the actor's name added for display
+async function withActorNames(entries) {
+  const names = {};
+  for (const entry of entries) {
+    if (!(entry.actorId in names)) {
+      const user = await store.get('users', entry.actorId);
+      names[entry.actorId] = user ? user.name : '';
+    }
+    entry.actorName = names[entry.actorId];
+  }
+  return entries;
+}
+
+// Number of activity entries returned when the client does not ask for a
+// limit, and the most it may ask for
+const ACTIVITY_LIMIT = 100;
+const ACTIVITY_MAX_LIMIT = 500;
+
+function activityLimit(query) {
+  const limit = parseInt(query.limit, 10);
+  return limit > 0 ? Math.min(limit, ACTIVITY_MAX_LIMIT) : ACTIVITY_LIMIT;
+}
+
+// Error message for assigning a task on the board to userId ('' for
+// nobody), or null when they can be: assignees must be board members
+function assigneeError(board, userId) {
+  if (typeof userId !== 'string') return 'userId must be a user id, or empty for nobody.';
+  if (userId && !isBoardMember(board, userId)) return 'Tasks can only be assigned to members of the board.';
+  return null;
+}
+
+// Board roles map with one user's role set (or removed when role is null)
+function withRole(board, userId, role) {
+  const roles = Object.assign({}, board.roles);
+  if (role) roles[userId] = role;
+  else delete roles[userId];
+  return roles;
+}
+
+// Take the user off every open (not done) task on the board, as its
+// assignee and as the assignee of its sub-items, on behalf of actorId
+async function unassignTasks(board, userId, actorId) {
+  const assignedTo = record => record.userId === userId;
+  for (const task of await store.find('tasks', { boardId: board.id })) {
+    if (isTaskDone(board, task) || !(assignedTo(task) || (task.items || []).some(assignedTo))) continue;
+    const saved = await saveTask(task.id, current => Object.assign(assignedTo(current) ? { userId: '' } : {}, {
+      items: (current.items || []).map(item => (assignedTo(item) ? Object.assign({}, item, { userId: '' }) : item))
+    }));
+    if (saved.task) await logTask('updated', actorId, saved.previous, saved.task);
+  }
+}
+
+// Invites are 'pending' until accepted, declined or revoked; a pending
+// invite past its expiry date is reported as 'expired'
+function inviteStatus(invite) {
+  const status = invite.status || 'pending';
+  if (status === 'pending' && invite.expires && Date.parse(invite.expires) <= Date.now()) return 'expired';
+  return status;
+}
+
+// Invite fields that are safe to return to clients (never the token hash)
+function publicInvite(invite, extras) {
+  const { id, boardId, email, inviterId, created, expires } = invite;
+  const role = invite.role || DEFAULT_ROLE;
+  return Object.assign({ id, boardId, email, inviterId, role, created, expires, status: inviteStatus(invite) }, extras);
+}
+
+// Add the user to the invite's board and mark the invite accepted. Returns
+// the updated board, or null if the board no longer exists.
+async function acceptInvite(invite, userId) {
+  const board = await store.get('boards', invite.boardId);
+  if (!board) return null;
+  const accepted = await store.update('invites', invite.id, { status: 'accepted', acceptedBy: userId, responded: new Date().toISOString() });
+  await logInvite('accepted', userId, invite, accepted);
+  if (isBoardMember(board, userId)) return board;
+  const role = invite.role || DEFAULT_ROLE;
+  const joined = await store.update('boards', board.id, {
+    members: (board.members || []).concat(userId),
+    roles: withRole(board, userId, role)
+  });
+  await logMember('joined', userId, board.id, userId, {}, { role });
+  publish(null, [joined], 'board', { board: joined });
+  await publishBoardTasks(null, joined);
+  publishPresence(joined);
+  return joined;
+}
+
+// Boards the user owns or has been added to, in the user's board order
+async function findBoardsForUser(userId) {
+  const boards = await store.find('boards', { members: userId });
+  const owned = await store.find('boards', { ownerId: userId });
+  owned.forEach(b => {
+    if (!boards.some(existing => existing.id === b.id)) boards.push(b);
+  });
+  return sortByPosition(boards, boardPosition(userId));
+}
+
+// Each member orders their boards independently; positions are kept per
+// user in `board.positions`
+function boardPosition(userId) {
+  return board => (board.positions || {})[userId];
+}
+
+// Runs fn after every earlier call with the same key has finished, so
+// concurrent reorders of one list cannot interleave and repeat positions
+const locks = new Map();
+function withLock(key, fn) {
+  const run = (locks.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return run;
+}
+
+// Tasks carry a version that goes up with every change, so a client can
+// tell when its copy is out of date (tasks from before versions start at 0)
+function taskVersion(task) {
+  return task.version || 0;
+}
+
+// Save changes to a task and bump its version. `changes` may be a function
+// of the current task, for changes that build on it (such as one sub-item).
+// Given an expected version, nothing is saved if the task has moved on since.
+// Saves to one task run one at a time. Resolves to { task, previous } on
+// success ({ task: null } if the task is gone) or { conflict } holding the
+// current task.
+function saveTask(taskId, changes, expectedVersion) {
+  return withLock('task:' + taskId, async () => {
+    const current = await store.get('tasks', taskId);
+    if (!current) return { task: null };
+    if (expectedVersion !== undefined && expectedVersion !== taskVersion(current)) {
+      return { conflict: current };
+    }
+    const fields = typeof changes === 'function' ? changes(current) : changes;
+    const task = await store.update('tasks', taskId, Object.assign({}, fields, { version: taskVersion(current) + 1 }));
+    return { task, previous: current };
+  });
+}
+
+// Add a task with the given fields at the end of a board, in its first
+// column unless the fields name another
+async function insertTask(board, fields) {
+  const task = Object.assign({
+    id: createId('task'),
+    title: '',
+    description: '',
+    dueDate: '',
+    boardId: board.id,
+    userId: '',
+    status: boardStatuses(board)[0].id,
+    labelIds: [],
+    priority: '',
+    estimate: null,
+    recurrence: null,
+    blockedBy: [],
+    items: [],
+    version: 1
+  }, fields);
+  await withLock('tasks:' + board.id, async () => {
+    task.position = nextPosition(await store.find('tasks', { boardId: board.id }));
+    await store.insert('tasks', task);
+  });
+  return task;
+}
+
+// Create the next instance of a recurring task once it is done or past its
+// due date (see recurrence.js), on behalf of actorId ('' for the hourly
+// check). Resolves to the new task, or null when there is none to create.
+async function recurTask(task, board, actorId, now = new Date()) {
+  if (board.archived || !shouldRecur(task, isTaskDone(board, task), now)) return null;
+  const next = await withLock('task:' + task.id, async () => {
+    const current = await store.get('tasks', task.id);
+    if (!current || !shouldRecur(current, isTaskDone(board, current), now)) return null;
+    const fields = nextInstance(current, createId, now);
+    if (!fields) return null;
+    if (!isBoardMember(board, fields.userId)) fields.userId = '';
+    const created = await insertTask(board, fields);
+    await store.update('tasks', current.id, { nextTaskId: created.id });
+    return created;
+  });
+  if (!next) return null;
+  await logTask('created', actorId, {}, next);
+  publish(null, [board], 'task', { task: next });
+  await notifier.checkDueDate(next, board, now);
+  return next;
+}
+
+// Run recurTask over every recurring task. A task that fails is logged and
+// skipped, so one bad record cannot hold up the others
+async function recurDueTasks(now = new Date()) {
+  for (const board of await store.find('boards')) {
+    if (board.archived) continue;
+    for (const task of await store.find('tasks', { boardId: board.id })) {
+      if (!task.recurrence) continue;
+      try {
+        await recurTask(task, board, '', now);
+      } catch (err) {
+        console.error(`Failed to create the next instance of task ${task.id}:`, err.message);
+      }
+    }
+  }
+}
+
+// Check the blockers a caller gives a task (taskId null for a new one).
+// Each must be a task on a board the caller is a member of, unless the task
+// already had it, and none may lead back to the task. Resolves to an error
+// message, or null when they are usable.
+async function blockersError(taskId, blockedBy, previous, userId) {
+  for (const id of blockedBy) {
+    if (previous.includes(id)) continue;
+    const blocker = await store.get('tasks', id);
+    if (!blocker) return 'Blocker not found.';
+    const board = await store.get('boards', blocker.boardId);
+    if (!isBoardMember(board, userId)) {
+      return 'Blockers must be tasks on boards you are a member of.';
+    }
+  }
+  if (!taskId) return null;
+  const cycle = findCycle(taskId, blockedBy, await store.find('tasks'));
+  if (!cycle) return null;
+  const blocker = await store.get('tasks', cycle[1]);
+  return `"${blocker ? blocker.title : 'That task'}" already waits on this task, so it cannot block it.`;
+}
+
+// The blockers a task from the trash comes back with: those that would
+// now close a cycle are dropped
+async function restoredBlockers(task) {
+  const tasks = await store.find('tasks');
+  const blockedBy = taskBlockers(task).slice();
+  let cycle;
+  while ((cycle = findCycle(task.id, blockedBy, tasks))) blockedBy.splice(blockedBy.indexOf(cycle[1]), 1);
+  return blockedBy;
+}
+
+// The fields of a task from the trash that follow its board, which may have
+// changed since: a deleted column sends it to the first one, deleted labels
+// are dropped, and people no longer on the board are taken off it and its
+// sub-items
+function restoredFields(task, board) {
+  const member = userId => (isBoardMember(board, userId) ? userId : '');
+  return {
+    status: isValidStatus(board, task.status) ? task.status : boardStatuses(board)[0].id,
+    labelIds: keepBoardLabels(task.labelIds || [], board),
+    userId: member(task.userId),
+    items: (task.items || []).map(item => (item.userId ? Object.assign({}, item, { userId: member(item.userId) }) : item))
+  };
+}
+
+// Tell the members of every board a task's dependencies touch (its own,
+// its blockers' and its dependents') that they changed, so their dashboards
+// reload the blockers and dependents on boards they cannot see.
+// `previous` holds blockers the task had before the change.
+async function publishDependencies(req, task, previous = []) {
+  const tasks = await store.find('tasks');
+  const linked = dependentsOf(task.id, tasks);
+  taskBlockers(task).concat(previous).forEach(id => {
+    const blocker = tasks.find(t => t.id === id);
+    if (blocker) linked.push(blocker);
+  });
+  if (!linked.length) return;
+  const boardIds = new Set(linked.map(t => t.boardId).concat(task.boardId));
+  const boards = [];
+  for (const id of boardIds) {
+    const board = await store.get('boards', id);
+    if (board) boards.push(board);
+  }
+  publish(req, boards, 'dependencies', { taskId: task.id });
+}
+
+// Move a deleted task or board into the trash. A board's entry also holds
+// its tasks so restoring it brings them back.
+async function moveToTrash(type, record, userId, tasks) {
+  const entry = {
+    id: createId('trash'),
+    type,
+    boardId: type === 'board' ? record.id : record.boardId,
+    name: type === 'board' ? record.name : record.title,
+    record,
+    deletedBy: userId,
+    deletedAt: new Date().toISOString()
+  };
+  if (tasks) entry.tasks = tasks;
+  await store.insert('trash', entry);
+  return entry;
+}
+
+// The board a trash entry belongs to: the live board, or the board's record
+// in the trash when the whole board was deleted
+async function trashEntryBoard(entry) {
+  if (entry.type === 'board') return entry.record;
+  const board = await store.get('boards', entry.boardId);
+  if (board) return board;
+  const trashed = await store.findOne('trash', { type: 'board', boardId: entry.boardId });
+  return trashed ? trashed.record : null;
+}
+
+// Permission needed to restore or purge a trash entry
+function trashPermission(entry) {
+  return entry.type === 'board' ? 'manageBoard' : 'editTasks';
+}
+
+// Trash entry fields returned to clients, with names for display and
+// whether the user may restore or purge it
+async function publicTrashEntry(entry, board, userId) {
+  const { id, type, boardId, name, deletedBy, deletedAt } = entry;
+  const deleter = await store.get('users', deletedBy);
+  return {
+    id,
+    type,
+    boardId,
+    name,
+    boardName: board ? board.name : '',
+    deletedBy,
+    deletedByName: deleter ? deleter.name : '',
+    deletedAt,
+    purgeAt: new Date(Date.parse(deletedAt) + TRASH_RETENTION_MS).toISOString(),
+    canRestore: can(board, userId, trashPermission(entry))
+  };
+}
+
+// Permanently remove a trash entry, with the comments and mentions of the
+// tasks it holds
+async function purgeEntry(entry) {
+  await store.remove('trash', { id: entry.id });
+  const taskIds = entry.type === 'board' ? (entry.tasks || []).map(t => t.id) : [entry.record.id];
+  for (const taskId of taskIds) {
+    await store.remove('comments', { taskId });
+    await store.remove('mentions', { taskId });
+  }
+}
+
+// Permanently remove trash entries older than the retention window
+async function purgeTrash() {
+  const cutoff = Date.now() - TRASH_RETENTION_MS;
+  const entries = await store.find('trash');
+  for (const entry of entries) {
+    if (Date.parse(entry.deletedAt) <= cutoff) await purgeEntry(entry);
+  }
+}
+
+// Move a task in its board's order: in front of the task beforeId, or to
+// the end when beforeId is null (or no longer on the board), or to the
+// start when atStart is set. Every task on the board is renumbered.
+function positionTask(boardId, taskId, { beforeId = null, atStart = false } = {}) {
+  return withLock('tasks:' + boardId, async () => {
+    const ordered = sortByPosition(await store.find('tasks', { boardId }));
+    const task = ordered.find(t => t.id === taskId);
+    if (!task) return;
+    const first = ordered.find(t => t.id !== taskId);
+    const list = reorder(ordered, task, atStart ? (first && first.id) : beforeId);
+    for (const [position, t] of list.entries()) {
+      if (t.position !== position) await store.update('tasks', t.id, { position });
+    }
+  });
+}
+
+// Longest comment accepted, and the most mentions and notifications
+// listed at once
+const COMMENT_MAX_LENGTH = 5000;
+const MENTIONS_LIMIT = 50;
+const NOTIFICATIONS_LIMIT = 50;
+
+// The comment body sent by the client, trimmed, or an error message
+function commentBody(body) {
+  if (typeof body !== 'string' || !body.trim()) return { error: 'Comment text is required.' };
+  if (body.length > COMMENT_MAX_LENGTH) {
+    return { error: `Comments can be at most ${COMMENT_MAX_LENGTH} characters.` };
+  }
+  return { body: body.trim() };
+}
+
+// Members of a board as { id, name }, the people who can be mentioned on
+// its tasks
+async function boardPeople(board) {
+  const people = [];
+  for (const userId of board.members || []) {
+    const user = await store.get('users', userId);
+    if (user) people.push({ id: user.id, name: user.name });
+  }
+  return people;
+}
+
+// Comment fields returned to clients, with the author's name
+async function publicComment(comment) {
+  const author = await store.get('users', comment.authorId);
+  return Object.assign({}, comment, { authorName: author ? author.name : '' });
+}
+
+// Bring the mentions inbox in line with a new or edited comment: users
+// mentioned for the first time get an inbox entry and an email, users no
+// longer mentioned lose theirs. Authors are never notified of their own
+// mentions.
+async function syncMentions(comment, previous, task, board, author) {
+  for (const userId of previous) {
+    if (!comment.mentions.includes(userId)) await store.remove('mentions', { commentId: comment.id, userId });
+  }
+  for (const userId of comment.mentions) {
+    if (previous.includes(userId) || userId === author.id) continue;
+    await store.insert('mentions', {
+      id: createId('mention'),
+      userId,
+      commentId: comment.id,
+      taskId: task.id,
+      authorId: author.id,
+      created: new Date().toISOString(),
+      read: false
+    });
+    await notifier.notify(userId, 'mention', {
+      message: `${author.name} mentioned you on "${task.title}".`,
+      boardId: board.id,
+      taskId: task.id,
+      actorId: author.id
+    });
+    // Emailed too, unless they turned mention notifications or emails off
+    const user = await store.get('users', userId);
+    if (!user || !user.email || !notificationPrefs(user).mention || !emailPrefs(user).mentions) continue;
+    await sendEmail({
+      to: user.email,
+      subject: `${author.name} mentioned you on AL&MO TASKS`,
+      text: `${author.name} mentioned you on the task "${task.title}" (board "${board.name}"):\n\n${comment.body}\n\nOpen ${APP_URL}/dashboard.html to reply.`
+    }, `Mention of ${user.email} by ${author.name} on task ${task.title}`);
+  }
+}
+
+// The task a comment belongs to and its board, or an error response
+async function commentContext(req, res, comment) {
+  const task = comment && await store.get('tasks', comment.taskId);
+  if (!task) {
+    res.status(404).json({ message: 'Comment not found.' });
+    return null;
+  }
+  const board = await store.get('boards', task.boardId);
+  if (!isBoardMember(board, req.user.id)) {
+    res.status(403).json({ message: 'You are not a member of this board.' });
+    return null;
+  }
+  if (comment.authorId !== req.user.id) {
+    res.status(403).json({ message: 'You can only change your own comments.' });
+    return null;
+  }
+  return { task, board };
+}
+
+// The task whose sub-items are being changed and its board, or an error
+// response
+async function itemContext(req, res) {
+  const task = await store.get('tasks', req.params.id);
+  if (!task) {
+    res.status(404).json({ message: 'Task not found.' });
+    return null;
+  }
+  const board = await store.get('boards', task.boardId);
+  if (!isBoardMember(board, req.user.id)) {
+    res.status(403).json({ message: 'You are not a member of this board.' });
+    return null;
+  }
+  if (!canEditTask(board, req.user.id, task)) {
+    res.status(403).json({ message: 'Your role on this board does not allow editing this task.' });
+    return null;
+  }
+  if (req.params.itemId && !(task.items || []).some(item => item.id === req.params.itemId)) {
+    res.status(404).json({ message: 'Item not found.' });
+    return null;
+  }
+  return { task, board };
+}
+
+// The sub-item fields in a request body, or an error message. Items can
+// only be assigned to members of their board.
+function itemFields(body, board) {
+  const fields = {};
+  ['content', 'completed', 'userId', 'dueDate'].forEach(key => {
+    if (key in body) fields[key] = body[key];
+  });
+  const error = validateItemFields(fields);
+  if (error) return { error };
+  if ('content' in fields) fields.content = fields.content.trim();
+  if (fields.userId && !isBoardMember(board, fields.userId)) {
+    return { error: 'Items can only be assigned to members of the board.' };
+  }
+  return { fields };
+}
+
+// Save a change to a task's sub-items built from its current items, then
+// log it, tell the other members and answer with the updated task
+async function saveItems(req, res, board, buildItems) {
+  const saved = await saveTask(req.params.id, current => ({ items: buildItems(current.items || []) }));
+  if (!saved.task) return res.status(404).json({ message: 'Task not found.' });
+  await logTask('updated', req.user.id, saved.previous, saved.task);
+  publish(req, [board], 'task', { task: saved.task });
+  res.json(saved.task);
+}
+
+// Load a board for one of the label endpoints, checking that the caller may
+// manage its labels. Sends the error response and resolves to null when not.
+async function labelBoard(req, res) {
+  const board = await store.get('boards', req.params.id);
+  if (!board) {
+    res.status(404).json({ message: 'Board not found.' });
+    return null;
+  }
+  if (!isBoardMember(board, req.user.id)) {
+    res.status(403).json({ message: 'You are not a member of this board.' });
+    return null;
+  }
+  if (!can(board, req.user.id, 'editTasks')) {
+    res.status(403).json({ message: 'Your role on this board does not allow managing labels.' });
+    return null;
+  }
+  return board;
+}
+
+// Save a board's new label list, then log and announce the change
+async function saveLabels(req, board, labels) {
+  const updated = await store.update('boards', board.id, { labels });
+  await logBoard('updated', req.user.id, board, updated);
+  publish(req, [updated], 'board', { board: updated });
+  return updated;
+}
+
 /*
  * POST /api/register
  * Body: { name, email, password }
- * Registers a new user. Returns userId and name on success.
+ * Registers a new user and logs them in. Pending invitations for the email
+ * address are accepted automatically. Returns userId and name on success.
  */
 app.post('/api/register', async (req, res) => {
   const { name, email, password } = req.body || {};
-  if (!name || !email || !password) {
+  if ([name, email, password].some(value => !value || typeof value !== 'string')) {
     return res.status(400).json({ message: 'Name, email and password are required.' });
   }
-  const data = await loadData();
-  const existing = data.users.find(u => u.email === email);
+  const existing = await store.findOne('users', { email });
   if (existing) {
     return res.status(400).json({ message: 'Email is already registered.' });
   }
   const hashed = await bcrypt.hash(password, 10);
-  const id = 'user-' + Date.now();
+  const id = createId('user');
   const newUser = { id, name, email, passwordHash: hashed };
-  data.users.push(newUser);
-  await saveData(data);
+  await store.insert('users', newUser);
+  const invites = await store.find('invites', { email });
+  for (const invite of invites) {
+    if (inviteStatus(invite) === 'pending') await acceptInvite(invite, id);
+  }
+  await startSession(res, id);
   res.json({ userId: id, name });
 });
 
 /*
  * POST /api/login
  * Body: { email, password }
- * Authenticates a user. Returns userId and name if credentials are correct.
+ * Authenticates a user and starts a session. Returns userId and name if
+ * credentials are correct.
  */
 app.post('/api/login', async (req, res) => {
   const { email, password } = req.body || {};
-  if (!email || !password) {
+  if ([email, password].some(value => !value || typeof value !== 'string')) {
     return res.status(400).json({ message: 'Email and password are required.' });
   }
-  const data = await loadData();
-  const user = data.users.find(u => u.email === email);
+  const user = await store.findOne('users', { email });
   if (!user) {
     return res.status(401).json({ message: 'Invalid credentials.' });
   }
@@ -110,197 +858,1375 @@ app.post('/api/login', async (req, res) => {
   if (!match) {
     return res.status(401).json({ message: 'Invalid credentials.' });
   }
+  await startSession(res, user.id);
   res.json({ userId: user.id, name: user.name });
 });
 
+/*
+ * GET /api/email/unsubscribe?token=...
+ * The link at the bottom of digest and reminder emails. Turns off digests,
+ * reminders and mention emails for the user the token belongs to, without
+ * needing to log in, and shows a confirmation page.
+ */
+app.get('/api/email/unsubscribe', async (req, res) => {
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+  const user = token && await store.findOne('users', { unsubscribeToken: token });
+  if (!user) {
+    return res.status(404).send('<p>This unsubscribe link is not valid.</p>');
+  }
+  await store.update('users', user.id, { emailPrefs: { digest: 'off', reminders: false, mentions: false } });
+  res.send('<p>You will no longer receive task digests, reminders or mention emails from AL&amp;MO TASKS. ' +
+    'You can turn them back on under notification settings on your <a href="/dashboard.html">dashboard</a>.</p>');
+});
+
+// Every API route below this point requires a valid session
+app.use('/api', requireAuth);
+
+/*
+ * POST /api/logout
+ * Revokes the caller's session and clears the cookie.
+ */
+app.post('/api/logout', async (req, res) => {
+  await store.remove('sessions', { id: req.sessionTokenHash });
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ message: 'Logged out.' });
+});
+
+/*
+ * GET /api/me
+ * Returns the user behind the current session, with the time zone their
+ * dashboard last reported ('' before it has).
+ */
+app.get('/api/me', (req, res) => {
+  res.json({ userId: req.user.id, name: req.user.name, email: req.user.email, timeZone: req.user.timeZone });
+});
+
+/*
+ * PUT /api/me/time-zone
+ * Body: { timeZone }
+ * Sets the caller's time zone, such as "Europe/Paris". Due dates are read in
+ * it for the caller's due-date notifications, emails and My Work view (see
+ * dates.js). The dashboard sends the browser's time zone when it changes.
+ */
+app.put('/api/me/time-zone', async (req, res) => {
+  const { timeZone } = req.body || {};
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ message: 'timeZone must be a time zone name, such as "Europe/Paris".' });
+  }
+  await store.update('users', req.user.id, { timeZone });
+  res.json({ timeZone });
+});
+
+/*
+ * GET /api/events
+ * A Server-Sent Events stream of changes others make to the caller's boards
+ * and tasks, new notifications, and which members have each board open
+ * (see realtime.js). Opening and closing the stream updates presence.
+ */
+app.get('/api/events', async (req, res) => {
+  const userId = req.user.id;
+  hub.connect(req, res, req.user, () => {
+    findBoardsForUser(userId)
+      .then(boards => boards.forEach(publishPresence))
+      .catch(err => console.error('Failed to update presence:', err.message));
+  });
+  (await findBoardsForUser(userId)).forEach(publishPresence);
+});
+
 /*
  * GET /api/users
  * Returns a list of all users (without password hashes). Useful for assignment selectors.
  */
 app.get('/api/users', async (req, res) => {
-  const data = await loadData();
-  const users = data.users.map(({ id, name, email }) => ({ id, name, email }));
+  const users = (await store.find('users')).map(({ id, name, email }) => ({ id, name, email }));
   res.json(users);
 });
 
 /*
- * GET /api/boards?userId=...
- * Returns boards where the user is a member (owner or invited).
+ * GET /api/notifications
+ * The caller's latest notifications, newest first, with the number of
+ * unread notifications: { notifications, unread }.
  */
-app.get('/api/boards', async (req, res) => {
-  const userId = req.query.userId;
-  if (!userId) return res.status(400).json({ message: 'userId is required.' });
-  const data = await loadData();
-  const boards = data.boards.filter(b => (b.members && b.members.includes(userId)) || b.ownerId === userId);
-  res.json(boards);
+app.get('/api/notifications', async (req, res) => {
+  res.json(await notifier.forUser(req.user.id, NOTIFICATIONS_LIMIT));
 });
 
 /*
- * POST /api/boards
- * Body: { name, userId }
- * Creates a new board and assigns the creator as owner and member. Returns the new board.
+ * POST /api/notifications/read-all
+ * Marks all of the caller's notifications as read.
  */
-app.post('/api/boards', async (req, res) => {
-  const { name, userId } = req.body || {};
-  if (!name || !userId) {
-    return res.status(400).json({ message: 'Name and userId are required.' });
-  }
-  const data = await loadData();
-  const id = 'board-' + Date.now();
-  const color = boardColors[data.boards.length % boardColors.length];
-  const board = { id, name, color, ownerId: userId, members: [userId] };
-  data.boards.push(board);
-  await saveData(data);
-  res.json(board);
+app.post('/api/notifications/read-all', async (req, res) => {
+  const count = await notifier.markAllRead(req.user.id);
+  res.json({ message: `${count} notification(s) marked as read.` });
 });
 
 /*
- * POST /api/invite
- * Body: { boardId, email, inviterId }
- * Sends an invitation email for a board. Adds the invitee to the board members if they exist.
+ * POST /api/notifications/:id/read
+ * Marks one of the caller's notifications as read.
  */
-app.post('/api/invite', async (req, res) => {
-  const { boardId, email, inviterId } = req.body || {};
-  if (!boardId || !email || !inviterId) {
-    return res.status(400).json({ message: 'boardId, email and inviterId are required.' });
-  }
-  const data = await loadData();
-  const board = data.boards.find(b => b.id === boardId);
-  if (!board) return res.status(404).json({ message: 'Board not found.' });
-  // Only members can invite others
-  if (!(board.members && board.members.includes(inviterId))) {
-    return res.status(403).json({ message: 'You are not a member of this board.' });
-  }
-  // Check if user exists by email
-  let user = data.users.find(u => u.email === email);
-  if (user) {
-    // Add to board members if not already
-    if (!board.members.includes(user.id)) board.members.push(user.id);
-  }
-  // Save invite record
-  const invite = { id: 'invite-' + Date.now(), boardId, email, inviterId, created: new Date().toISOString() };
-  data.invites.push(invite);
-  await saveData(data);
-  // Send email if transporter is configured
-  if (transporter) {
-    try {
-      const info = await transporter.sendMail({
-        from: process.env.SMTP_FROM || process.env.SMTP_USER,
-        to: email,
-        subject: `You're invited to a board on AL&MO TASKS`,
-        text: `You have been invited to collaborate on the board "${board.name}". If you already have an account, please log in at the app. Otherwise, register with this email.`
-      });
-      console.log('Invitation sent: %s', info.messageId);
-    } catch (err) {
-      console.error('Error sending invitation email:', err.message);
-    }
-  } else {
-    console.log(`Invitation to ${email} for board ${board.name}`);
+app.post('/api/notifications/:id/read', async (req, res) => {
+  if (!(await notifier.markRead(req.user.id, req.params.id))) {
+    return res.status(404).json({ message: 'Notification not found.' });
   }
-  res.json({ message: 'Invitation processed.' });
+  res.json({ message: 'Notification marked as read.' });
 });
 
 /*
- * GET /api/tasks?userId=...
- * Returns tasks belonging to boards where the user is a member.
+ * GET /api/notifications/preferences
+ * Which notification types the caller receives, e.g.
+ * { assignment: true, invite: true, mention: true, dueSoon: true, overdue: false }.
  */
-app.get('/api/tasks', async (req, res) => {
-  const userId = req.query.userId;
-  if (!userId) return res.status(400).json({ message: 'userId is required.' });
-  const data = await loadData();
-  const accessibleBoardIds = data.boards
-    .filter(b => (b.members && b.members.includes(userId)) || b.ownerId === userId)
-    .map(b => b.id);
-  const tasks = data.tasks.filter(t => accessibleBoardIds.includes(t.boardId));
-  res.json(tasks);
+app.get('/api/notifications/preferences', async (req, res) => {
+  res.json(notificationPrefs(await store.get('users', req.user.id)));
 });
 
 /*
- * POST /api/tasks
- * Body: { title, description, dueDate, boardId, assignedUserId, creatorId }
- * Creates a new task. The creator must be a member of the board.
+ * PUT /api/notifications/preferences
+ * Body: { <type>: boolean, ... }
+ * Turns notification types on or off for the caller. Types left out keep
+ * their current setting. Returns the full preferences.
  */
-app.post('/api/tasks', async (req, res) => {
-  const { title, description, dueDate, boardId, assignedUserId, creatorId } = req.body || {};
-  if (!title || !boardId || !creatorId) {
-    return res.status(400).json({ message: 'title, boardId and creatorId are required.' });
-  }
-  const data = await loadData();
-  const board = data.boards.find(b => b.id === boardId);
-  if (!board) return res.status(404).json({ message: 'Board not found.' });
-  if (!(board.members && board.members.includes(creatorId))) {
-    return res.status(403).json({ message: 'You are not a member of this board.' });
-  }
-  const id = 'task-' + Date.now();
-  const task = {
-    id,
-    title,
-    description: description || '',
-    dueDate: dueDate || '',
-    boardId,
-    userId: assignedUserId || '',
-    items: []
-  };
-  data.tasks.push(task);
-  await saveData(data);
-  res.json(task);
+app.put('/api/notifications/preferences', async (req, res) => {
+  const error = validatePrefs(req.body);
+  if (error) return res.status(400).json({ message: error });
+  const user = await store.get('users', req.user.id);
+  const prefs = Object.assign(notificationPrefs(user), req.body);
+  await store.update('users', user.id, { notificationPrefs: prefs });
+  res.json(prefs);
 });
 
 /*
- * PATCH /api/tasks/:id
- * Updates a task. Body can include title, description, dueDate, boardId, userId, items.
+ * GET /api/email/preferences
+ * The caller's email settings: { digest: 'daily' | 'weekly' | 'off',
+ * reminders: boolean, mentions: boolean }.
  */
-app.patch('/api/tasks/:id', async (req, res) => {
-  const taskId = req.params.id;
-  const updates = req.body || {};
-  const data = await loadData();
-  const task = data.tasks.find(t => t.id === taskId);
-  if (!task) return res.status(404).json({ message: 'Task not found.' });
-  // Merge updates
-  const allowed = ['title', 'description', 'dueDate', 'boardId', 'userId', 'items'];
-  allowed.forEach(key => {
-    if (key in updates) task[key] = updates[key];
-  });
-  await saveData(data);
-  res.json(task);
+app.get('/api/email/preferences', async (req, res) => {
+  res.json(emailPrefs(await store.get('users', req.user.id)));
 });
 
 /*
- * DELETE /api/tasks/:id
- * Deletes a task.
+ * PUT /api/email/preferences
+ * Body: { digest, reminders, mentions }
+ * Changes how often the caller gets a digest of their tasks and whether they
+ * get due-date reminders and emails when someone mentions them. Fields left
+ * out keep their current setting.
+ * Returns the full settings.
  */
-app.delete('/api/tasks/:id', async (req, res) => {
-  const taskId = req.params.id;
-  const data = await loadData();
-  data.tasks = data.tasks.filter(t => t.id !== taskId);
-  await saveData(data);
-  res.json({ message: 'Task deleted.' });
+app.put('/api/email/preferences', async (req, res) => {
+  const error = validateEmailPrefs(req.body);
+  if (error) return res.status(400).json({ message: error });
+  const user = await store.get('users', req.user.id);
+  const prefs = emailPrefs(user);
+  if ('digest' in req.body) prefs.digest = req.body.digest;
+  if ('reminders' in req.body) prefs.reminders = req.body.reminders;
+  if ('mentions' in req.body) prefs.mentions = req.body.mentions;
+  await store.update('users', user.id, { emailPrefs: prefs });
+  res.json(prefs);
 });
 
 /*
- * DELETE /api/boards/:id
- * Deletes a board and all associated tasks. Only owner can delete.
+ * GET /api/boards
+ * Returns boards where the caller is a member (owner or invited), in the
+ * caller's board order. Archived boards are included with `archived: true`.
  */
-app.delete('/api/boards/:id', async (req, res) => {
-  const boardId = req.params.id;
-  const { userId } = req.body || {};
-  const data = await loadData();
-  const board = data.boards.find(b => b.id === boardId);
-  if (!board) return res.status(404).json({ message: 'Board not found.' });
-  if (board.ownerId !== userId) return res.status(403).json({ message: 'Only the owner can delete this board.' });
-  data.boards = data.boards.filter(b => b.id !== boardId);
-  data.tasks = data.tasks.filter(t => t.boardId !== boardId);
-  await saveData(data);
-  res.json({ message: 'Board deleted.' });
+app.get('/api/boards', async (req, res) => {
+  res.json(await findBoardsForUser(req.user.id));
 });
 
-// Start the server
-// Serve static files from this directory. This allows the client HTML/JS to be
-// loaded from the same origin as the API, avoiding CORS issues when the
-// user navigates to http://localhost:PORT/login.html or dashboard.html.
-const path = require('path');
-app.use(express.static(__dirname));
-
-app.listen(PORT, () => {
-  console.log(`AL&MO TASKS backend listening on port ${PORT}`);
+/*
+ * POST /api/boards
+ * Body: { name }
+ * Creates a new board and assigns the caller as owner and member. The board
+ * goes at the end of the caller's board order and gets the palette colour
+ * least used among the caller's boards. Returns the new board.
+ */
+app.post('/api/boards', async (req, res) => {
+  const { name } = req.body || {};
+  const userId = req.user.id;
+  if (!name) {
+    return res.status(400).json({ message: 'Name is required.' });
+  }
+  const id = createId('board');
+  const board = await withLock('boards', async () => {
+    const existing = await findBoardsForUser(userId);
+    const position = nextPosition(existing, boardPosition(userId));
+    const color = nextBoardColor(existing);
+    const created = { id, name, color, ownerId: userId, members: [userId], roles: {}, statuses: DEFAULT_STATUSES, positions: { [userId]: position } };
+    await store.insert('boards', created);
+    return created;
+  });
+  await logBoard('created', userId, {}, board);
+  publish(req, [board], 'board', { board });
+  res.json(board);
+});
+
+/*
+ * POST /api/invite
+ * Body: { boardId, email, role }
+ * Creates a pending invitation for a board and emails a link carrying its
+ * token. `role` is the role the invitee gets (editor, commenter or viewer;
+ * default editor). Requires the invite permission. The invitee joins the board when they accept the invite from the
+ * dashboard, follow the link, or register with the invited email address.
+ */
+app.post('/api/invite', async (req, res) => {
+  const { boardId, email } = req.body || {};
+  const role = (req.body && req.body.role) || DEFAULT_ROLE;
+  const inviterId = req.user.id;
+  if (!boardId || !email) {
+    return res.status(400).json({ message: 'boardId and email are required.' });
+  }
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    return res.status(400).json({ message: `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}.` });
+  }
+  const board = await store.get('boards', boardId);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  if (!isBoardMember(board, inviterId)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  if (!can(board, inviterId, 'invite')) {
+    return res.status(403).json({ message: 'Your role on this board does not allow inviting members.' });
+  }
+  const user = await store.findOne('users', { email });
+  if (user && isBoardMember(board, user.id)) {
+    return res.status(400).json({ message: 'That user is already a member of this board.' });
+  }
+  // A new invite replaces any earlier pending one for the same address
+  const previous = await store.find('invites', { boardId, email, status: 'pending' });
+  for (const old of previous) {
+    await logInvite('revoked', inviterId, old, await store.update('invites', old.id, { status: 'revoked' }));
+  }
+  const token = crypto.randomBytes(24).toString('hex');
+  const now = Date.now();
+  const invite = {
+    id: createId('invite'),
+    boardId,
+    email,
+    inviterId,
+    role,
+    tokenHash: hashToken(token),
+    status: 'pending',
+    created: new Date(now).toISOString(),
+    expires: new Date(now + INVITE_TTL_MS).toISOString()
+  };
+  await store.insert('invites', invite);
+  await logInvite('created', inviterId, {}, invite);
+  if (user) {
+    await notifier.notify(user.id, 'invite', {
+      message: `${req.user.name} invited you to the board "${board.name}".`,
+      boardId,
+      actorId: inviterId
+    });
+  }
+  const link = `${APP_URL}/dashboard.html?invite=${token}`;
+  await sendEmail({
+    to: email,
+    subject: `You're invited to a board on AL&MO TASKS`,
+    text: `${req.user.name} has invited you to collaborate on the board "${board.name}". Open ${link} to join. If you don't have an account yet, register with this email address and you will be added automatically. The invitation expires on ${invite.expires.slice(0, 10)}.`
+  }, `Invitation to ${email} for board ${board.name}: ${link}`);
+  res.json({ message: 'Invitation processed.', invite: publicInvite(invite) });
+});
+
+/*
+ * GET /api/invites
+ * Lists the pending, unexpired invitations addressed to the caller's email.
+ */
+app.get('/api/invites', async (req, res) => {
+  const invites = (await store.find('invites', { email: req.user.email }))
+    .filter(invite => inviteStatus(invite) === 'pending');
+  const result = [];
+  for (const invite of invites) {
+    const board = await store.get('boards', invite.boardId);
+    if (!board) continue;
+    const inviter = await store.get('users', invite.inviterId);
+    result.push(publicInvite(invite, { boardName: board.name, inviterName: inviter ? inviter.name : '' }));
+  }
+  res.json(result);
+});
+
+/*
+ * GET /api/invites/sent
+ * Lists the invitations the caller has sent, newest first.
+ */
+app.get('/api/invites/sent', async (req, res) => {
+  const invites = await store.find('invites', { inviterId: req.user.id });
+  invites.sort((a, b) => (b.created || '').localeCompare(a.created || ''));
+  res.json(invites.map(invite => publicInvite(invite)));
+});
+
+/*
+ * POST /api/invites/:id/accept
+ * Accepts a pending invitation addressed to the caller and joins the board.
+ */
+app.post('/api/invites/:id/accept', async (req, res) => {
+  const invite = await store.get('invites', req.params.id);
+  if (!invite || invite.email !== req.user.email) {
+    return res.status(404).json({ message: 'Invitation not found.' });
+  }
+  if (inviteStatus(invite) !== 'pending') {
+    return res.status(400).json({ message: `This invitation is ${inviteStatus(invite)}.` });
+  }
+  const board = await acceptInvite(invite, req.user.id);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  res.json(board);
+});
+
+/*
+ * POST /api/invites/:id/decline
+ * Declines a pending invitation addressed to the caller.
+ */
+app.post('/api/invites/:id/decline', async (req, res) => {
+  const invite = await store.get('invites', req.params.id);
+  if (!invite || invite.email !== req.user.email) {
+    return res.status(404).json({ message: 'Invitation not found.' });
+  }
+  if (inviteStatus(invite) !== 'pending') {
+    return res.status(400).json({ message: `This invitation is ${inviteStatus(invite)}.` });
+  }
+  const declined = await store.update('invites', invite.id, { status: 'declined', responded: new Date().toISOString() });
+  await logInvite('declined', req.user.id, invite, declined);
+  res.json({ message: 'Invitation declined.' });
+});
+
+/*
+ * POST /api/invites/accept-token
+ * Body: { token }
+ * Accepts the invitation behind an emailed invite link on behalf of the
+ * logged-in caller and joins the board.
+ */
+app.post('/api/invites/accept-token', async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) return res.status(400).json({ message: 'token is required.' });
+  const invite = await store.findOne('invites', { tokenHash: hashToken(String(token)) });
+  if (!invite) return res.status(404).json({ message: 'Invitation not found.' });
+  // Registering with the invited address may already have accepted it
+  const board = await store.get('boards', invite.boardId);
+  if (inviteStatus(invite) === 'accepted' && isBoardMember(board, req.user.id)) {
+    return res.json(board);
+  }
+  if (inviteStatus(invite) !== 'pending') {
+    return res.status(400).json({ message: `This invitation is ${inviteStatus(invite)}.` });
+  }
+  const joined = await acceptInvite(invite, req.user.id);
+  if (!joined) return res.status(404).json({ message: 'Board not found.' });
+  res.json(joined);
+});
+
+/*
+ * DELETE /api/invites/:id
+ * Revokes a pending invitation. Only the user who sent it can revoke it.
+ */
+app.delete('/api/invites/:id', async (req, res) => {
+  const invite = await store.get('invites', req.params.id);
+  if (!invite) return res.status(404).json({ message: 'Invitation not found.' });
+  if (invite.inviterId !== req.user.id) {
+    return res.status(403).json({ message: 'Only the sender can revoke this invitation.' });
+  }
+  if (inviteStatus(invite) !== 'pending') {
+    return res.status(400).json({ message: `This invitation is ${inviteStatus(invite)}.` });
+  }
+  await logInvite('revoked', req.user.id, invite, await store.update('invites', invite.id, { status: 'revoked' }));
+  res.json({ message: 'Invitation revoked.' });
+});
+
+/*
+ * GET /api/tasks
+ * Returns tasks belonging to boards where the caller is a member, in board
+ * order.
+ */
+app.get('/api/tasks', async (req, res) => {
+  const boards = await findBoardsForUser(req.user.id);
+  const tasks = [];
+  for (const board of boards) {
+    tasks.push(...sortByPosition(await store.find('tasks', { boardId: board.id })));
+  }
+  res.json(tasks);
+});
+
+/*
+ * GET /api/my-work?timeZone=Europe/Paris
+ * Returns the open tasks assigned to the caller on their active boards,
+ * grouped as Overdue, Today, This week, Later and No date (see my-work.js):
+ * { today, groups: [{ id, name, tasks }] }. Due dates are read in
+ * `timeZone`, which defaults to the caller's (see PUT /api/me/time-zone),
+ * or the server's; `today` is the date there.
+ */
+app.get('/api/my-work', async (req, res) => {
+  const timeZone = req.query.timeZone || req.user.timeZone || undefined;
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return res.status(400).json({ message: 'timeZone must be a time zone name, such as "Europe/Paris".' });
+  }
+  const now = new Date();
+  const tasks = [];
+  for (const board of await findBoardsForUser(req.user.id)) {
+    if (board.archived) continue;
+    const assigned = await store.find('tasks', { boardId: board.id, userId: req.user.id });
+    tasks.push(...sortByPosition(assigned).filter(t => !isTaskDone(board, t)));
+  }
+  res.json({ today: localDate(now, timeZone), groups: groupMyWork(tasks, { now, timeZone }) });
+});
+
+/*
+ * GET /api/dependencies
+ * Returns the tasks on boards the caller is not a member of that block, or
+ * are blocked by, tasks on the caller's boards, as { id, done, blockedBy }.
+ * Their titles are left out, and `blockedBy` only holds ids of the caller's
+ * tasks. Dashboards use them to tell whether a task is blocked and to list
+ * its blockers and dependents.
+ */
+app.get('/api/dependencies', async (req, res) => {
+  const boardIds = (await findBoardsForUser(req.user.id)).map(b => b.id);
+  const tasks = await store.find('tasks');
+  const visible = new Set(tasks.filter(t => boardIds.includes(t.boardId)).map(t => t.id));
+  const blockers = new Set();
+  tasks.forEach(t => {
+    if (visible.has(t.id)) taskBlockers(t).forEach(id => blockers.add(id));
+  });
+  const boards = new Map((await store.find('boards')).map(b => [b.id, b]));
+  const linked = tasks
+    .filter(t => !visible.has(t.id) && (blockers.has(t.id) || taskBlockers(t).some(id => visible.has(id))))
+    .map(t => ({
+      id: t.id,
+      done: isTaskDone(boards.get(t.boardId), t),
+      blockedBy: taskBlockers(t).filter(id => visible.has(id))
+    }));
+  res.json(linked);
+});
+
+/*
+ * POST /api/tasks
+ * Body: { title, description, dueDate, boardId, assignedUserId, status, labelIds,
+ *         priority, estimate, recurrence, blockedBy }
+ * Creates a new task at the end of the board. The caller's role on the board
+ * must allow editing tasks. `status` must be one of the board's statuses and
+ * defaults to the first; `labelIds` are ids of the board's labels. `priority`
+ * and `estimate` (see triage.js) and `recurrence` (see recurrence.js) are
+ * optional. `blockedBy` lists the tasks it waits on (see dependencies.js),
+ * which can be on any board the caller is a member of. `dueDate` is a date,
+ * optionally with a time (see dates.js). `assignedUserId` must be a member of
+ * the board.
+ */
+app.post('/api/tasks', async (req, res) => {
+  const {
+    title, description, dueDate, boardId, assignedUserId, status,
+    labelIds = [], priority = '', estimate = null, recurrence = null, blockedBy = []
+  } = req.body || {};
+  const creatorId = req.user.id;
+  if (!title || !boardId) {
+    return res.status(400).json({ message: 'title and boardId are required.' });
+  }
+  const board = await store.get('boards', boardId);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  if (!isBoardMember(board, creatorId)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  if (!can(board, creatorId, 'editTasks')) {
+    return res.status(403).json({ message: 'Your role on this board does not allow creating tasks.' });
+  }
+  if (board.archived) {
+    return res.status(400).json({ message: 'This board is archived. Restore it to add tasks.' });
+  }
+  if (status && !isValidStatus(board, status)) {
+    return res.status(400).json({ message: 'Invalid status for this board.' });
+  }
+  const labelError = validateLabelIds(labelIds, board);
+  if (labelError) return res.status(400).json({ message: labelError });
+  const fieldError = assigneeError(board, assignedUserId || '') || validateDueDate(dueDate || '') ||
+    validatePriority(priority) || validateEstimate(estimate) || validateRecurrence(recurrence) ||
+    validateBlockedBy(blockedBy, null) || await blockersError(null, blockedBy, [], creatorId);
+  if (fieldError) return res.status(400).json({ message: fieldError });
+  const task = await insertTask(board, {
+    title,
+    description: description || '',
+    dueDate: dueDate || '',
+    userId: assignedUserId || '',
+    status: status || boardStatuses(board)[0].id,
+    labelIds: keepBoardLabels(labelIds, board),
+    priority,
+    estimate,
+    recurrence: normalizeRecurrence(recurrence),
+    blockedBy
+  });
+  await logTask('created', creatorId, {}, task);
+  publish(req, [board], 'task', { task });
+  await publishDependencies(req, task);
+  await notifyAssignment(task, board, req.user, '');
+  await notifier.checkDueDate(task, board);
+  res.json(task);
+});
+
+/*
+ * PATCH /api/tasks/:id
+ * Updates a task. Body can include title, description, dueDate, boardId, userId,
+ * status, labelIds, priority, estimate, recurrence, blockedBy; sub-items are changed
+ * through the /api/tasks/:id/items endpoints. The status and labels must exist on the task's
+ * (destination) board; a task moved to a board without its current status
+ * goes to the first column, and loses labels that board does not have. A new
+ * `userId` must be a member of the (destination) board, and a task moved to a
+ * board its assignee is not a member of becomes unassigned.
+ * The caller's role must allow editing the task: editors and owners can change
+ * anything, commenters can edit tasks assigned to them but not move or
+ * reassign them. Moving a task also requires edit rights on the destination
+ * board.
+ *
+ * `beforeId` reorders the task: it is placed in front of that task on its
+ * (destination) board, or at the end when beforeId is null. A task moved to
+ * another board without a beforeId goes to the top of that board. Reordering
+ * needs the same rights as moving.
+ *
+ * `version` is the task version the client last saw. If someone has changed
+ * the task since, nothing is saved and the response is 409 with the current
+ * task in `task`. Requests without a version always apply.
+ *
+ * A `dueDate` is a date, optionally with a time (see dates.js). New blockers
+ * must be tasks on boards the caller is a member of, and are refused with 400
+ * if one of them already waits on this task.
+ *
+ * Completing a recurring task creates its next instance, which is pushed to
+ * every member of the board, including the caller; the response then has
+ * its id in `nextTaskId`.
+ */
+app.patch('/api/tasks/:id', async (req, res) => {
+  const taskId = req.params.id;
+  const updates = req.body || {};
+  const task = await store.get('tasks', taskId);
+  if (!task) return res.status(404).json({ message: 'Task not found.' });
+  const board = await store.get('boards', task.boardId);
+  if (!isBoardMember(board, req.user.id)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  if (!canEditTask(board, req.user.id, task)) {
+    return res.status(403).json({ message: 'Your role on this board does not allow editing this task.' });
+  }
+  const moving = 'boardId' in updates && updates.boardId !== task.boardId;
+  const reassigning = 'userId' in updates && updates.userId !== task.userId;
+  const reordering = 'beforeId' in updates;
+  if (reordering && updates.beforeId !== null && typeof updates.beforeId !== 'string') {
+    return res.status(400).json({ message: 'beforeId must be a task id or null.' });
+  }
+  if ('version' in updates && !Number.isInteger(updates.version)) {
+    return res.status(400).json({ message: 'version must be an integer.' });
+  }
+  if ((moving || reassigning || reordering) && !can(board, req.user.id, 'editTasks')) {
+    return res.status(403).json({ message: 'Your role on this board does not allow moving or reassigning tasks.' });
+  }
+  let destination = board;
+  if (moving) {
+    const target = await store.get('boards', updates.boardId);
+    if (!target) return res.status(404).json({ message: 'Board not found.' });
+    if (!isBoardMember(target, req.user.id)) {
+      return res.status(403).json({ message: 'You are not a member of the destination board.' });
+    }
+    if (!can(target, req.user.id, 'editTasks')) {
+      return res.status(403).json({ message: 'Your role on the destination board does not allow adding tasks.' });
+    }
+    if (target.archived) {
+      return res.status(400).json({ message: 'The destination board is archived.' });
+    }
+    destination = target;
+  }
+  if ('status' in updates && !isValidStatus(destination, updates.status)) {
+    return res.status(400).json({ message: 'Invalid status for this board.' });
+  }
+  if ('labelIds' in updates) {
+    const labelError = validateLabelIds(updates.labelIds, destination);
+    if (labelError) return res.status(400).json({ message: labelError });
+  }
+  const fieldError = (reassigning && assigneeError(destination, updates.userId)) ||
+    ('dueDate' in updates && validateDueDate(updates.dueDate)) ||
+    ('priority' in updates && validatePriority(updates.priority)) ||
+    ('estimate' in updates && validateEstimate(updates.estimate)) ||
+    ('recurrence' in updates && validateRecurrence(updates.recurrence)) ||
+    ('blockedBy' in updates && validateBlockedBy(updates.blockedBy, taskId));
+  if (fieldError) return res.status(400).json({ message: fieldError });
+  // Merge updates
+  const allowed = [
+    'title', 'description', 'dueDate', 'boardId', 'userId', 'status', 'labelIds', 'priority', 'estimate', 'recurrence',
+    'blockedBy'
+  ];
+  const changes = {};
+  allowed.forEach(key => {
+    if (key in updates) changes[key] = updates[key];
+  });
+  if (moving && !('status' in changes) && !isValidStatus(destination, task.status)) {
+    changes.status = boardStatuses(destination)[0].id;
+  }
+  if (moving && !reassigning && task.userId && !isBoardMember(destination, task.userId)) {
+    changes.userId = '';
+  }
+  if ('labelIds' in changes || (moving && (task.labelIds || []).length)) {
+    changes.labelIds = keepBoardLabels(changes.labelIds || task.labelIds, destination);
+  }
+  if ('recurrence' in changes) changes.recurrence = normalizeRecurrence(changes.recurrence);
+  // New blockers are checked for cycles and saved one change at a time, so
+  // two changes made at once cannot close a cycle between them
+  const saved = 'blockedBy' in changes
+    ? await withLock('dependencies', async () => {
+      const error = await blockersError(taskId, changes.blockedBy, taskBlockers(task), req.user.id);
+      return error ? { error } : saveTask(taskId, changes, updates.version);
+    })
+    : await saveTask(taskId, changes, updates.version);
+  if (saved.error) return res.status(400).json({ message: saved.error });
+  if (saved.conflict) {
+    return res.status(409).json({ message: 'Someone else changed this task since you loaded it.', task: saved.conflict });
+  }
+  if (!saved.task) return res.status(404).json({ message: 'Task not found.' });
+  if (reordering) {
+    await positionTask(destination.id, taskId, { beforeId: updates.beforeId });
+  } else if (moving) {
+    await positionTask(destination.id, taskId, { atStart: true });
+  }
+  const updated = await store.get('tasks', taskId);
+  await logTask('updated', req.user.id, saved.previous, updated);
+  // A moved task is announced on its new board before it leaves the old one,
+  // so members of both boards never lose sight of it
+  if (moving || reordering) await publishBoardTasks(req, destination);
+  else publish(req, [destination], 'task', { task: updated });
+  if (moving) publish(req, [board], 'taskRemoved', { taskId, boardId: board.id });
+  if ('blockedBy' in changes || moving || isTaskDone(board, saved.previous) !== isTaskDone(destination, updated)) {
+    await publishDependencies(req, updated, taskBlockers(saved.previous));
+  }
+  await notifyAssignment(updated, destination, req.user, task.userId);
+  await notifier.checkDueDate(updated, destination);
+  const next = await recurTask(updated, destination, req.user.id);
+  res.json(next ? await store.get('tasks', taskId) : updated);
+});
+
+/*
+ * POST /api/tasks/:id/items
+ * Body: { content, userId, dueDate }
+ * Adds a sub-item to the end of a task; the assignee and due date are
+ * optional. These item endpoints change one item and leave the others as
+ * they are on the server, so members working on different items at the same
+ * time do not overwrite each other. They need the same rights as editing the
+ * task and answer with the updated task.
+ */
+app.post('/api/tasks/:id/items', async (req, res) => {
+  const context = await itemContext(req, res);
+  if (!context) return;
+  const body = req.body || {};
+  const { fields, error } = itemFields(Object.assign({ content: '' }, body), context.board);
+  if (error) return res.status(400).json({ message: error });
+  const id = createId('item');
+  await saveItems(req, res, context.board, items => items.concat(createItem(id, fields, items)));
+});
+
+/*
+ * PATCH /api/tasks/:id/items/:itemId
+ * Body: { content, completed, userId, dueDate, beforeId } (all optional)
+ * Changes one sub-item of a task. `beforeId` moves it in front of that item,
+ * or to the end when null.
+ */
+app.patch('/api/tasks/:id/items/:itemId', async (req, res) => {
+  const context = await itemContext(req, res);
+  if (!context) return;
+  const body = req.body || {};
+  const { fields, error } = itemFields(body, context.board);
+  if (error) return res.status(400).json({ message: error });
+  const reordering = 'beforeId' in body;
+  if (reordering && body.beforeId !== null && typeof body.beforeId !== 'string') {
+    return res.status(400).json({ message: 'beforeId must be an item id or null.' });
+  }
+  const itemId = req.params.itemId;
+  await saveItems(req, res, context.board, items => {
+    const changed = items.map(item => (item.id === itemId ? Object.assign({}, item, fields) : item));
+    return reordering ? moveItem(changed, itemId, body.beforeId) : changed;
+  });
+});
+
+/*
+ * DELETE /api/tasks/:id/items/:itemId
+ * Removes one sub-item from a task.
+ */
+app.delete('/api/tasks/:id/items/:itemId', async (req, res) => {
+  const context = await itemContext(req, res);
+  if (!context) return;
+  const itemId = req.params.itemId;
+  await saveItems(req, res, context.board, items => items.filter(item => item.id !== itemId));
+});
+
+/*
+ * POST /api/tasks/:id/items/:itemId/convert
+ * Turns a sub-item into a task of its own at the end of the same board, in
+ * its first column. The item's content becomes the title and its assignee
+ * and due date carry over; the item is removed from its task. Needs the
+ * rights to create tasks on the board. Answers with { task, source }: the
+ * new task and the task the item came from.
+ */
+app.post('/api/tasks/:id/items/:itemId/convert', async (req, res) => {
+  const context = await itemContext(req, res);
+  if (!context) return;
+  const { board } = context;
+  if (!can(board, req.user.id, 'editTasks')) {
+    return res.status(403).json({ message: 'Your role on this board does not allow creating tasks.' });
+  }
+  if (board.archived) {
+    return res.status(400).json({ message: 'This board is archived. Restore it to add tasks.' });
+  }
+  const itemId = req.params.itemId;
+  let item = null;
+  const saved = await saveTask(req.params.id, current => {
+    item = (current.items || []).find(i => i.id === itemId) || null;
+    return { items: (current.items || []).filter(i => i.id !== itemId) };
+  });
+  if (!saved.task || !item) return res.status(404).json({ message: 'Item not found.' });
+  const task = await insertTask(board, taskFromItem(item));
+  await logTask('updated', req.user.id, saved.previous, saved.task);
+  await logTask('created', req.user.id, {}, task);
+  publish(req, [board], 'task', { task: saved.task });
+  publish(req, [board], 'task', { task });
+  await notifyAssignment(task, board, req.user, '');
+  await notifier.checkDueDate(task, board);
+  res.json({ task, source: saved.task });
+});
+
+/*
+ * GET /api/tasks/:id/activity
+ * Query: limit (default 100, at most 500)
+ * Lists the history of a task, newest first, including changes made while
+ * it was on another board. Any member of the task's board may call this.
+ */
+app.get('/api/tasks/:id/activity', async (req, res) => {
+  const task = await store.get('tasks', req.params.id);
+  if (!task) return res.status(404).json({ message: 'Task not found.' });
+  const board = await store.get('boards', task.boardId);
+  if (!isBoardMember(board, req.user.id)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  res.json(await withActorNames(await activity.forTask(task.id, activityLimit(req.query))));
+});
+
+/*
+ * GET /api/tasks/:id/comments
+ * Lists the comments on a task, oldest first. Any member of the task's board
+ * may call this.
+ */
+app.get('/api/tasks/:id/comments', async (req, res) => {
+  const task = await store.get('tasks', req.params.id);
+  if (!task) return res.status(404).json({ message: 'Task not found.' });
+  const board = await store.get('boards', task.boardId);
+  if (!isBoardMember(board, req.user.id)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  const comments = (await store.find('comments', { taskId: task.id }))
+    .sort((a, b) => (a.created < b.created ? -1 : a.created > b.created ? 1 : 0));
+  const result = [];
+  for (const comment of comments) result.push(await publicComment(comment));
+  res.json(result);
+});
+
+/*
+ * POST /api/tasks/:id/comments
+ * Body: { body }
+ * Adds a comment to a task. The caller's role must allow commenting. Board
+ * members named with @name in the text are mentioned: they get an entry in
+ * their mentions inbox and an email. Returns the new comment.
+ */
+app.post('/api/tasks/:id/comments', async (req, res) => {
+  const task = await store.get('tasks', req.params.id);
+  if (!task) return res.status(404).json({ message: 'Task not found.' });
+  const board = await store.get('boards', task.boardId);
+  if (!isBoardMember(board, req.user.id)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  if (!can(board, req.user.id, 'comment')) {
+    return res.status(403).json({ message: 'Your role on this board does not allow commenting.' });
+  }
+  const { body, error } = commentBody((req.body || {}).body);
+  if (error) return res.status(400).json({ message: error });
+  const comment = {
+    id: createId('comment'),
+    taskId: task.id,
+    authorId: req.user.id,
+    body,
+    mentions: findMentions(body, await boardPeople(board)),
+    created: new Date().toISOString(),
+    edited: null
+  };
+  await store.insert('comments', comment);
+  await syncMentions(comment, [], task, board, req.user);
+  await logComment('created', req.user.id, task, {}, comment);
+  res.json(await publicComment(comment));
+});
+
+/*
+ * PATCH /api/comments/:id
+ * Body: { body }
+ * Edits a comment. Only its author can do this, while they can still
+ * comment on the board. Newly mentioned members are notified.
+ */
+app.patch('/api/comments/:id', async (req, res) => {
+  const comment = await store.get('comments', req.params.id);
+  const context = await commentContext(req, res, comment);
+  if (!context) return;
+  const { task, board } = context;
+  if (!can(board, req.user.id, 'comment')) {
+    return res.status(403).json({ message: 'Your role on this board does not allow commenting.' });
+  }
+  const { body, error } = commentBody((req.body || {}).body);
+  if (error) return res.status(400).json({ message: error });
+  const updated = await store.update('comments', comment.id, {
+    body,
+    mentions: findMentions(body, await boardPeople(board)),
+    edited: new Date().toISOString()
+  });
+  await syncMentions(updated, comment.mentions || [], task, board, req.user);
+  await logComment('updated', req.user.id, task, comment, updated);
+  res.json(await publicComment(updated));
+});
+
+/*
+ * DELETE /api/comments/:id
+ * Deletes a comment and its mentions. Only its author can do this.
+ */
+app.delete('/api/comments/:id', async (req, res) => {
+  const comment = await store.get('comments', req.params.id);
+  const context = await commentContext(req, res, comment);
+  if (!context) return;
+  await store.remove('comments', { id: comment.id });
+  await store.remove('mentions', { commentId: comment.id });
+  await logComment('deleted', req.user.id, context.task, comment, null);
+  res.json({ message: 'Comment deleted.' });
+});
+
+/*
+ * GET /api/mentions
+ * The caller's mentions inbox, newest first: comments that mention them on
+ * tasks they can still see, with the comment text, task, board and author.
+ */
+app.get('/api/mentions', async (req, res) => {
+  const mentions = (await store.find('mentions', { userId: req.user.id }))
+    .sort((a, b) => (a.created < b.created ? 1 : a.created > b.created ? -1 : 0));
+  const result = [];
+  for (const mention of mentions) {
+    if (result.length >= MENTIONS_LIMIT) break;
+    const comment = await store.get('comments', mention.commentId);
+    const task = comment && await store.get('tasks', comment.taskId);
+    const board = task && await store.get('boards', task.boardId);
+    if (!board || !isBoardMember(board, req.user.id)) continue;
+    const author = await store.get('users', mention.authorId);
+    result.push({
+      id: mention.id,
+      commentId: comment.id,
+      taskId: task.id,
+      taskTitle: task.title,
+      boardId: board.id,
+      boardName: board.name,
+      authorId: mention.authorId,
+      authorName: author ? author.name : '',
+      body: comment.body,
+      created: mention.created,
+      read: !!mention.read
+    });
+  }
+  res.json(result);
+});
+
+/*
+ * POST /api/mentions/:id/read
+ * Marks one of the caller's mentions as read.
+ */
+app.post('/api/mentions/:id/read', async (req, res) => {
+  const mention = await store.get('mentions', req.params.id);
+  if (!mention || mention.userId !== req.user.id) {
+    return res.status(404).json({ message: 'Mention not found.' });
+  }
+  await store.update('mentions', mention.id, { read: true });
+  res.json({ message: 'Mention marked as read.' });
+});
+
+/*
+ * DELETE /api/tasks/:id
+ * Moves a task to the trash. The caller's role on the task's board must allow
+ * editing tasks.
+ */
+app.delete('/api/tasks/:id', async (req, res) => {
+  const taskId = req.params.id;
+  const task = await store.get('tasks', taskId);
+  if (!task) return res.status(404).json({ message: 'Task not found.' });
+  const board = await store.get('boards', task.boardId);
+  if (!isBoardMember(board, req.user.id)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  if (!can(board, req.user.id, 'editTasks')) {
+    return res.status(403).json({ message: 'Your role on this board does not allow deleting tasks.' });
+  }
+  await store.remove('tasks', { id: taskId });
+  await moveToTrash('task', task, req.user.id);
+  await logTask('deleted', req.user.id, task, null);
+  publish(req, [board], 'taskRemoved', { taskId, boardId: board.id });
+  await publishDependencies(req, task);
+  res.json({ message: 'Task moved to the trash.' });
+});
+
+/*
+ * PATCH /api/boards/:id
+ * Body: { name, color, archived }
+ * Renames, recolours, archives or restores a board. `color` is a hex colour
+ * such as #4A90E2. Archived boards keep their tasks and members but are
+ * hidden from the dashboard until restored, and no tasks can be added to
+ * them. Only the owner can do this.
+ */
+app.patch('/api/boards/:id', async (req, res) => {
+  const board = await store.get('boards', req.params.id);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  if (!can(board, req.user.id, 'manageBoard')) {
+    return res.status(403).json({ message: 'Only the owner can change this board.' });
+  }
+  const updates = req.body || {};
+  const changes = {};
+  if ('name' in updates) {
+    if (typeof updates.name !== 'string' || !updates.name.trim()) {
+      return res.status(400).json({ message: 'Name is required.' });
+    }
+    changes.name = updates.name.trim();
+  }
+  if ('color' in updates) {
+    if (!isValidColor(updates.color)) {
+      return res.status(400).json({ message: 'Colour must be a hex colour such as #4A90E2.' });
+    }
+    changes.color = updates.color;
+  }
+  if ('archived' in updates) {
+    if (typeof updates.archived !== 'boolean') {
+      return res.status(400).json({ message: 'archived must be true or false.' });
+    }
+    changes.archived = updates.archived;
+  }
+  const updated = await store.update('boards', board.id, changes);
+  await logBoard('updated', req.user.id, board, updated);
+  publish(req, [updated], 'board', { board: updated });
+  res.json(updated);
+});
+
+/*
+ * DELETE /api/boards/:id
+ * Moves a board and all associated tasks to the trash. Only owner can delete.
+ */
+app.delete('/api/boards/:id', async (req, res) => {
+  const boardId = req.params.id;
+  const userId = req.user.id;
+  const board = await store.get('boards', boardId);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  if (!can(board, userId, 'manageBoard')) return res.status(403).json({ message: 'Only the owner can delete this board.' });
+  const tasks = await store.find('tasks', { boardId });
+  await store.remove('tasks', { boardId });
+  await store.remove('boards', { id: boardId });
+  await moveToTrash('board', board, userId, tasks);
+  await logBoard('deleted', userId, board, null);
+  publish(req, [board], 'boardRemoved', { boardId });
+  for (const task of tasks) await publishDependencies(req, task);
+  res.json({ message: 'Board moved to the trash.' });
+});
+
+/*
+ * GET /api/trash
+ * Lists deleted tasks and boards the caller can see: tasks from boards they
+ * are a member of and boards they were a member of, newest first. Each entry
+ * says who deleted it, when, when it will be purged, and whether the caller
+ * may restore it.
+ */
+app.get('/api/trash', async (req, res) => {
+  const entries = (await store.find('trash'))
+    .sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt));
+  const visible = [];
+  for (const entry of entries) {
+    const board = await trashEntryBoard(entry);
+    if (isBoardMember(board, req.user.id)) visible.push(await publicTrashEntry(entry, board, req.user.id));
+  }
+  res.json(visible);
+});
+
+/*
+ * POST /api/trash/:id/restore
+ * Restores a deleted task to the end of its board, or a deleted board with
+ * its tasks. Restoring a task needs edit rights on its board, which must not
+ * itself be in the trash; restoring a board needs the owner. Blockers that
+ * would now close a cycle are dropped from restored tasks. A restored task
+ * whose column was deleted goes to the first one, and loses labels the board
+ * no longer has and assignees who are no longer members. Returns the
+ * restored task, or the board and its tasks.
+ */
+app.post('/api/trash/:id/restore', async (req, res) => {
+  const entry = await store.get('trash', req.params.id);
+  if (!entry) return res.status(404).json({ message: 'Item not found in the trash.' });
+  const board = await trashEntryBoard(entry);
+  if (!isBoardMember(board, req.user.id)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  if (entry.type === 'board') {
+    if (!can(board, req.user.id, 'manageBoard')) {
+      return res.status(403).json({ message: 'Only the owner can restore this board.' });
+    }
+    await store.insert('boards', entry.record);
+    for (const task of entry.tasks || []) {
+      task.blockedBy = await restoredBlockers(task);
+      await store.insert('tasks', task);
+    }
+    await store.remove('trash', { id: entry.id });
+    await logBoard('restored', req.user.id, null, entry.record);
+    publish(req, [entry.record], 'board', { board: entry.record });
+    await publishBoardTasks(req, entry.record);
+    for (const task of entry.tasks || []) await publishDependencies(req, task);
+    return res.json({ board: entry.record, tasks: entry.tasks || [] });
+  }
+  if (!(await store.get('boards', entry.boardId))) {
+    return res.status(409).json({ message: 'The board of this task is in the trash. Restore the board first.' });
+  }
+  if (!can(board, req.user.id, 'editTasks')) {
+    return res.status(403).json({ message: 'Your role on this board does not allow restoring tasks.' });
+  }
+  await store.insert('tasks', Object.assign({}, entry.record, restoredFields(entry.record, board), {
+    blockedBy: await restoredBlockers(entry.record)
+  }));
+  await store.remove('trash', { id: entry.id });
+  await positionTask(entry.boardId, entry.record.id);
+  const restored = await store.get('tasks', entry.record.id);
+  await logTask('restored', req.user.id, null, restored);
+  publish(req, [board], 'task', { task: restored });
+  await publishDependencies(req, restored);
+  res.json(restored);
+});
+
+/*
+ * DELETE /api/trash/:id
+ * Purges a trash entry for good. Needs the same rights as restoring it.
+ */
+app.delete('/api/trash/:id', async (req, res) => {
+  const entry = await store.get('trash', req.params.id);
+  if (!entry) return res.status(404).json({ message: 'Item not found in the trash.' });
+  const board = await trashEntryBoard(entry);
+  if (!isBoardMember(board, req.user.id)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  if (!can(board, req.user.id, trashPermission(entry))) {
+    return res.status(403).json({ message: 'Your role on this board does not allow deleting this item.' });
+  }
+  await purgeEntry(entry);
+  if (entry.type === 'board') await logBoard('purged', req.user.id, entry.record, null);
+  else await logTask('purged', req.user.id, entry.record, null);
+  res.json({ message: 'Deleted permanently.' });
+});
+
+/*
+ * PUT /api/boards/:id/statuses
+ * Body: { statuses: [{ id, name, done }] }
+ * Replaces the board's status columns, in order. Statuses without an id get
+ * a new one; `done` marks columns whose tasks count as completed. Tasks whose
+ * status was removed move to the first column. Only the owner can do this.
+ */
+app.put('/api/boards/:id/statuses', async (req, res) => {
+  const board = await store.get('boards', req.params.id);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  if (!can(board, req.user.id, 'manageBoard')) {
+    return res.status(403).json({ message: 'Only the owner can change the columns of this board.' });
+  }
+  const input = (req.body || {}).statuses;
+  const statuses = Array.isArray(input)
+    ? input.map(s => ({
+      id: (s && s.id) || createId('status'),
+      name: s && typeof s.name === 'string' ? s.name.trim() : '',
+      done: !!(s && s.done)
+    }))
+    : input;
+  const error = validateStatuses(statuses);
+  if (error) return res.status(400).json({ message: error });
+  const updated = await store.update('boards', board.id, { statuses });
+  await logBoard('updated', req.user.id, board, updated);
+  const tasks = await store.find('tasks', { boardId: board.id });
+  for (const task of tasks) {
+    if (!isValidStatus(updated, task.status)) {
+      const { task: moved } = await saveTask(task.id, { status: statuses[0].id });
+      await logTask('updated', req.user.id, task, moved);
+    }
+  }
+  publish(req, [updated], 'board', { board: updated });
+  await publishBoardTasks(req, updated);
+  res.json(updated);
+});
+
+/*
+ * GET /api/boards/:id/labels
+ * Lists the labels of a board. Any member may call this.
+ */
+app.get('/api/boards/:id/labels', async (req, res) => {
+  const board = await store.get('boards', req.params.id);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  if (!isBoardMember(board, req.user.id)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  res.json(boardLabels(board));
+});
+
+/*
+ * POST /api/boards/:id/labels
+ * Body: { name, color }
+ * Adds a label to a board. `color` is a hex colour such as #4A90E2 and
+ * defaults to the palette colour the board's labels use least. Editors and
+ * the owner can manage labels. Returns the updated board.
+ */
+app.post('/api/boards/:id/labels', async (req, res) => {
+  const board = await labelBoard(req, res);
+  if (!board) return;
+  const labels = boardLabels(board);
+  const { name = '', color = nextBoardColor(labels) } = req.body || {};
+  const error = validateLabel({ name, color }, board);
+  if (error) return res.status(400).json({ message: error });
+  const label = { id: createId('label'), name: name.trim(), color };
+  res.json(await saveLabels(req, board, labels.concat(label)));
+});
+
+/*
+ * PATCH /api/boards/:id/labels/:labelId
+ * Body: { name, color }
+ * Renames or recolours a label. Returns the updated board.
+ */
+app.patch('/api/boards/:id/labels/:labelId', async (req, res) => {
+  const board = await labelBoard(req, res);
+  if (!board) return;
+  const labels = boardLabels(board);
+  const label = labels.find(l => l.id === req.params.labelId);
+  if (!label) return res.status(404).json({ message: 'Label not found.' });
+  const updates = req.body || {};
+  const changes = {};
+  if ('name' in updates) changes.name = updates.name;
+  if ('color' in updates) changes.color = updates.color;
+  const error = validateLabel(changes, board, label.id);
+  if (error) return res.status(400).json({ message: error });
+  if ('name' in changes) changes.name = changes.name.trim();
+  res.json(await saveLabels(req, board, labels.map(l => (l.id === label.id ? Object.assign({}, l, changes) : l))));
+});
+
+/*
+ * DELETE /api/boards/:id/labels/:labelId
+ * Deletes a label and takes it off every task of the board. Returns the
+ * updated board.
+ */
+app.delete('/api/boards/:id/labels/:labelId', async (req, res) => {
+  const board = await labelBoard(req, res);
+  if (!board) return;
+  const labelId = req.params.labelId;
+  const labels = boardLabels(board);
+  if (!labels.some(l => l.id === labelId)) return res.status(404).json({ message: 'Label not found.' });
+  const updated = await saveLabels(req, board, labels.filter(l => l.id !== labelId));
+  const tasks = await store.find('tasks', { boardId: board.id });
+  for (const task of tasks) {
+    if (!(task.labelIds || []).includes(labelId)) continue;
+    const { task: saved, previous } = await saveTask(task.id, current =>
+      ({ labelIds: (current.labelIds || []).filter(id => id !== labelId) }));
+    if (saved) await logTask('updated', req.user.id, previous, saved);
+  }
+  await publishBoardTasks(req, updated);
+  res.json(updated);
+});
+
+/*
+ * POST /api/boards/:id/move
+ * Body: { beforeId }
+ * Moves the board in the caller's own board order, in front of the board
+ * beforeId or to the end when beforeId is null. Other members' order is not
+ * affected. Returns the caller's boards in their new order.
+ */
+app.post('/api/boards/:id/move', async (req, res) => {
+  const userId = req.user.id;
+  const { beforeId = null } = req.body || {};
+  if (beforeId !== null && typeof beforeId !== 'string') {
+    return res.status(400).json({ message: 'beforeId must be a board id or null.' });
+  }
+  const board = await store.get('boards', req.params.id);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  if (!isBoardMember(board, userId)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  const ordered = await withLock('boards', async () => {
+    const list = reorder(await findBoardsForUser(userId), board, beforeId);
+    for (const [position, b] of list.entries()) {
+      if (boardPosition(userId)(b) !== position) {
+        await store.update('boards', b.id, { positions: Object.assign({}, b.positions, { [userId]: position }) });
+      }
+    }
+    return findBoardsForUser(userId);
+  });
+  res.json(ordered);
+});
+
+/*
+ * GET /api/boards/:id/activity
+ * Query: limit (default 100, at most 500)
+ * Lists changes to a board, its members, invitations and tasks, newest first.
+ * Each entry names the actor and has a field-level before/after diff (see
+ * activity.js). Any member may call this.
+ */
+app.get('/api/boards/:id/activity', async (req, res) => {
+  const board = await store.get('boards', req.params.id);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  if (!isBoardMember(board, req.user.id)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  res.json(await withActorNames(await activity.forBoard(board.id, activityLimit(req.query))));
+});
+
+/*
+ * GET /api/boards/:id/members
+ * Lists the members of a board with their roles. Any member may call this.
+ */
+app.get('/api/boards/:id/members', async (req, res) => {
+  const board = await store.get('boards', req.params.id);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  if (!isBoardMember(board, req.user.id)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  const members = [];
+  for (const userId of board.members || []) {
+    const user = await store.get('users', userId);
+    if (user) {
+      const role = boardRole(board, user.id);
+      members.push({ id: user.id, name: user.name, email: user.email, role, isOwner: role === 'owner' });
+    }
+  }
+  res.json(members);
+});
+
+/*
+ * DELETE /api/boards/:id/members/:userId
+ * Removes a member from a board. The owner may remove any other member;
+ * members may remove themselves (leave the board). The owner must transfer
+ * ownership before leaving. Tasks on the board assigned to the removed user
+ * become unassigned.
+ */
+app.delete('/api/boards/:id/members/:userId', async (req, res) => {
+  const board = await store.get('boards', req.params.id);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  const memberId = req.params.userId;
+  const isSelf = memberId === req.user.id;
+  if (!isBoardMember(board, req.user.id)) {
+    return res.status(403).json({ message: 'You are not a member of this board.' });
+  }
+  if (!isSelf && !can(board, req.user.id, 'manageMembers')) {
+    return res.status(403).json({ message: 'Only the owner can remove members.' });
+  }
+  if (memberId === board.ownerId) {
+    return res.status(400).json({ message: 'Transfer ownership before leaving the board.' });
+  }
+  if (!(board.members || []).includes(memberId)) {
+    return res.status(404).json({ message: 'User is not a member of this board.' });
+  }
+  const updated = await store.update('boards', board.id, {
+    members: board.members.filter(id => id !== memberId),
+    roles: withRole(board, memberId, null)
+  });
+  await logMember(isSelf ? 'left' : 'removed', req.user.id, board.id, memberId, { role: boardRole(board, memberId) }, {});
+  await unassignTasks(board, memberId, req.user.id);
+  hub.send([memberId], 'boardRemoved', { boardId: board.id }, req.get('X-Client-Id'));
+  publish(req, [updated], 'board', { board: updated });
+  await publishBoardTasks(req, updated);
+  publishPresence(updated);
+  res.json({ message: isSelf ? 'You left the board.' : 'Member removed.' });
+});
+
+/*
+ * PATCH /api/boards/:id/members/:userId
+ * Body: { role }
+ * Changes a member's role (editor, commenter or viewer). Only the owner can
+ * do this; the owner's own role changes only through a transfer.
+ */
+app.patch('/api/boards/:id/members/:userId', async (req, res) => {
+  const { role } = req.body || {};
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    return res.status(400).json({ message: `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}.` });
+  }
+  const board = await store.get('boards', req.params.id);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  if (!can(board, req.user.id, 'manageMembers')) {
+    return res.status(403).json({ message: 'Only the owner can change member roles.' });
+  }
+  const memberId = req.params.userId;
+  if (memberId === board.ownerId) {
+    return res.status(400).json({ message: 'Transfer ownership to change the owner\'s role.' });
+  }
+  if (!(board.members || []).includes(memberId)) {
+    return res.status(404).json({ message: 'User is not a member of this board.' });
+  }
+  const updated = await store.update('boards', board.id, { roles: withRole(board, memberId, role) });
+  await logMember('updated', req.user.id, board.id, memberId, { role: boardRole(board, memberId) }, { role });
+  publish(req, [updated], 'board', { board: updated });
+  res.json(updated);
+});
+
+/*
+ * POST /api/boards/:id/transfer
+ * Body: { userId }
+ * Transfers ownership of a board to another member. Only the owner can do
+ * this; the previous owner stays on the board as an editor.
+ */
+app.post('/api/boards/:id/transfer', async (req, res) => {
+  const { userId } = req.body || {};
+  if (!userId) return res.status(400).json({ message: 'userId is required.' });
+  const board = await store.get('boards', req.params.id);
+  if (!board) return res.status(404).json({ message: 'Board not found.' });
+  if (!can(board, req.user.id, 'manageMembers')) {
+    return res.status(403).json({ message: 'Only the owner can transfer this board.' });
+  }
+  if (!(board.members || []).includes(userId)) {
+    return res.status(400).json({ message: 'The new owner must be a member of this board.' });
+  }
+  const roles = Object.assign({}, board.roles, { [board.ownerId]: 'editor' });
+  delete roles[userId];
+  const updated = await store.update('boards', board.id, { ownerId: userId, roles });
+  await logBoard('updated', req.user.id, board, updated);
+  publish(req, [updated], 'board', { board: updated });
+  res.json(updated);
+});
+
+// Start the server
+// Serve the client pages from this directory. This allows the client HTML/JS
+// to be loaded from the same origin as the API, avoiding CORS issues when the
+// user navigates to http://localhost:PORT/login.html or dashboard.html. Only
+// the pages and the scripts and styles they load are served: the data files
+// (data.json, data.sqlite) and the server's own code live here too.
+const path = require('path');
+const CLIENT_PAGES = ['index.html', 'login.html', 'register.html', 'dashboard.html'];
+const CLIENT_FILES = new Set(CLIENT_PAGES);
+CLIENT_PAGES.forEach(page => {
+  const html = fs.readFileSync(path.join(__dirname, page), 'utf8');
+  for (const [, file] of html.matchAll(/(?:src|href)="([\w.-]+\.(?:js|css))"/g)) CLIENT_FILES.add(file);
+});
+const serveClient = express.static(__dirname);
+app.use((req, res, next) => {
+  const file = req.path.slice(1) || 'index.html';
+  if (!CLIENT_FILES.has(file)) return next();
+  serveClient(req, res, next);
+});
+
+// Answer requests whose handler failed: 500 for errors of the server's own,
+// and the status of errors that carry one (a malformed JSON body is a 400)
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error(`Failed to handle ${req.method} ${req.path}:`, err.message);
+  if (res.headersSent) return next(err);
+  res.status(status).json({ message: status >= 500 ? 'Something went wrong. Please try again.' : err.message });
+});
+
+// Run a background job now and then every intervalMs. Failures are logged
+// as "Failed to <description>" and never stop the server; the first run
+// resolves once the job has finished either way.
+function startJob(description, job, intervalMs) {
+  const run = () => job().catch(err => console.error(`Failed to ${description}:`, err.message));
+  setInterval(run, intervalMs).unref();
+  return run();
+}
+
+store.init().then(async () => {
+  // Purge expired trash, look for tasks coming due and create the next
+  // instances of recurring tasks past their due date, now and then hourly
+  await startJob('purge trash', purgeTrash, 60 * 60 * 1000);
+  await startJob('check due dates', () => notifier.checkDueDates(), 60 * 60 * 1000);
+  await startJob('create recurring tasks', () => recurDueTasks(), 60 * 60 * 1000);
+  // Send due email digests and reminders now and then every few minutes
+  await startJob('send scheduled emails', () => scheduler.run(), SCHEDULER_INTERVAL_MS);
+  app.listen(PORT, () => {
+    console.log(`AL&MO TASKS backend listening on port ${PORT} (${store.backend} storage)`);
+  });
+}).catch(err => {
+  console.error('Failed to open storage:', err.message);
+  process.exit(1);
 });
\ No newline at end of file
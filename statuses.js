@@ -0,0 +1,142 @@
+/*
+ * Task status workflow for AL&MO TASKS.
+ *
+ * Each board has an ordered list of statuses (`board.statuses`), rendered as
+ * Kanban columns. A status is `{ id, name, done }`; tasks in a status marked
+ * `done` count as completed. Boards without a list use DEFAULT_STATUSES, and
+ * tasks without a valid status sit in the board's first column.
+ *
+ * Shared by the server (require('./statuses')) and both front‑ends
+ * (window.AlmoStatuses).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AlmoStatuses = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_STATUSES = [
+        { id: 'todo', name: 'To Do', done: false },
+        { id: 'in-progress', name: 'In Progress', done: false },
+        { id: 'done', name: 'Done', done: true }
+    ];
+
+    /**
+     * The statuses configured for a board, falling back to the defaults.
+     *
+     * @param {Object} board
+     * @returns {Array<{id: string, name: string, done: boolean}>}
+     */
+    function boardStatuses(board) {
+        return board && Array.isArray(board.statuses) && board.statuses.length
+            ? board.statuses
+            : DEFAULT_STATUSES;
+    }
+
+    /**
+     * Whether a status id is valid on a board.
+     *
+     * @param {Object} board
+     * @param {string} statusId
+     * @returns {boolean}
+     */
+    function isValidStatus(board, statusId) {
+        return boardStatuses(board).some(s => s.id === statusId);
+    }
+
+    /**
+     * The status id a task is shown under on its board: its own status when
+     * that exists on the board, otherwise the board's first status.
+     *
+     * @param {Object} board
+     * @param {Object} task
+     * @returns {string}
+     */
+    function taskStatus(board, task) {
+        return isValidStatus(board, task.status) ? task.status : boardStatuses(board)[0].id;
+    }
+
+    /**
+     * Whether a task is in one of its board's done statuses.
+     *
+     * @param {Object} board
+     * @param {Object} task
+     * @returns {boolean}
+     */
+    function isTaskDone(board, task) {
+        const id = taskStatus(board, task);
+        return boardStatuses(board).some(s => s.id === id && s.done);
+    }
+
+    /**
+     * The status a task goes to when it is completed: the board's first
+     * done status, or its last column if none is marked done.
+     *
+     * @param {Object} board
+     * @returns {{id: string, name: string, done: boolean}}
+     */
+    function doneStatus(board) {
+        const statuses = boardStatuses(board);
+        return statuses.find(s => s.done) || statuses[statuses.length - 1];
+    }
+
+    /**
+     * Check a proposed status list. Returns an error message, or null when
+     * the list is usable: a non-empty array of statuses with unique ids and
+     * non-empty names.
+     *
+     * @param {*} statuses
+     * @returns {string|null}
+     */
+    function validateStatuses(statuses) {
+        if (!Array.isArray(statuses) || statuses.length === 0) {
+            return 'A board needs at least one status.';
+        }
+        const ids = new Set();
+        for (const status of statuses) {
+            if (!status || typeof status.id !== 'string' || !status.id) return 'Every status needs an id.';
+            if (typeof status.name !== 'string' || !status.name.trim()) return 'Every status needs a name.';
+            if (ids.has(status.id)) return `Duplicate status id "${status.id}".`;
+            ids.add(status.id);
+        }
+        return null;
+    }
+
+    /**
+     * Build a status list from column names typed by the user, e.g. from
+     * "To Do, Review, Done". Names matching an existing status (ignoring
+     * case) keep its id so tasks stay in place; repeated names are dropped
+     * and the last column is the done column.
+     *
+     * @param {string[]} names Column names in order.
+     * @param {Array<Object>} existing The board's current statuses.
+     * @param {function(string): string} makeId Id generator for new statuses.
+     * @returns {Array<{id: string, name: string, done: boolean}>}
+     */
+    function statusesFromNames(names, existing, makeId) {
+        const seen = new Set();
+        const cleaned = names.map(n => n.trim()).filter(name => {
+            const key = name.toLowerCase();
+            if (!name || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        return cleaned.map((name, idx) => {
+            const match = (existing || []).find(s => s.name.toLowerCase() === name.toLowerCase());
+            return { id: match ? match.id : makeId('status'), name, done: idx === cleaned.length - 1 };
+        });
+    }
+
+    return {
+        DEFAULT_STATUSES,
+        boardStatuses,
+        isValidStatus,
+        taskStatus,
+        isTaskDone,
+        doneStatus,
+        validateStatuses,
+        statusesFromNames
+    };
+});
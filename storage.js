@@ -0,0 +1,432 @@
+/*
+ * Storage layer for AL&MO TASKS
+ *
+ * The server talks to persistence through a small collection API instead of
+ * reading and rewriting the whole database on every request:
+ *
+ *   get(collection, id)            -> record or null
+ *   find(collection, query)        -> array of records
+ *   findOne(collection, query)     -> record or null
+ *   insert(collection, record)     -> inserted record
+ *   update(collection, id, fields) -> updated record or null
+ *   remove(collection, query)      -> number of records removed
+ *
+ * A query is a plain object of field/value pairs that must all match. When
+ * the stored field is an array (e.g. board.members) the query matches if the
+ * array contains the value. Ids and the values of indexed fields are strings
+ * (or numbers); a query for any other value, such as an object from a
+ * malformed request, matches nothing. Every method returns copies, so
+ * callers must go through update() to change a record.
+ *
+ * Two backends implement this API:
+ *
+ *   - json:   the original data.json file, held in memory and rewritten
+ *             atomically (write to a temp file, then rename) after each change.
+ *   - sqlite: an embedded SQLite database (better-sqlite3) with one table per
+ *             collection, indexed columns for common lookups, and side tables
+ *             for task items and board members.
+ *
+ * Choose the backend with STORAGE=json|sqlite (default json). DATA_FILE and
+ * SQLITE_FILE override the default file locations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { repairDuplicateIds } = require('./ids');
+
+/*
+ * Collections known to the store. `prefix` is the id prefix used when a
+ * duplicate id has to be replaced. `indexes` are the fields the SQLite backend
+ * keeps in real, indexed columns. `lists` are array fields mirrored into a side
+ * table so "array contains" queries are indexed. `children` are arrays of
+ * sub-records stored in their own table, keyed by parent id and position.
+ */
+const SCHEMA = {
+  users: { prefix: 'user', indexes: ['email'] },
+  sessions: { indexes: ['userId'] },
+  boards: { prefix: 'board', indexes: ['ownerId'], lists: { members: 'board_members' } },
+  tasks: { prefix: 'task', indexes: ['boardId', 'userId'], children: { items: 'items' } },
+  invites: { prefix: 'invite', indexes: ['boardId', 'email', 'inviterId', 'tokenHash'] },
+  trash: { prefix: 'trash', indexes: ['boardId'] },
+  activity: { prefix: 'activity', indexes: ['boardId', 'taskId'] },
+  comments: { prefix: 'comment', indexes: ['taskId', 'authorId'] },
+  mentions: { prefix: 'mention', indexes: ['userId', 'commentId', 'taskId'] },
+  notifications: { prefix: 'notification', indexes: ['userId'] },
+  reminders: { prefix: 'reminder', indexes: ['taskId'] }
+};
+
+// Prefixes for ids of child records, keyed by child field
+const CHILD_PREFIXES = { items: 'item' };
+
+function emptyData() {
+  const data = {};
+  Object.keys(SCHEMA).forEach(name => { data[name] = []; });
+  return data;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function assertCollection(name) {
+  if (!SCHEMA[name]) throw new Error(`Unknown collection "${name}"`);
+}
+
+/*
+ * Older versions generated ids from Date.now(), so records created in the same
+ * millisecond could share an id. Replace every repeated id (the first record
+ * keeps it) and report what changed. Returns true if anything was repaired.
+ */
+function repairData(data) {
+  let repaired = false;
+  Object.keys(SCHEMA).forEach(name => {
+    const def = SCHEMA[name];
+    const records = data[name] || [];
+    if (def.prefix) {
+      repairDuplicateIds(records, def.prefix).forEach(change => {
+        console.warn(`Repaired duplicate ${name} id ${change.from} -> ${change.to}`);
+        repaired = true;
+      });
+    }
+    Object.keys(def.children || {}).forEach(field => {
+      records.forEach(record => {
+        repairDuplicateIds(record[field] || [], CHILD_PREFIXES[field] || field).forEach(change => {
+          console.warn(`Repaired duplicate ${field} id ${change.from} -> ${change.to} in ${record.id}`);
+          repaired = true;
+        });
+      });
+    });
+  });
+  return repaired;
+}
+
+// Whether a value can be looked up as an id or indexed field
+function isKey(value) {
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+function matches(record, query) {
+  return Object.keys(query).every(key => {
+    const value = record[key];
+    return Array.isArray(value) ? value.includes(query[key]) : value === query[key];
+  });
+}
+
+/*
+ * JSON file backend. The whole dataset is loaded once at startup, when
+ * duplicate ids are also repaired; writes are queued so only one rewrite of
+ * the file is in flight at a time.
+ */
+function createJsonStore(file) {
+  let data = null;
+  let writing = Promise.resolve();
+
+  function persist() {
+    const snapshot = JSON.stringify(data, null, 2);
+    const tmp = file + '.tmp';
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, file);
+      });
+    return writing;
+  }
+
+  function rows(name) {
+    assertCollection(name);
+    if (!data[name]) data[name] = [];
+    return data[name];
+  }
+
+  return {
+    backend: 'json',
+
+    async init() {
+      data = emptyData();
+      try {
+        Object.assign(data, JSON.parse(await fs.promises.readFile(file, 'utf8')));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      if (repairData(data)) await persist();
+    },
+
+    async get(name, id) {
+      return clone(rows(name).find(r => r.id === id)) || null;
+    },
+
+    async find(name, query = {}) {
+      return clone(rows(name).filter(r => matches(r, query)));
+    },
+
+    async findOne(name, query = {}) {
+      return clone(rows(name).find(r => matches(r, query))) || null;
+    },
+
+    async insert(name, record) {
+      rows(name).push(clone(record));
+      await persist();
+      return clone(record);
+    },
+
+    async update(name, id, fields) {
+      const record = rows(name).find(r => r.id === id);
+      if (!record) return null;
+      Object.assign(record, clone(fields));
+      await persist();
+      return clone(record);
+    },
+
+    async remove(name, query = {}) {
+      const before = rows(name).length;
+      data[name] = rows(name).filter(r => !matches(r, query));
+      const removed = before - data[name].length;
+      if (removed) await persist();
+      return removed;
+    },
+
+    async importData(source) {
+      Object.keys(SCHEMA).forEach(name => {
+        data[name] = clone(source[name] || []);
+      });
+      await persist();
+    },
+
+    async close() {
+      await writing;
+    }
+  };
+}
+
+/*
+ * SQLite backend. Each collection gets a table with an `id` primary key, one
+ * column per indexed field and a `data` column holding the record as JSON.
+ * Every write runs inside a transaction. Duplicate ids are repaired when the
+ * database is opened, as for the JSON backend.
+ */
+function createSqliteStore(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('STORAGE=sqlite requires the "better-sqlite3" package. Run `npm install better-sqlite3`.');
+  }
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  // Convert camelCase field names to snake_case column names
+  const column = field => field.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+
+  Object.keys(SCHEMA).forEach(name => {
+    const def = SCHEMA[name];
+    const cols = (def.indexes || []).map(f => `, ${column(f)} TEXT`).join('');
+    db.exec(`CREATE TABLE IF NOT EXISTS ${name} (id TEXT PRIMARY KEY${cols}, data TEXT NOT NULL)`);
+    // Tables created by an older schema get any new indexed columns added
+    // and filled in from the stored JSON
+    const existing = db.prepare(`PRAGMA table_info(${name})`).all().map(c => c.name);
+    (def.indexes || []).forEach(f => {
+      if (!existing.includes(column(f))) {
+        db.exec(`ALTER TABLE ${name} ADD COLUMN ${column(f)} TEXT`);
+        db.prepare(`UPDATE ${name} SET ${column(f)} = json_extract(data, ?)`).run('$.' + f);
+      }
+    });
+    (def.indexes || []).forEach(f => {
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_${name}_${column(f)} ON ${name} (${column(f)})`);
+    });
+    Object.values(def.lists || {}).forEach(table => {
+      db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+        owner_id TEXT NOT NULL REFERENCES ${name}(id) ON DELETE CASCADE,
+        value TEXT NOT NULL,
+        PRIMARY KEY (owner_id, value))`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_value ON ${table} (value)`);
+    });
+    Object.values(def.children || {}).forEach(table => {
+      db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+        parent_id TEXT NOT NULL REFERENCES ${name}(id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (parent_id, id))`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_parent ON ${table} (parent_id, position)`);
+    });
+  });
+
+  const statements = {};
+  function stmt(sql) {
+    if (!statements[sql]) statements[sql] = db.prepare(sql);
+    return statements[sql];
+  }
+
+  // Build a record from its row, re-attaching child arrays
+  function hydrate(name, row) {
+    const record = JSON.parse(row.data);
+    Object.keys(SCHEMA[name].children || {}).forEach(field => {
+      const table = SCHEMA[name].children[field];
+      record[field] = stmt(`SELECT data FROM ${table} WHERE parent_id = ? ORDER BY position`)
+        .all(record.id)
+        .map(r => JSON.parse(r.data));
+    });
+    return record;
+  }
+
+  // Split a query into SQL conditions on indexed columns/lists and the
+  // remainder, which is matched in JavaScript. SQLite cannot bind other
+  // values than keys, and they never match a stored one anyway.
+  function select(name, query) {
+    const def = SCHEMA[name];
+    const where = [];
+    const params = [];
+    const rest = {};
+    const sqlKeys = Object.keys(query)
+      .filter(key => key === 'id' || (def.indexes || []).includes(key) || (def.lists && def.lists[key]));
+    if (!sqlKeys.every(key => isKey(query[key]))) return [];
+    Object.keys(query).forEach(key => {
+      if (key === 'id') {
+        where.push('id = ?');
+        params.push(query[key]);
+      } else if ((def.indexes || []).includes(key)) {
+        where.push(`${column(key)} = ?`);
+        params.push(query[key]);
+      } else if (def.lists && def.lists[key]) {
+        where.push(`id IN (SELECT owner_id FROM ${def.lists[key]} WHERE value = ?)`);
+        params.push(query[key]);
+      } else {
+        rest[key] = query[key];
+      }
+    });
+    const sql = `SELECT * FROM ${name}` + (where.length ? ' WHERE ' + where.join(' AND ') : '') + ' ORDER BY rowid';
+    return stmt(sql).all(...params)
+      .map(row => hydrate(name, row))
+      .filter(record => matches(record, rest));
+  }
+
+  function write(name, record) {
+    const def = SCHEMA[name];
+    const stored = Object.assign({}, record);
+    Object.keys(def.children || {}).forEach(field => { delete stored[field]; });
+    const fields = def.indexes || [];
+    const cols = ['id'].concat(fields.map(column), ['data']);
+    const values = [record.id].concat(
+      fields.map(f => (record[f] === undefined || record[f] === null ? null : String(record[f]))),
+      [JSON.stringify(stored)]
+    );
+    const exists = stmt(`SELECT 1 FROM ${name} WHERE id = ?`).get(record.id);
+    if (exists) {
+      const assignments = cols.slice(1).map(c => `${c} = ?`).join(', ');
+      stmt(`UPDATE ${name} SET ${assignments} WHERE id = ?`).run(...values.slice(1), record.id);
+    } else {
+      stmt(`INSERT INTO ${name} (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`).run(...values);
+    }
+    Object.keys(def.lists || {}).forEach(field => {
+      const table = def.lists[field];
+      stmt(`DELETE FROM ${table} WHERE owner_id = ?`).run(record.id);
+      new Set(record[field] || []).forEach(value => {
+        stmt(`INSERT INTO ${table} (owner_id, value) VALUES (?, ?)`).run(record.id, String(value));
+      });
+    });
+    Object.keys(def.children || {}).forEach(field => {
+      const table = def.children[field];
+      stmt(`DELETE FROM ${table} WHERE parent_id = ?`).run(record.id);
+      (record[field] || []).forEach((child, position) => {
+        stmt(`INSERT INTO ${table} (parent_id, id, position, data) VALUES (?, ?, ?, ?)`)
+          .run(record.id, String(child.id), position, JSON.stringify(child));
+      });
+    });
+  }
+
+  const insertTx = db.transaction((name, record) => write(name, record));
+  const updateTx = db.transaction((name, id, fields) => {
+    if (!isKey(id)) return null;
+    const row = stmt(`SELECT * FROM ${name} WHERE id = ?`).get(id);
+    if (!row) return null;
+    const record = Object.assign(hydrate(name, row), fields);
+    write(name, record);
+    return record;
+  });
+  const removeTx = db.transaction((name, query) => {
+    const ids = select(name, query).map(r => r.id);
+    ids.forEach(id => stmt(`DELETE FROM ${name} WHERE id = ?`).run(id));
+    return ids.length;
+  });
+  // The primary keys make duplicate ids impossible inside SQLite itself: a
+  // write with two children sharing an id fails rather than dropping one.
+  // Imported data is repaired first, as is the database when it is opened
+  const importTx = db.transaction(source => {
+    Object.keys(SCHEMA).forEach(name => {
+      db.exec(`DELETE FROM ${name}`);
+      (source[name] || []).forEach(record => write(name, record));
+    });
+  });
+
+  return {
+    backend: 'sqlite',
+
+    async init() {
+      const data = emptyData();
+      Object.keys(SCHEMA).forEach(name => { data[name] = select(name, {}); });
+      if (repairData(data)) importTx(data);
+    },
+
+    async get(name, id) {
+      assertCollection(name);
+      if (!isKey(id)) return null;
+      const row = stmt(`SELECT * FROM ${name} WHERE id = ?`).get(id);
+      return row ? hydrate(name, row) : null;
+    },
+
+    async find(name, query = {}) {
+      assertCollection(name);
+      return select(name, query);
+    },
+
+    async findOne(name, query = {}) {
+      assertCollection(name);
+      return select(name, query)[0] || null;
+    },
+
+    async insert(name, record) {
+      assertCollection(name);
+      insertTx(name, clone(record));
+      return clone(record);
+    },
+
+    async update(name, id, fields) {
+      assertCollection(name);
+      return updateTx(name, id, clone(fields));
+    },
+
+    async remove(name, query = {}) {
+      assertCollection(name);
+      return removeTx(name, query);
+    },
+
+    async importData(source) {
+      const data = clone(source);
+      repairData(data);
+      importTx(data);
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+/*
+ * Create the store selected by the environment (or by explicit options).
+ * Call init() on the result before use.
+ */
+function createStore(options = {}) {
+  const backend = options.backend || process.env.STORAGE || 'json';
+  if (backend === 'sqlite') {
+    return createSqliteStore(options.file || process.env.SQLITE_FILE || path.join(__dirname, 'data.sqlite'));
+  }
+  if (backend === 'json') {
+    return createJsonStore(options.file || process.env.DATA_FILE || path.join(__dirname, 'data.json'));
+  }
+  throw new Error(`Unknown STORAGE backend "${backend}"`);
+}
+
+module.exports = { createStore, SCHEMA };
@@ -0,0 +1,141 @@
+/*
+ * Task priority and estimate for AL&MO TASKS.
+ *
+ * A task's `priority` is one of PRIORITIES ('' when it has none) and its
+ * `estimate` a non-negative number (hours or points, as the team prefers),
+ * or null when it has none. Boards can be shown in manual order or sorted
+ * by one of these fields (see SORT_MODES).
+ *
+ * Shared by the server (require('./triage')) and both front‑ends
+ * (window.AlmoTriage, after ordering.js and dates.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ordering'), require('./dates'));
+    } else {
+        root.AlmoTriage = factory(root.AlmoOrder, root.AlmoDates);
+    }
+})(typeof self !== 'undefined' ? self : this, function (order, dates) {
+    /**
+     * Priorities from most to least urgent.
+     */
+    const PRIORITIES = [
+        { id: 'urgent', name: 'Urgent' },
+        { id: 'high', name: 'High' },
+        { id: 'medium', name: 'Medium' },
+        { id: 'low', name: 'Low' }
+    ];
+
+    /**
+     * How a board's tasks can be ordered within each column.
+     */
+    const SORT_MODES = [
+        { id: 'manual', name: 'Manual' },
+        { id: 'dueDate', name: 'Due date' },
+        { id: 'priority', name: 'Priority' },
+        { id: 'estimate', name: 'Estimate' }
+    ];
+
+    /**
+     * The display name of a priority, or '' for none.
+     *
+     * @param {string} priority
+     * @returns {string}
+     */
+    function priorityName(priority) {
+        const found = PRIORITIES.find(p => p.id === priority);
+        return found ? found.name : '';
+    }
+
+    /**
+     * Check a priority sent by a client. Returns an error message, or null
+     * when it is usable.
+     *
+     * @param {*} priority
+     * @returns {string|null}
+     */
+    function validatePriority(priority) {
+        if (priority === '' || PRIORITIES.some(p => p.id === priority)) return null;
+        return `priority must be one of: ${PRIORITIES.map(p => p.id).join(', ')}, or empty for none.`;
+    }
+
+    /**
+     * Check an estimate sent by a client. Returns an error message, or null
+     * when it is usable.
+     *
+     * @param {*} estimate
+     * @returns {string|null}
+     */
+    function validateEstimate(estimate) {
+        if (estimate === null || (typeof estimate === 'number' && isFinite(estimate) && estimate >= 0)) return null;
+        return 'estimate must be a number of at least 0, or null for none.';
+    }
+
+    /**
+     * The value of an estimate field in a form: its number, or null when
+     * it is blank or not a number.
+     *
+     * @param {string} value
+     * @returns {?number}
+     */
+    function parseEstimate(value) {
+        const number = parseFloat(value);
+        return String(value).trim() && isFinite(number) ? number : null;
+    }
+
+    /**
+     * The sum of the tasks' estimates; tasks without one count as 0.
+     *
+     * @param {Object[]} tasks
+     * @returns {number}
+     */
+    function totalEstimate(tasks) {
+        return tasks.reduce((sum, task) => sum + (typeof task.estimate === 'number' ? task.estimate : 0), 0);
+    }
+
+    // Sort keys for each mode; tasks without a value go last
+    const SORT_KEYS = {
+        dueDate: task => dates.dueSortKey(task.dueDate) || null,
+        priority: task => {
+            const rank = PRIORITIES.findIndex(p => p.id === task.priority);
+            return rank < 0 ? null : rank;
+        },
+        estimate: task => (typeof task.estimate === 'number' ? task.estimate : null)
+    };
+
+    /**
+     * A copy of the tasks in the order of a sort mode: earliest due date,
+     * most urgent priority or smallest estimate first. Tasks without a
+     * value, and ties, keep their manual order.
+     *
+     * @param {Object[]} tasks
+     * @param {string} mode One of SORT_MODES.
+     * @returns {Object[]}
+     */
+    function sortTasks(tasks, mode) {
+        const manual = order.sortByPosition(tasks);
+        const key = SORT_KEYS[mode];
+        if (!key) return manual;
+        return manual
+            .map((task, idx) => ({ task, idx, value: key(task) }))
+            .sort((a, b) => {
+                if (a.value === b.value) return a.idx - b.idx;
+                if (a.value === null) return 1;
+                if (b.value === null) return -1;
+                return a.value < b.value ? -1 : 1;
+            })
+            .map(entry => entry.task);
+    }
+
+    return {
+        PRIORITIES,
+        SORT_MODES,
+        priorityName,
+        validatePriority,
+        validateEstimate,
+        parseEstimate,
+        totalEstimate,
+        sortTasks
+    };
+});